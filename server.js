@@ -10,8 +10,14 @@ import swaggerSpec from "./src/config/swagger.js";
 import logger from "./src/utils/logger.js";
 import sessionRoutes from "./src/api/routes/session.routes.js";
 import metaRoutes from "./src/api/routes/meta.routes.js";
+import mediaRoutes from "./src/api/routes/media.routes.js";
 import { initializeDirectories } from "./src/utils/init.js";
+import {
+    authenticate,
+    authenticateEventStream,
+} from "./src/api/middlewares/auth.middleware.js";
 import SessionManager from "./src/services/SessionManager.js";
+import WebSocketGateway from "./src/services/WebSocketGateway.js";
 import { bannerBaileysServerPro } from "./src/utils/banner.js";
 
 const __filename = fileURLToPath(import.meta.url);
@@ -26,17 +32,24 @@ const app = express();
 const PORT = process.env.PORT || 3000;
 
 app.use(cors());
-app.use(express.json());
 app.use(express.static(path.join(__dirname, "public")));
 
 app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(swaggerSpec));
-app.use("/api/sessions", sessionRoutes);
-app.use("/api/meta", metaRoutes);
-
-app.listen(PORT, () => {
+// Las descargas de media se autorizan con la firma de la URL, no con la API key
+app.use("/api/sessions", mediaRoutes);
+// EventSource no puede enviar headers: solo el stream SSE acepta la API key en la query
+app.get("/api/sessions/:sessionId/events", authenticateEventStream);
+app.use("/api/sessions", authenticate, sessionRoutes);
+// Meta llama a este webhook sin nuestra API key, por eso no pasa por `authenticate`.
+app.use("/api/meta", express.json(), metaRoutes);
+
+const server = app.listen(PORT, () => {
     logger.info(banner);
     logger.info(`✅ Servidor escuchando en http://localhost:${PORT}`);
     logger.info(
         `📕 Documentación disponible en http://localhost:${PORT}/api-docs`
     );
 });
+
+// Alternativa a los webhooks para receptores detrás de NAT (ws://host/ws)
+WebSocketGateway.attach(server);
@@ -0,0 +1,263 @@
+import SessionManager from "../../services/SessionManager.js";
+import logger from "../../utils/logger.js";
+import { chatTypeOf, jidUser, toJid } from "../../utils/jid.js";
+import { toIsoTimestamp } from "../../utils/timestamp.js";
+
+// WhatsApp solo permite editar un mensaje durante los 15 minutos siguientes a su envío
+const EDIT_WINDOW_MS = 15 * 60 * 1000;
+
+/**
+ * Looks up the session and the message addressed by the route (`:jid` and `:messageId`).
+ * The message is searched in the session message store; unknown messages are allowed
+ * (the caller decides the defaults), but a stored message must belong to the chat.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ * @returns {{ session: object, jid: string, messageId: string, stored?: object }|undefined}
+ * The target, or undefined if an error response was sent.
+ */
+function findTarget(req, res) {
+    const { sessionId, jid: chat, messageId } = req.params;
+    const session = SessionManager.getSession(sessionId);
+
+    if (!session) {
+        res.status(404).json({
+            success: false,
+            message: "Sesión no encontrada.",
+        });
+        return undefined;
+    }
+
+    const jid = toJid(chat);
+    const stored = session.messageStore.get(messageId);
+    if (stored && jidUser(stored.key.remoteJid) !== jidUser(jid)) {
+        res.status(404).json({
+            success: false,
+            message: `El mensaje ${messageId} no pertenece al chat ${jid}.`,
+        });
+        return undefined;
+    }
+
+    return { session, jid, messageId, stored };
+}
+
+/**
+ * Queues the job of a chat action and answers with its result.
+ * @param {object} res - The Express response object.
+ * @param {object} target - The target returned by `findTarget`.
+ * @param {string} type - The job type (`reaction`, `edit` or `revoke`).
+ * @param {object} payload - The job payload.
+ * @param {string} done - The success message when the action was sent right away.
+ */
+async function dispatch(res, { session, jid, messageId }, type, payload, done) {
+    try {
+        const result = await session.sendContent(type, jid, {
+            messageId,
+            ...payload,
+        });
+
+        res.status(200).json({
+            success: true,
+            message:
+                result?.status === "queued"
+                    ? "Acción encolada; se enviará cuando la sesión esté conectada."
+                    : done,
+            details: result,
+        });
+    } catch (error) {
+        logger.error(
+            { error },
+            `[${session.sessionId}] Error al enviar ${type} sobre el mensaje ${messageId}`
+        );
+        res.status(500).json({
+            success: false,
+            message: "Error al enviar la acción sobre el mensaje.",
+            error: error.message,
+        });
+    }
+}
+
+class ChatController {
+    /**
+     * @summary Reacts to a message with an emoji.
+     * @description `fromMe` and `participant` (who sent the message, in groups) are taken from the
+     * message store; for messages not stored they can be sent in the body.
+     * @param {object} req - The Express request object.
+     * @param {string} req.params.sessionId - The ID of the session.
+     * @param {string} req.params.jid - The chat JID or phone number.
+     * @param {string} req.params.messageId - The WhatsApp ID of the message.
+     * @param {object} req.body - `{ emoji, fromMe, participant }`.
+     * @param {object} res - The Express response object.
+     */
+    async react(req, res) {
+        const { emoji, fromMe, participant } = req.body || {};
+
+        if (typeof emoji !== "string" || !emoji || emoji.length > 16) {
+            return res.status(400).json({
+                success: false,
+                message: "El campo emoji es requerido (máximo 16 caracteres).",
+            });
+        }
+        if (fromMe !== undefined && typeof fromMe !== "boolean") {
+            return res.status(400).json({
+                success: false,
+                message: "El campo fromMe debe ser booleano.",
+            });
+        }
+        if (
+            participant !== undefined &&
+            (typeof participant !== "string" || !participant)
+        ) {
+            return res.status(400).json({
+                success: false,
+                message: "El campo participant debe ser un número o JID.",
+            });
+        }
+
+        const target = findTarget(req, res);
+        if (!target) return;
+
+        const key = target.stored
+            ? {
+                  fromMe: Boolean(target.stored.key.fromMe),
+                  participant: target.stored.key.participant,
+              }
+            : {
+                  fromMe: Boolean(fromMe),
+                  participant: participant && toJid(participant),
+              };
+
+        if (
+            chatTypeOf(target.jid) === "group" &&
+            !key.fromMe &&
+            !key.participant
+        ) {
+            return res.status(400).json({
+                success: false,
+                message:
+                    "El mensaje no está en el almacén de la sesión: en grupos indique participant (quien lo envió) o fromMe.",
+            });
+        }
+
+        await dispatch(
+            res,
+            target,
+            "reaction",
+            { emoji, ...key },
+            "Reacción enviada exitosamente."
+        );
+    }
+
+    /**
+     * @summary Removes the session's reaction from a message.
+     * @param {object} req - The Express request object.
+     * @param {string} req.params.sessionId - The ID of the session.
+     * @param {string} req.params.jid - The chat JID or phone number.
+     * @param {string} req.params.messageId - The WhatsApp ID of the message.
+     * @param {object} res - The Express response object.
+     */
+    async unreact(req, res) {
+        const target = findTarget(req, res);
+        if (!target) return;
+
+        // WhatsApp quita la reacción al recibir una con emoji vacío
+        await dispatch(
+            res,
+            target,
+            "reaction",
+            {
+                emoji: "",
+                fromMe: Boolean(target.stored?.key.fromMe),
+                participant: target.stored?.key.participant,
+            },
+            "Reacción eliminada exitosamente."
+        );
+    }
+
+    /**
+     * @summary Edits the text (or caption) of a message sent by the session.
+     * @description Only the session's own messages can be edited, within the 15 minutes after they
+     * were sent. Messages not in the store are assumed to be the session's own.
+     * @param {object} req - The Express request object.
+     * @param {string} req.params.sessionId - The ID of the session.
+     * @param {string} req.params.jid - The chat JID or phone number.
+     * @param {string} req.params.messageId - The WhatsApp ID of the message.
+     * @param {object} req.body - `{ text }`.
+     * @param {object} res - The Express response object.
+     */
+    async edit(req, res) {
+        const { text } = req.body || {};
+
+        if (typeof text !== "string" || text.trim() === "") {
+            return res.status(400).json({
+                success: false,
+                message: "El campo text es requerido.",
+            });
+        }
+
+        const target = findTarget(req, res);
+        if (!target) return;
+
+        if (target.stored) {
+            if (!target.stored.key.fromMe) {
+                return res.status(400).json({
+                    success: false,
+                    message:
+                        "Solo se pueden editar mensajes enviados por la sesión.",
+                });
+            }
+
+            const sentAt = toIsoTimestamp(target.stored.messageTimestamp);
+            if (sentAt && Date.now() - Date.parse(sentAt) > EDIT_WINDOW_MS) {
+                return res.status(400).json({
+                    success: false,
+                    message:
+                        "WhatsApp solo permite editar un mensaje durante los 15 minutos siguientes a su envío.",
+                });
+            }
+        }
+
+        await dispatch(
+            res,
+            target,
+            "edit",
+            { text },
+            "Mensaje editado exitosamente."
+        );
+    }
+
+    /**
+     * @summary Deletes a message for everyone in the chat.
+     * @description The session's own messages can always be revoked; in groups where the session
+     * is admin, also those of other participants. Messages not in the store are assumed to be
+     * the session's own.
+     * @param {object} req - The Express request object.
+     * @param {string} req.params.sessionId - The ID of the session.
+     * @param {string} req.params.jid - The chat JID or phone number.
+     * @param {string} req.params.messageId - The WhatsApp ID of the message.
+     * @param {object} res - The Express response object.
+     */
+    async revoke(req, res) {
+        const target = findTarget(req, res);
+        if (!target) return;
+
+        const fromMe = target.stored ? Boolean(target.stored.key.fromMe) : true;
+        if (!fromMe && chatTypeOf(target.jid) !== "group") {
+            return res.status(400).json({
+                success: false,
+                message:
+                    "Solo se pueden eliminar para todos los mensajes enviados por la sesión.",
+            });
+        }
+
+        await dispatch(
+            res,
+            target,
+            "revoke",
+            { fromMe, participant: target.stored?.key.participant },
+            "Mensaje eliminado para todos."
+        );
+    }
+}
+
+const chatController = new ChatController();
+export default chatController;
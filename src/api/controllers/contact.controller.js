@@ -0,0 +1,137 @@
+import SessionManager from "../../services/SessionManager.js";
+import { toJid } from "../../utils/jid.js";
+import { runSocketAction } from "../../utils/socketCall.js";
+
+// Números por petición de /contacts/check
+const CHECK_MAX_NUMBERS = 100;
+
+/**
+ * Validates the numbers of a check request.
+ * @param {*} numbers
+ * @returns {string|undefined} The error message, or undefined if they are valid.
+ */
+function validateNumbers(numbers) {
+    if (
+        !Array.isArray(numbers) ||
+        numbers.length === 0 ||
+        numbers.length > CHECK_MAX_NUMBERS ||
+        numbers.some((value) => typeof value !== "string" || !value.trim())
+    ) {
+        return `El campo numbers debe ser una lista de 1 a ${CHECK_MAX_NUMBERS} números o JIDs.`;
+    }
+    return undefined;
+}
+
+/**
+ * Runs a contact lookup of the session addressed by the route and answers with its result
+ * (see `runSocketAction`), resolving the `:jid` parameter if the route has it.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ * @param {string} action - What is being looked up, for the logs (e.g. `consultar la foto de perfil`).
+ * @param {Function} operation - `(contacts, jid) => Promise<object>`; the result is merged into the response.
+ */
+async function runContactLookup(req, res, action, operation) {
+    const jid = req.params.jid !== undefined ? toJid(req.params.jid) : null;
+
+    await runSocketAction(
+        res,
+        SessionManager.getSession(req.params.sessionId),
+        action,
+        (session) => operation(session.contacts, jid)
+    );
+}
+
+class ContactController {
+    /**
+     * @summary Checks which numbers have a WhatsApp account.
+     * @description Answers one result per number, in order, with the canonical JID WhatsApp uses
+     * for the numbers that exist. Invalid numbers and failed lookups carry their own `error`
+     * (counted in `failed`). Results are cached (see `ContactService`).
+     * @param {object} req - The Express request object.
+     * @param {string} req.params.sessionId - The ID of the session.
+     * @param {object} req.body - `{ numbers }`.
+     * @param {object} res - The Express response object.
+     */
+    async check(req, res) {
+        const { numbers } = req.body || {};
+        const error = validateNumbers(numbers);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        await runContactLookup(
+            req,
+            res,
+            "verificar los números",
+            async (contacts) => {
+                const results = await contacts.check(numbers);
+                return {
+                    total: results.length,
+                    existing: results.filter((result) => result.exists).length,
+                    failed: results.filter((result) => result.error).length,
+                    results,
+                };
+            }
+        );
+    }
+
+    /**
+     * @summary Gets the profile picture URL of a contact.
+     * @param {object} req - The Express request object.
+     * @param {string} req.params.sessionId - The ID of the session.
+     * @param {string} req.params.jid - The contact JID or phone number.
+     * @param {object} res - The Express response object.
+     */
+    async profilePicture(req, res) {
+        await runContactLookup(
+            req,
+            res,
+            "consultar la foto de perfil",
+            async (contacts, jid) => ({
+                jid,
+                url: await contacts.profilePicture(jid),
+            })
+        );
+    }
+
+    /**
+     * @summary Gets the about (status) text of a contact.
+     * @param {object} req - The Express request object.
+     * @param {string} req.params.sessionId - The ID of the session.
+     * @param {string} req.params.jid - The contact JID or phone number.
+     * @param {object} res - The Express response object.
+     */
+    async status(req, res) {
+        await runContactLookup(
+            req,
+            res,
+            "consultar el estado del contacto",
+            async (contacts, jid) => ({
+                jid,
+                ...(await contacts.status(jid)),
+            })
+        );
+    }
+
+    /**
+     * @summary Gets the business profile of a contact.
+     * @param {object} req - The Express request object.
+     * @param {string} req.params.sessionId - The ID of the session.
+     * @param {string} req.params.jid - The contact JID or phone number.
+     * @param {object} res - The Express response object.
+     */
+    async businessProfile(req, res) {
+        await runContactLookup(
+            req,
+            res,
+            "consultar el perfil de empresa",
+            async (contacts, jid) => {
+                const profile = await contacts.businessProfile(jid);
+                return { jid, isBusiness: Boolean(profile), profile };
+            }
+        );
+    }
+}
+
+const contactController = new ContactController();
+export default contactController;
@@ -0,0 +1,357 @@
+import SessionManager from "../../services/SessionManager.js";
+import { PARTICIPANT_ACTIONS } from "../../services/GroupService.js";
+import { runSocketAction } from "../../utils/socketCall.js";
+
+// Límites de WhatsApp para el nombre y la descripción de un grupo
+const SUBJECT_MAX_LENGTH = 100;
+const DESCRIPTION_MAX_LENGTH = 2048;
+
+// Mensajes para los códigos con que WhatsApp rechaza una acción sobre un grupo
+const GROUP_ERROR_MESSAGES = {
+    400: "WhatsApp rechazó la acción sobre el grupo.",
+    401: "La sesión no tiene permiso para esta acción en el grupo.",
+    403: "La sesión no es administradora del grupo o ya no pertenece a él.",
+    404: "Grupo o invitación no encontrados.",
+    406: "WhatsApp rechazó la acción sobre el grupo.",
+    410: "El enlace de invitación fue revocado.",
+};
+
+/**
+ * Normalizes the `:jid` route parameter: a group JID, or the bare group ID.
+ * @param {string} value - The route parameter.
+ * @returns {string|null} The group JID, or null if it is not a group.
+ */
+function toGroupJid(value) {
+    const text = String(value).trim();
+    if (!text.includes("@")) {
+        return /^[\d-]+$/.test(text) ? `${text}@g.us` : null;
+    }
+    return text.endsWith("@g.us") ? text : null;
+}
+
+/**
+ * Validates a subject for a group.
+ * @param {*} subject
+ * @returns {string|undefined} The error message, or undefined if it is valid.
+ */
+function validateSubject(subject) {
+    if (
+        typeof subject !== "string" ||
+        subject.trim() === "" ||
+        subject.length > SUBJECT_MAX_LENGTH
+    ) {
+        return `El campo subject es requerido (máximo ${SUBJECT_MAX_LENGTH} caracteres).`;
+    }
+    return undefined;
+}
+
+/**
+ * Validates a list of participants (numbers or JIDs).
+ * @param {*} participants
+ * @returns {string|undefined} The error message, or undefined if it is valid.
+ */
+function validateParticipants(participants) {
+    if (
+        !Array.isArray(participants) ||
+        participants.length === 0 ||
+        participants.some((value) => typeof value !== "string" || !value.trim())
+    ) {
+        return "El campo participants debe ser una lista de números o JIDs.";
+    }
+    return undefined;
+}
+
+/**
+ * Validates the changes of a group update.
+ * @param {object} changes - `{ subject, description, announce, locked }`.
+ * @returns {string|undefined} The error message, or undefined if they are valid.
+ */
+function validateGroupChanges({ subject, description, announce, locked }) {
+    if (
+        [subject, description, announce, locked].every((v) => v === undefined)
+    ) {
+        return "Indique al menos uno de subject, description, announce o locked.";
+    }
+    if (subject !== undefined) {
+        const error = validateSubject(subject);
+        if (error) return error;
+    }
+    if (
+        description !== undefined &&
+        (typeof description !== "string" ||
+            description.length > DESCRIPTION_MAX_LENGTH)
+    ) {
+        return `El campo description debe ser texto (máximo ${DESCRIPTION_MAX_LENGTH} caracteres; vacío la elimina).`;
+    }
+    if (announce !== undefined && typeof announce !== "boolean") {
+        return "El campo announce debe ser booleano.";
+    }
+    if (locked !== undefined && typeof locked !== "boolean") {
+        return "El campo locked debe ser booleano.";
+    }
+    return undefined;
+}
+
+/**
+ * Runs a group operation of the session addressed by the route and answers with its result
+ * (see `runSocketAction`). Resolves the `:jid` parameter, if the route has it (400), and answers
+ * the codes WhatsApp rejects an action with using `GROUP_ERROR_MESSAGES`.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ * @param {string} action - What is being done, for the logs (e.g. `crear el grupo`).
+ * @param {Function} operation - `(groups, jid) => Promise<object>`; the result is merged into the response.
+ * @param {number} [status=200] - The success status code.
+ */
+async function runGroupAction(req, res, action, operation, status = 200) {
+    let jid;
+    if (req.params.jid !== undefined) {
+        jid = toGroupJid(req.params.jid);
+        if (!jid) {
+            return res.status(400).json({
+                success: false,
+                message: `${req.params.jid} no es el JID de un grupo (termina en @g.us).`,
+            });
+        }
+    }
+
+    await runSocketAction(
+        res,
+        SessionManager.getSession(req.params.sessionId),
+        action,
+        (session) => operation(session.groups, jid),
+        { status, messages: GROUP_ERROR_MESSAGES }
+    );
+}
+
+class GroupController {
+    /**
+     * @summary Lists the groups the session participates in.
+     * @param {object} req - The Express request object.
+     * @param {string} req.params.sessionId - The ID of the session.
+     * @param {object} res - The Express response object.
+     */
+    async list(req, res) {
+        await runGroupAction(req, res, "listar los grupos", async (groups) => {
+            const list = await groups.list();
+            return { total: list.length, groups: list };
+        });
+    }
+
+    /**
+     * @summary Creates a group with the session as its admin.
+     * @param {object} req - The Express request object.
+     * @param {string} req.params.sessionId - The ID of the session.
+     * @param {object} req.body - `{ subject, participants }`.
+     * @param {object} res - The Express response object.
+     */
+    async create(req, res) {
+        const { subject, participants } = req.body || {};
+        const error =
+            validateSubject(subject) || validateParticipants(participants);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        await runGroupAction(
+            req,
+            res,
+            "crear el grupo",
+            async (groups) => ({
+                message: "Grupo creado exitosamente.",
+                group: await groups.create(subject.trim(), participants),
+            }),
+            201
+        );
+    }
+
+    /**
+     * @summary Gets the metadata of a group, with its participants.
+     * @param {object} req - The Express request object.
+     * @param {string} req.params.sessionId - The ID of the session.
+     * @param {string} req.params.jid - The group JID.
+     * @param {object} res - The Express response object.
+     */
+    async get(req, res) {
+        await runGroupAction(
+            req,
+            res,
+            "consultar el grupo",
+            async (groups, jid) => ({
+                group: await groups.get(jid),
+            })
+        );
+    }
+
+    /**
+     * @summary Lists the participants of a group and their admin role.
+     * @param {object} req - The Express request object.
+     * @param {string} req.params.sessionId - The ID of the session.
+     * @param {string} req.params.jid - The group JID.
+     * @param {object} res - The Express response object.
+     */
+    async participants(req, res) {
+        await runGroupAction(
+            req,
+            res,
+            "consultar los participantes del grupo",
+            async (groups, jid) => {
+                const { participants } = await groups.get(jid);
+                return { total: participants.length, participants };
+            }
+        );
+    }
+
+    /**
+     * @summary Adds, removes, promotes or demotes participants of a group.
+     * @description WhatsApp answers per participant, so the response lists the result of each one.
+     * @param {object} req - The Express request object.
+     * @param {string} req.params.sessionId - The ID of the session.
+     * @param {string} req.params.jid - The group JID.
+     * @param {object} req.body - `{ action, participants }`.
+     * @param {object} res - The Express response object.
+     */
+    async updateParticipants(req, res) {
+        const { action, participants } = req.body || {};
+        if (!PARTICIPANT_ACTIONS.includes(action)) {
+            return res.status(400).json({
+                success: false,
+                message: `El campo action debe ser uno de: ${PARTICIPANT_ACTIONS.join(", ")}.`,
+            });
+        }
+        const error = validateParticipants(participants);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        await runGroupAction(
+            req,
+            res,
+            "actualizar los participantes del grupo",
+            async (groups, jid) => {
+                const results = await groups.updateParticipants(
+                    jid,
+                    participants,
+                    action
+                );
+                const failed = results.filter((result) => !result.success);
+                return {
+                    message:
+                        failed.length === 0
+                            ? "Participantes actualizados exitosamente."
+                            : `${failed.length} de ${results.length} participante(s) no se pudieron actualizar.`,
+                    results,
+                };
+            }
+        );
+    }
+
+    /**
+     * @summary Updates the subject, description and/or settings of a group.
+     * @param {object} req - The Express request object.
+     * @param {string} req.params.sessionId - The ID of the session.
+     * @param {string} req.params.jid - The group JID.
+     * @param {object} req.body - `{ subject, description, announce, locked }`; omitted fields are unchanged.
+     * @param {object} res - The Express response object.
+     */
+    async update(req, res) {
+        const { subject, description, announce, locked } = req.body || {};
+        const changes = { subject, description, announce, locked };
+        const error = validateGroupChanges(changes);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        await runGroupAction(
+            req,
+            res,
+            "actualizar el grupo",
+            async (groups, jid) => ({
+                message: "Grupo actualizado exitosamente.",
+                group: await groups.update(jid, changes),
+            })
+        );
+    }
+
+    /**
+     * @summary Gets the invite link of a group (the session must be admin).
+     * @param {object} req - The Express request object.
+     * @param {string} req.params.sessionId - The ID of the session.
+     * @param {string} req.params.jid - The group JID.
+     * @param {object} res - The Express response object.
+     */
+    async inviteCode(req, res) {
+        await runGroupAction(
+            req,
+            res,
+            "obtener el enlace de invitación",
+            async (groups, jid) => ({ invite: await groups.inviteCode(jid) })
+        );
+    }
+
+    /**
+     * @summary Revokes the invite link of a group and returns the new one.
+     * @param {object} req - The Express request object.
+     * @param {string} req.params.sessionId - The ID of the session.
+     * @param {string} req.params.jid - The group JID.
+     * @param {object} res - The Express response object.
+     */
+    async revokeInvite(req, res) {
+        await runGroupAction(
+            req,
+            res,
+            "revocar el enlace de invitación",
+            async (groups, jid) => ({
+                message:
+                    "Enlace de invitación revocado; el anterior ya no funciona.",
+                invite: await groups.revokeInvite(jid),
+            })
+        );
+    }
+
+    /**
+     * @summary Joins a group through an invite code or link.
+     * @param {object} req - The Express request object.
+     * @param {string} req.params.sessionId - The ID of the session.
+     * @param {object} req.body - `{ code }`: the code or the full `https://chat.whatsapp.com/...` link.
+     * @param {object} res - The Express response object.
+     */
+    async join(req, res) {
+        const { code } = req.body || {};
+        const inviteCode =
+            typeof code === "string" ? code.trim().split("/").pop() : "";
+        if (!/^[\w-]+$/.test(inviteCode)) {
+            return res.status(400).json({
+                success: false,
+                message:
+                    "El campo code es requerido (código o enlace https://chat.whatsapp.com/...).",
+            });
+        }
+
+        await runGroupAction(req, res, "unirse al grupo", async (groups) => ({
+            message: "Sesión unida al grupo.",
+            group: await groups.join(inviteCode),
+        }));
+    }
+
+    /**
+     * @summary Leaves a group.
+     * @param {object} req - The Express request object.
+     * @param {string} req.params.sessionId - The ID of the session.
+     * @param {string} req.params.jid - The group JID.
+     * @param {object} res - The Express response object.
+     */
+    async leave(req, res) {
+        await runGroupAction(
+            req,
+            res,
+            "salir del grupo",
+            async (groups, jid) => {
+                await groups.leave(jid);
+                return { message: `Sesión salió del grupo ${jid}.` };
+            }
+        );
+    }
+}
+
+const groupController = new GroupController();
+export default groupController;
@@ -0,0 +1,91 @@
+import SessionManager from "../../services/SessionManager.js";
+import logger from "../../utils/logger.js";
+import { verifyMediaSignature } from "../../utils/mediaUrl.js";
+
+class MediaController {
+    /**
+     * @summary Downloads a stored media file through a signed URL.
+     * @description The URL is the one sent in `message.mediaFile.url`; its `expires` and `signature`
+     * query params are the only credential, so this route doesn't require an API key.
+     * @param {object} req - The Express request object.
+     * @param {string} req.params.sessionId - The ID of the session.
+     * @param {string} req.params.mediaId - The ID of the media file.
+     * @param {object} req.query - `expires` and `signature`.
+     * @param {object} res - The Express response object.
+     */
+    async download(req, res) {
+        const { sessionId, mediaId } = req.params;
+        const { expires, signature } = req.query;
+
+        const verdict = verifyMediaSignature(
+            sessionId,
+            mediaId,
+            expires,
+            signature
+        );
+        if (verdict === "invalid") {
+            logger.warn(
+                `[${sessionId}] Descarga de media ${mediaId} con firma inválida.`
+            );
+            return res
+                .status(403)
+                .json({ success: false, message: "Firma inválida." });
+        }
+        if (verdict === "expired") {
+            return res.status(410).json({
+                success: false,
+                message: "El enlace de descarga expiró.",
+            });
+        }
+
+        const session = SessionManager.getSession(sessionId);
+        const stored = session && (await session.media.get(mediaId));
+        if (!stored) {
+            return res.status(404).json({
+                success: false,
+                message:
+                    "Archivo no encontrado (pudo eliminarse por antigüedad).",
+            });
+        }
+
+        const { record, open } = stored;
+        try {
+            // El archivo puede estar en S3: se transmite sin cargarlo en memoria
+            const stream = await open();
+            if (!stream) {
+                return res.status(404).json({
+                    success: false,
+                    message:
+                        "Archivo no encontrado (pudo eliminarse por antigüedad).",
+                });
+            }
+
+            res.type(record.mimetype || "application/octet-stream");
+            if (record.fileName) res.attachment(record.fileName);
+            res.set({
+                "Content-Length": record.size,
+                "X-Content-SHA256": record.sha256,
+            });
+            stream.on("error", (error) => {
+                logger.error(
+                    { error },
+                    `[${sessionId}] Error al transmitir la media ${mediaId}`
+                );
+                res.destroy(error);
+            });
+            stream.pipe(res);
+        } catch (error) {
+            logger.error(
+                { error },
+                `[${sessionId}] Error al leer la media ${mediaId}`
+            );
+            res.status(500).json({
+                success: false,
+                message: "Error al leer el archivo.",
+            });
+        }
+    }
+}
+
+const mediaController = new MediaController();
+export default mediaController;
@@ -46,11 +46,8 @@ class MetaController {
 
                             const session = this.findSessionByPhoneId(phoneId);
 
-                            if (session && session.webhookUrl) {
-                                await this.forwardToUserWebhook(
-                                    session,
-                                    message
-                                );
+                            if (session && session.hasWebhooks()) {
+                                this.forwardToUserWebhook(session, message);
                             }
                         }
                     }
@@ -74,10 +71,11 @@ class MetaController {
     }
 
     /**
-     * Convierte el formato de Meta al formato unificado y lo envía al webhook del usuario.
+     * Convierte el formato de Meta al formato unificado y lo encola para los webhooks del usuario
+     * (el de la sesión y las suscripciones con el evento `meta`).
      * AHORA FILTRA ESTRICTAMENTE SOLO INTERACCIONES.
      */
-    async forwardToUserWebhook(session, metaMsg) {
+    forwardToUserWebhook(session, metaMsg) {
         // -> 1. FILTRO CRÍTICO: Ignorar todo lo que NO sea una interacción.
         // Los textos, imágenes, audios, etc., ya los maneja Baileys.
         // Si dejamos pasar esto, tendríamos mensajes duplicados.
@@ -116,21 +114,15 @@ class MetaController {
             return;
         }
 
-        // -> 3. Enviar al webhook del usuario
-        try {
-            await fetch(session.webhookUrl, {
-                method: "POST",
-                body: JSON.stringify(payload),
-                headers: { "Content-Type": "application/json" },
-            });
-            logger.info(
-                `[${session.sessionId}] Interacción Meta (${payload.message.type}) enviada al webhook.`
-            );
-        } catch (error) {
-            logger.error(
-                `[${session.sessionId}] Error enviando webhook de Meta al usuario.`
-            );
-        }
+        // -> 3. Encolar para los webhooks del usuario, con la misma firma y reintentos que los de Baileys
+        const queued = session.queueWebhook({ payload }, "meta", {
+            chatId: metaMsg.from,
+            sender: metaMsg.from,
+            messageType: payload.message.type,
+        });
+        logger.info(
+            `[${session.sessionId}] Interacción Meta (${payload.message.type}) encolada para ${queued} webhook(s).`
+        );
     }
 }
 
@@ -1,6 +1,244 @@
 import fs from "fs/promises";
 import SessionManager from "../../services/SessionManager.js";
 import logger from "../../utils/logger.js";
+import { maskSecret } from "../../utils/mask.js";
+import { parsePagination, parseList } from "../../utils/query.js";
+import { canAccessSession } from "../middlewares/auth.middleware.js";
+import { JOB_STATUSES } from "../../services/JobTracker.js";
+import { validateWebhookSecret } from "../../utils/webhookSignature.js";
+import { maskStorageConfig } from "../../services/storageDrivers.js";
+import { validateMessage } from "../schemas/message.schema.js";
+import {
+    resolveMediaSource,
+    sendMediaError,
+} from "../middlewares/mediaInput.middleware.js";
+
+/**
+ * Validates the webhook delivery settings. `undefined` (not provided) and `null` (back to the
+ * server defaults) are valid; otherwise only the known fields are accepted.
+ * @param {*} value - The value received in the body.
+ * @returns {string|undefined} The error message, if invalid.
+ */
+function validateWebhookDelivery(value) {
+    if (value === undefined || value === null) return undefined;
+    if (typeof value !== "object" || Array.isArray(value)) {
+        return "El campo webhookDelivery debe ser un objeto.";
+    }
+
+    const limits = {
+        concurrency: [1, 50],
+        maxAttempts: [1, 100],
+        maxAgeMinutes: [1, 10080],
+    };
+
+    for (const [field, fieldValue] of Object.entries(value)) {
+        if (field === "preserveOrder") {
+            if (typeof fieldValue !== "boolean") {
+                return "webhookDelivery.preserveOrder debe ser booleano.";
+            }
+        } else if (limits[field]) {
+            const [min, max] = limits[field];
+            if (
+                !Number.isInteger(fieldValue) ||
+                fieldValue < min ||
+                fieldValue > max
+            ) {
+                return `webhookDelivery.${field} debe ser un entero entre ${min} y ${max}.`;
+            }
+        } else {
+            return `Campo desconocido en webhookDelivery: ${field}.`;
+        }
+    }
+
+    return undefined;
+}
+
+/**
+ * Validates the media delivery settings. `undefined` (not provided) and `null` (back to the
+ * server defaults) are valid.
+ * @param {*} value - The value received in the body.
+ * @returns {string|undefined} The error message, if invalid.
+ */
+function validateMediaDelivery(value) {
+    if (value === undefined || value === null) return undefined;
+    if (typeof value !== "object" || Array.isArray(value)) {
+        return "El campo mediaDelivery debe ser un objeto.";
+    }
+
+    const { mode, inlineMaxBytes, ...unknown } = value;
+    if (Object.keys(unknown).length > 0) {
+        return `Campo desconocido en mediaDelivery: ${Object.keys(unknown)[0]}.`;
+    }
+    if (mode !== undefined && !["inline", "url"].includes(mode)) {
+        return "mediaDelivery.mode debe ser 'inline' o 'url'.";
+    }
+    if (
+        inlineMaxBytes !== undefined &&
+        (!Number.isInteger(inlineMaxBytes) || inlineMaxBytes < 0)
+    ) {
+        return "mediaDelivery.inlineMaxBytes debe ser un entero mayor o igual a 0.";
+    }
+
+    return undefined;
+}
+
+/**
+ * Validates the history settings. `undefined` (not provided) and `null` (back to the server
+ * defaults) are valid; otherwise only boolean `forward` and `catchUp` are accepted.
+ * @param {*} value - The value received in the body.
+ * @returns {string|undefined} The error message, if invalid.
+ */
+function validateHistory(value) {
+    if (value === undefined || value === null) return undefined;
+    if (typeof value !== "object" || Array.isArray(value)) {
+        return "El campo history debe ser un objeto.";
+    }
+
+    for (const [field, fieldValue] of Object.entries(value)) {
+        if (!["forward", "catchUp"].includes(field)) {
+            return `Campo desconocido en history: ${field}.`;
+        }
+        if (typeof fieldValue !== "boolean") {
+            return `history.${field} debe ser booleano.`;
+        }
+    }
+
+    return undefined;
+}
+
+/**
+ * Validates the `forwardOwnMessages` flag: a boolean, or `null` to use the server default.
+ * @param {*} value - The value received in the body.
+ * @returns {string|undefined} The error message, if invalid.
+ */
+function validateForwardOwnMessages(value) {
+    if (value === undefined || value === null || typeof value === "boolean") {
+        return undefined;
+    }
+    return "El campo forwardOwnMessages debe ser booleano.";
+}
+
+/**
+ * Validates the `payloadVersion` of the message payload: 1, 2, or `null` to use the server default.
+ * @param {*} value - The value received in the body.
+ * @returns {string|undefined} The error message, if invalid.
+ */
+function validatePayloadVersion(value) {
+    if (value === undefined || value === null || [1, 2].includes(value)) {
+        return undefined;
+    }
+    return "El campo payloadVersion debe ser 1 o 2.";
+}
+
+/**
+ * Validates a storage configuration. `undefined` (not provided) and `null` (back to the server
+ * default) are valid.
+ * @param {*} value - The value received in the body.
+ * @returns {string|undefined} The error message, if invalid.
+ */
+function validateStorage(value) {
+    if (value === undefined || value === null) return undefined;
+    if (typeof value !== "object" || Array.isArray(value)) {
+        return "El campo storage debe ser un objeto.";
+    }
+
+    const { driver, ...options } = value;
+    if (driver === "local") {
+        return Object.keys(options).length > 0
+            ? "El driver local no acepta opciones."
+            : undefined;
+    }
+    if (driver !== "s3") {
+        return "storage.driver debe ser 'local' o 's3'.";
+    }
+
+    const stringFields = [
+        "bucket",
+        "region",
+        "endpoint",
+        "accessKeyId",
+        "secretAccessKey",
+        "prefix",
+    ];
+    for (const [field, fieldValue] of Object.entries(options)) {
+        if (field === "forcePathStyle") {
+            if (typeof fieldValue !== "boolean") {
+                return "storage.forcePathStyle debe ser booleano.";
+            }
+        } else if (stringFields.includes(field)) {
+            if (typeof fieldValue !== "string") {
+                return `storage.${field} debe ser un texto.`;
+            }
+        } else {
+            return `Campo desconocido en storage: ${field}.`;
+        }
+    }
+
+    if (!options.bucket)
+        return "storage.bucket es requerido para el driver s3.";
+    if (!options.accessKeyId !== !options.secretAccessKey) {
+        return "storage.accessKeyId y storage.secretAccessKey deben enviarse juntos.";
+    }
+
+    return undefined;
+}
+
+/**
+ * Checks that the messages a send quotes or forwards are in the session message store.
+ * @param {object} session - The session.
+ * @param {object} fields - `{ quotedMessageId, forwardFrom }` from the request body.
+ * @returns {Array<{ field: string, message: string }>} One error per unknown message.
+ */
+function unknownMessageErrors(session, { quotedMessageId, forwardFrom }) {
+    return Object.entries({ quotedMessageId, forwardFrom })
+        .filter(([, messageId]) => messageId !== undefined)
+        .filter(
+            ([, messageId]) =>
+                typeof messageId !== "string" ||
+                !session.messageStore.get(messageId)
+        )
+        .map(([field, messageId]) => ({
+            field,
+            message: `${field}: el mensaje ${messageId} no está en el almacén de mensajes de la sesión (solo se conservan los últimos mensajes recibidos y enviados).`,
+        }));
+}
+
+/**
+ * Reads the reply and mention options of the per-type send routes. In `multipart/form-data`
+ * requests `mentions` arrives as a comma separated list or a JSON array.
+ * @param {object} session - The session.
+ * @param {object} body - The request body.
+ * @returns {{ options?: object, error?: string }} The options for the session send methods, or an error.
+ */
+function parseSendOptions(session, { quotedMessageId, mentions }) {
+    if (typeof mentions === "string") {
+        try {
+            mentions = mentions.trim().startsWith("[")
+                ? JSON.parse(mentions)
+                : parseList(mentions);
+        } catch {
+            mentions = null;
+        }
+    }
+    if (
+        mentions !== undefined &&
+        (!Array.isArray(mentions) ||
+            mentions.some((value) => typeof value !== "string" || !value))
+    ) {
+        return { error: "mentions debe ser una lista de números o JIDs." };
+    }
+
+    const [unknown] = unknownMessageErrors(session, { quotedMessageId });
+    if (unknown) return { error: unknown.message };
+
+    return { options: { quotedMessageId, mentions } };
+}
+
+// Cuánto espera /qr el primer QR tras reiniciar una sesión fallida
+const QR_WAIT_MS = 15000;
+
+// Intervalo de los comentarios keep-alive del stream SSE (evita cortes de proxies)
+const SSE_HEARTBEAT_MS = 25000;
 
 class SessionController {
     /**
@@ -12,10 +250,28 @@ class SessionController {
      * @param {string} req.body.sessionId - The unique identifier for the session.
      * @param {string} [req.body.webhook] - Optional webhook URL for receiving message notifications.
      * @param {object} [req.body.metaConfig] - Optional configuration for the Meta API.
+     * @param {string} [req.body.webhookSecret] - Optional secret used to sign webhook deliveries.
+     * @param {object} [req.body.webhookDelivery] - Optional webhook delivery settings.
+     * @param {object} [req.body.mediaDelivery] - Optional media delivery settings (inline base64 or signed URL).
+     * @param {object} [req.body.storage] - Optional storage backend for media files (local or S3).
+     * @param {object} [req.body.history] - Optional settings for history and catch-up messages.
+     * @param {boolean} [req.body.forwardOwnMessages] - Whether the account's own messages are forwarded as `message.sent`.
+     * @param {number} [req.body.payloadVersion] - The version of the message payload (1 or 2).
      * @param {object} res - The Express response object.
      */
     async start(req, res) {
-        const { sessionId, webhook, metaConfig } = req.body;
+        const {
+            sessionId,
+            webhook,
+            metaConfig,
+            webhookSecret,
+            webhookDelivery,
+            mediaDelivery,
+            storage,
+            history,
+            forwardOwnMessages,
+            payloadVersion,
+        } = req.body;
         if (!sessionId) {
             return res.status(400).json({
                 success: false,
@@ -23,8 +279,30 @@ class SessionController {
             });
         }
 
+        const secretError =
+            validateWebhookSecret(webhookSecret) ||
+            validateWebhookDelivery(webhookDelivery) ||
+            validateMediaDelivery(mediaDelivery) ||
+            validateStorage(storage) ||
+            validateHistory(history) ||
+            validateForwardOwnMessages(forwardOwnMessages) ||
+            validatePayloadVersion(payloadVersion);
+        if (secretError) {
+            return res
+                .status(400)
+                .json({ success: false, message: secretError });
+        }
+
         try {
-            await SessionManager.startSession(sessionId, webhook, metaConfig);
+            await SessionManager.startSession(sessionId, webhook, metaConfig, {
+                webhookSecret,
+                webhookDelivery,
+                mediaDelivery,
+                storage,
+                history,
+                forwardOwnMessages,
+                payloadVersion,
+            });
             res.status(200).json({
                 success: true,
                 message: "La sesión está iniciando.",
@@ -40,6 +318,33 @@ class SessionController {
         }
     }
 
+    /**
+     * @summary Lists every session loaded on the server.
+     * @description Returns the status, configuration and queue depth of each session the API key
+     * has access to. Supports filtering by status and pagination.
+     * @param {object} req - The Express request object.
+     * @param {object} req.query - The query string.
+     * @param {string} [req.query.status] - Comma separated list of statuses to include.
+     * @param {string} [req.query.page=1] - 1-based page number.
+     * @param {string} [req.query.limit=50] - Page size (max 200).
+     * @param {object} res - The Express response object.
+     */
+    async list(req, res) {
+        const { page, limit, error } = parsePagination(req.query);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const result = SessionManager.listSessions({
+            status: parseList(req.query.status),
+            page,
+            limit,
+            filter: (sessionId) => canAccessSession(req.apiKey, sessionId),
+        });
+
+        res.status(200).json({ success: true, ...result });
+    }
+
     /**
      * @summary Gets the status of a specific session.
      * @description Retrieves the current connection status and QR code (if any) for a given session ID.
@@ -90,17 +395,20 @@ class SessionController {
             );
             session.retryCount = 0;
             session.status = "starting";
+            const nextEvent = session.events.waitFor(
+                ["qr.updated", "connection.open"],
+                QR_WAIT_MS
+            );
             await session.init();
+            await nextEvent;
 
-            setTimeout(() => {
-                res.status(200).json({
-                    success: true,
-                    qr: session.qr,
-                    message:
-                        "Proceso de conexión reiniciado. Nuevo QR generado.",
-                });
-            }, 2000);
-            return;
+            return res.status(200).json({
+                success: true,
+                qr: session.qr,
+                message: session.qr
+                    ? "Proceso de conexión reiniciado. Nuevo QR generado."
+                    : "Proceso de conexión reiniciado. El QR aún se está generando; sigue /events para recibirlo.",
+            });
         }
 
         if (session.status === "open") {
@@ -126,6 +434,199 @@ class SessionController {
         });
     }
 
+    /**
+     * @summary Streams the live events of a session as Server-Sent Events.
+     * @description Sends a `status` snapshot on connect and then every event of the session:
+     * QR refreshes, connection changes, incoming messages, receipts and send results (`job.updated`).
+     * Each event carries an `id`; a client that reconnects with `Last-Event-ID` (or the
+     * `lastEventId` query parameter) first receives the buffered events it missed.
+     * @param {object} req - The Express request object.
+     * @param {string} req.params.sessionId - The ID of the session.
+     * @param {object} res - The Express response object.
+     */
+    async events(req, res) {
+        const { sessionId } = req.params;
+        const session = SessionManager.getSession(sessionId);
+
+        if (!session) {
+            return res
+                .status(404)
+                .json({ success: false, message: "Sesión no encontrada." });
+        }
+
+        res.status(200).set({
+            "Content-Type": "text/event-stream",
+            "Cache-Control": "no-cache",
+            Connection: "keep-alive",
+            "X-Accel-Buffering": "no",
+        });
+        res.flushHeaders();
+
+        const write = (entry) =>
+            res.write(
+                `id: ${entry.id}\nevent: ${entry.event}\ndata: ${JSON.stringify(
+                    entry.payload
+                )}\n\n`
+            );
+
+        res.write("retry: 5000\n\n");
+        res.write(
+            `event: status\ndata: ${JSON.stringify({
+                event: "status",
+                sessionId,
+                timestamp: new Date().toISOString(),
+                status: session.status,
+                qr: session.qr,
+            })}\n\n`
+        );
+
+        const lastEventId = parseInt(
+            req.get("last-event-id") ?? req.query.lastEventId,
+            10
+        );
+        if (Number.isInteger(lastEventId)) {
+            session.events.since(lastEventId).forEach(write);
+        }
+
+        const unsubscribe = session.events.subscribe(write);
+        const heartbeat = setInterval(
+            () => res.write(": keep-alive\n\n"),
+            SSE_HEARTBEAT_MS
+        );
+
+        req.on("close", () => {
+            clearInterval(heartbeat);
+            unsubscribe();
+        });
+    }
+
+    /**
+     * @summary Sends a message of any type from a specific session.
+     * @description Unified send endpoint. The body is validated against the `SendMessage` schema
+     * (discriminated by `type`) and every invalid field is reported. Media comes as `media.url` or
+     * `media.base64`. `buttons` and `list` go through the Official Meta API; every other type goes
+     * through the session queue, like the per-type routes.
+     * @param {object} req - The Express request object.
+     * @param {string} req.params.sessionId - The ID of the session.
+     * @param {object} req.body - The message: `{ number, type, ...fields }`.
+     * @param {object} res - The Express response object.
+     */
+    async send(req, res) {
+        const { sessionId } = req.params;
+
+        const errors = validateMessage(req.body);
+        const { number, type, media, ...fields } = req.body;
+        if (
+            type === "poll" &&
+            fields.selectableCount > (fields.options?.length || 0)
+        ) {
+            errors.push({
+                field: "selectableCount",
+                message:
+                    "selectableCount no puede ser mayor que la cantidad de opciones.",
+            });
+        }
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: errors.map((error) => error.message).join(" "),
+                errors,
+            });
+        }
+
+        const session = SessionManager.getSession(sessionId);
+        if (!session) {
+            return res
+                .status(404)
+                .json({ success: false, message: "Sesión no encontrada." });
+        }
+
+        const unknown = unknownMessageErrors(session, fields);
+        if (unknown.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: unknown.map((error) => error.message).join(" "),
+                errors: unknown,
+            });
+        }
+
+        if (
+            (type === "buttons" || type === "list") &&
+            !session.officialService
+        ) {
+            return res.status(400).json({
+                success: false,
+                message:
+                    "Los mensajes buttons y list requieren la API Oficial de Meta (metaConfig) en la sesión.",
+            });
+        }
+
+        let file = null;
+        if (media) {
+            try {
+                file = await resolveMediaSource(media, type);
+            } catch (error) {
+                return sendMediaError(res, error, type, "media");
+            }
+        }
+
+        try {
+            let result;
+            if (type === "buttons") {
+                result = await session.sendButtonMessage(
+                    number,
+                    fields.text,
+                    fields.footer,
+                    fields.buttons
+                );
+            } else if (type === "list") {
+                result = await session.sendOfficialList(
+                    number,
+                    fields.title,
+                    fields.text,
+                    fields.footer,
+                    fields.buttonText,
+                    fields.sections
+                );
+            } else {
+                result = await session.sendContent(
+                    type,
+                    number,
+                    {
+                        ...fields,
+                        ...(file && {
+                            mimetype: file.mimetype,
+                            fileName: file.originalname,
+                        }),
+                    },
+                    file?.path
+                );
+            }
+
+            res.status(200).json({
+                success: true,
+                message:
+                    result?.status === "queued"
+                        ? "Mensaje encolado; se enviará cuando la sesión esté conectada."
+                        : "Mensaje enviado exitosamente.",
+                details: result,
+            });
+        } catch (error) {
+            logger.error(
+                { error },
+                `Error al enviar mensaje (${type}) desde ${sessionId}`
+            );
+            res.status(500).json({
+                success: false,
+                message: "Error al enviar el mensaje.",
+                error: error.message,
+            });
+        } finally {
+            // Si el envío se encoló, el archivo ya fue movido al almacenamiento de la sesión
+            if (file) await fs.rm(file.path, { force: true });
+        }
+    }
+
     /**
      * @summary Sends a text message from a specific session.
      * @description Uses an active session to send a plain text message to a specified phone number.
@@ -138,12 +639,13 @@ class SessionController {
      */
     async sendMessage(req, res) {
         const { sessionId } = req.params;
-        const { number, message } = req.body;
+        const { number, message, forwardFrom } = req.body;
 
-        if (!number || !message) {
+        if (!number || (!message && !forwardFrom)) {
             return res.status(400).json({
                 success: false,
-                message: "Los campos number y message son requeridos.",
+                message:
+                    "Los campos number y message (o forwardFrom) son requeridos.",
             });
         }
 
@@ -155,8 +657,22 @@ class SessionController {
                 .json({ success: false, message: "Sesión no encontrada." });
         }
 
+        const { options, error: optionsError } = parseSendOptions(
+            session,
+            req.body
+        );
+        const [unknownForward] = unknownMessageErrors(session, { forwardFrom });
+        if (optionsError || unknownForward) {
+            return res.status(400).json({
+                success: false,
+                message: optionsError || unknownForward.message,
+            });
+        }
+
         try {
-            const result = await session.sendMessage(number, message);
+            const result = forwardFrom
+                ? await session.sendContent("forward", number, { forwardFrom })
+                : await session.sendMessage(number, message, options);
             res.status(200).json({
                 success: true,
                 message: "Mensaje enviado exitosamente.",
@@ -178,12 +694,13 @@ class SessionController {
     /**
      * @summary Sends an image message from a specific session.
      * @description Uploads an image file and sends it to a specified phone number via an active session.
+     * If the session is not connected, the upload is kept in the session spool and the send is queued.
      * @param {object} req - The Express request object.
      * @param {string} req.params.sessionId - The ID of the session.
-     * @param {object} req.body - The request body from `multipart/form-data`.
+     * @param {object} req.body - The request body, from `multipart/form-data` or JSON (`url` or `base64`).
      * @param {string} req.body.number - The recipient's phone number.
      * @param {string} [req.body.caption] - An optional caption for the image.
-     * @param {object} req.file - The uploaded file object from Multer.
+     * @param {object} req.file - The uploaded file from Multer, or the temporary file built by `mediaInput`.
      * @param {object} res - The Express response object.
      */
     async sendImage(req, res) {
@@ -207,11 +724,30 @@ class SessionController {
                 .json({ success: false, message: "Sesión no encontrada." });
         }
 
+        const { options, error: optionsError } = parseSendOptions(
+            session,
+            req.body
+        );
+        if (optionsError) {
+            await fs.unlink(file.path);
+            return res
+                .status(400)
+                .json({ success: false, message: optionsError });
+        }
+
         try {
-            const result = await session.sendImage(number, file.path, caption);
+            const result = await session.sendImage(
+                number,
+                file.path,
+                caption,
+                options
+            );
             res.status(200).json({
                 success: true,
-                message: "Imagen enviada exitosamente.",
+                message:
+                    result.status === "queued"
+                        ? "Imagen encolada; se enviará cuando la sesión esté conectada."
+                        : "Imagen enviada exitosamente.",
                 details: result,
             });
         } catch (error) {
@@ -224,18 +760,20 @@ class SessionController {
                 message: "Error al enviar la imagen.",
             });
         } finally {
-            await fs.unlink(file.path);
+            // Si el envío se encoló, el archivo ya fue movido al spool de la sesión
+            await fs.rm(file.path, { force: true });
         }
     }
 
     /**
      * @summary Sends a document message from a specific session.
      * @description Uploads a document file (e.g., PDF) and sends it to a specified phone number.
+     * If the session is not connected, the upload is kept in the session spool and the send is queued.
      * @param {object} req - The Express request object.
      * @param {string} req.params.sessionId - The ID of the session.
-     * @param {object} req.body - The request body from `multipart/form-data`.
+     * @param {object} req.body - The request body, from `multipart/form-data` or JSON (`url` or `base64`).
      * @param {string} req.body.number - The recipient's phone number.
-     * @param {object} req.file - The uploaded file object from Multer.
+     * @param {object} req.file - The uploaded file from Multer, or the temporary file built by `mediaInput`.
      * @param {object} res - The Express response object.
      */
     async sendDocument(req, res) {
@@ -259,16 +797,31 @@ class SessionController {
                 .json({ success: false, message: "Sesión no encontrada." });
         }
 
+        const { options, error: optionsError } = parseSendOptions(
+            session,
+            req.body
+        );
+        if (optionsError) {
+            await fs.unlink(file.path);
+            return res
+                .status(400)
+                .json({ success: false, message: optionsError });
+        }
+
         try {
             const result = await session.sendDocument(
                 number,
                 file.path,
                 file.originalname,
-                file.mimetype
+                file.mimetype,
+                options
             );
             res.status(200).json({
                 success: true,
-                message: "Documento enviado exitosamente.",
+                message:
+                    result.status === "queued"
+                        ? "Documento encolado; se enviará cuando la sesión esté conectada."
+                        : "Documento enviado exitosamente.",
                 details: result,
             });
         } catch (error) {
@@ -281,18 +834,20 @@ class SessionController {
                 message: "Error al enviar el documento.",
             });
         } finally {
-            await fs.unlink(file.path);
+            // Si el envío se encoló, el archivo ya fue movido al spool de la sesión
+            await fs.rm(file.path, { force: true });
         }
     }
 
     /**
      * @summary Sends an audio message from a specific session.
      * @description Uploads an audio file and sends it to a specified phone number.
+     * If the session is not connected, the upload is kept in the session spool and the send is queued.
      * @param {object} req - The Express request object.
      * @param {string} req.params.sessionId - The ID of the session.
-     * @param {object} req.body - The request body from `multipart/form-data`.
+     * @param {object} req.body - The request body, from `multipart/form-data` or JSON (`url` or `base64`).
      * @param {string} req.body.number - The recipient's phone number.
-     * @param {object} req.file - The uploaded file object from Multer.
+     * @param {object} req.file - The uploaded file from Multer, or the temporary file built by `mediaInput`.
      * @param {object} res - The Express response object.
      */
     async sendAudio(req, res) {
@@ -316,15 +871,30 @@ class SessionController {
                 .json({ success: false, message: "Sesión no encontrada." });
         }
 
+        const { options, error: optionsError } = parseSendOptions(
+            session,
+            req.body
+        );
+        if (optionsError) {
+            await fs.unlink(file.path);
+            return res
+                .status(400)
+                .json({ success: false, message: optionsError });
+        }
+
         try {
             const result = await session.sendAudio(
                 number,
                 file.path,
-                file.mimetype
+                file.mimetype,
+                options
             );
             res.status(200).json({
                 success: true,
-                message: "Audio enviado exitosamente.",
+                message:
+                    result.status === "queued"
+                        ? "Audio encolado; se enviará cuando la sesión esté conectada."
+                        : "Audio enviado exitosamente.",
                 details: result,
             });
         } catch (error) {
@@ -334,19 +904,21 @@ class SessionController {
                 message: "Error al enviar el audio.",
             });
         } finally {
-            await fs.unlink(file.path);
+            // Si el envío se encoló, el archivo ya fue movido al spool de la sesión
+            await fs.rm(file.path, { force: true });
         }
     }
 
     /**
      * @summary Sends a video message from a specific session.
      * @description Uploads a video file and sends it to a specified phone number.
+     * If the session is not connected, the upload is kept in the session spool and the send is queued.
      * @param {object} req - The Express request object.
      * @param {string} req.params.sessionId - The ID of the session.
-     * @param {object} req.body - The request body from `multipart/form-data`.
+     * @param {object} req.body - The request body, from `multipart/form-data` or JSON (`url` or `base64`).
      * @param {string} req.body.number - The recipient's phone number.
      * @param {string} [req.body.caption] - An optional caption for the video.
-     * @param {object} req.file - The uploaded file object from Multer.
+     * @param {object} req.file - The uploaded file from Multer, or the temporary file built by `mediaInput`.
      * @param {object} res - The Express response object.
      */
     async sendVideo(req, res) {
@@ -370,11 +942,30 @@ class SessionController {
                 .json({ success: false, message: "Sesión no encontrada." });
         }
 
+        const { options, error: optionsError } = parseSendOptions(
+            session,
+            req.body
+        );
+        if (optionsError) {
+            await fs.unlink(file.path);
+            return res
+                .status(400)
+                .json({ success: false, message: optionsError });
+        }
+
         try {
-            const result = await session.sendVideo(number, file.path, caption);
+            const result = await session.sendVideo(
+                number,
+                file.path,
+                caption,
+                options
+            );
             res.status(200).json({
                 success: true,
-                message: "Video enviado exitosamente.",
+                message:
+                    result.status === "queued"
+                        ? "Video encolado; se enviará cuando la sesión esté conectada."
+                        : "Video enviado exitosamente.",
                 details: result,
             });
         } catch (error) {
@@ -384,7 +975,8 @@ class SessionController {
                 message: "Error al enviar el video.",
             });
         } finally {
-            await fs.unlink(file.path);
+            // Si el envío se encoló, el archivo ya fue movido al spool de la sesión
+            await fs.rm(file.path, { force: true });
         }
     }
 
@@ -513,6 +1105,88 @@ class SessionController {
         }
     }
 
+    /**
+     * @summary Gets the delivery status of an outbound message.
+     * @description Returns the lifecycle of a send (queued, sending, sent, failed) by the job ID
+     * returned when the message was submitted, including the WhatsApp message ID once sent.
+     * @param {object} req - The Express request object.
+     * @param {string} req.params.sessionId - The ID of the session.
+     * @param {string} req.params.jobId - The job ID returned by the send endpoint.
+     * @param {object} res - The Express response object.
+     */
+    async getMessageJob(req, res) {
+        const { sessionId, jobId } = req.params;
+        const session = SessionManager.getSession(sessionId);
+
+        if (!session) {
+            return res
+                .status(404)
+                .json({ success: false, message: "Sesión no encontrada." });
+        }
+
+        const job = session.jobTracker.get(jobId);
+        if (!job) {
+            return res
+                .status(404)
+                .json({ success: false, message: "Job no encontrado." });
+        }
+
+        res.status(200).json({ success: true, data: job });
+    }
+
+    /**
+     * @summary Lists the outbound messages of a session and their delivery status.
+     * @description Newest first. Can be filtered by status, message type, recipient and creation date.
+     * @param {object} req - The Express request object.
+     * @param {string} req.params.sessionId - The ID of the session.
+     * @param {object} req.query - Filters: `status` (comma separated), `type`, `recipient`, `since`, `page`, `limit`.
+     * @param {object} res - The Express response object.
+     */
+    async listMessageJobs(req, res) {
+        const { sessionId } = req.params;
+        const session = SessionManager.getSession(sessionId);
+
+        if (!session) {
+            return res
+                .status(404)
+                .json({ success: false, message: "Sesión no encontrada." });
+        }
+
+        const { page, limit, error } = parsePagination(req.query);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const status = parseList(req.query.status);
+        const invalidStatus = status?.find(
+            (value) => !JOB_STATUSES.includes(value)
+        );
+        if (invalidStatus) {
+            return res.status(400).json({
+                success: false,
+                message: `Estado inválido: ${invalidStatus}. Valores permitidos: ${JOB_STATUSES.join(", ")}.`,
+            });
+        }
+
+        if (req.query.since && isNaN(new Date(req.query.since).getTime())) {
+            return res.status(400).json({
+                success: false,
+                message: "El parámetro since debe ser una fecha ISO 8601.",
+            });
+        }
+
+        const result = session.jobTracker.list({
+            status,
+            type: req.query.type,
+            recipient: req.query.recipient,
+            since: req.query.since,
+            page,
+            limit,
+        });
+
+        res.status(200).json({ success: true, ...result });
+    }
+
     /**
      * @summary Ends a WhatsApp session.
      * @description Logs out the session, which triggers a cleanup of the session's authentication files.
@@ -539,7 +1213,9 @@ class SessionController {
 
     /**
      * @summary Updates the metadata of an active session.
-     * @description Allows for dynamically changing the `webhook` URL and/or the `metaConfig` for a session.
+     * @description Allows for dynamically changing the `webhook` URL, its `webhookSecret`, the `webhookDelivery`
+     * `mediaDelivery` and `history` settings, `forwardOwnMessages`, `payloadVersion`, the `storage` backend and/or the
+     * `metaConfig` for a session.
      * The changes are persisted to the session's `metadata.json` file.
      * @param {object} req - The Express request object.
      * @param {string} req.params.sessionId - The ID of the session to update.
@@ -548,20 +1224,76 @@ class SessionController {
      */
     async updateMetadata(req, res) {
         const { sessionId } = req.params;
-        const { webhook, metaConfig } = req.body;
+        const {
+            webhook,
+            metaConfig,
+            webhookSecret,
+            webhookDelivery,
+            mediaDelivery,
+            storage,
+            history,
+            forwardOwnMessages,
+            payloadVersion,
+        } = req.body;
 
-        if (webhook === undefined && metaConfig === undefined) {
+        if (
+            webhook === undefined &&
+            metaConfig === undefined &&
+            webhookSecret === undefined &&
+            webhookDelivery === undefined &&
+            mediaDelivery === undefined &&
+            storage === undefined &&
+            history === undefined &&
+            forwardOwnMessages === undefined &&
+            payloadVersion === undefined
+        ) {
             return res.status(400).json({
                 success: false,
                 message:
-                    "Debe proporcionar al menos un campo para actualizar (webhook o metaConfig).",
+                    "Debe proporcionar al menos un campo para actualizar (webhook, metaConfig, webhookSecret, webhookDelivery, mediaDelivery, storage, history, forwardOwnMessages o payloadVersion).",
+            });
+        }
+
+        const secretError =
+            validateWebhookSecret(webhookSecret) ||
+            validateWebhookDelivery(webhookDelivery) ||
+            validateMediaDelivery(mediaDelivery) ||
+            validateStorage(storage) ||
+            validateHistory(history) ||
+            validateForwardOwnMessages(forwardOwnMessages) ||
+            validatePayloadVersion(payloadVersion);
+        if (secretError) {
+            return res
+                .status(400)
+                .json({ success: false, message: secretError });
+        }
+
+        // Los archivos no se migran: los envíos encolados perderían su media
+        if (
+            storage !== undefined &&
+            SessionManager.getSession(sessionId)?.hasQueuedMedia()
+        ) {
+            return res.status(409).json({
+                success: false,
+                message:
+                    "La sesión tiene envíos de media encolados; espere a que se envíen antes de cambiar el almacenamiento.",
             });
         }
 
         try {
             const updatedMeta = await SessionManager.updateSessionMetadata(
                 sessionId,
-                { webhook, metaConfig }
+                {
+                    webhook,
+                    metaConfig,
+                    webhookSecret,
+                    webhookDelivery,
+                    mediaDelivery,
+                    storage,
+                    history,
+                    forwardOwnMessages,
+                    payloadVersion,
+                }
             );
 
             res.status(200).json({
@@ -571,6 +1303,13 @@ class SessionController {
                 data: {
                     webhook: updatedMeta.webhookUrl,
                     metaConfig: updatedMeta.metaConfig,
+                    webhookSecret: maskSecret(updatedMeta.webhookSecret),
+                    webhookDelivery: updatedMeta.webhookDelivery || null,
+                    mediaDelivery: updatedMeta.mediaDelivery || null,
+                    history: updatedMeta.history || null,
+                    forwardOwnMessages: updatedMeta.forwardOwnMessages ?? null,
+                    payloadVersion: updatedMeta.payloadVersion ?? null,
+                    storage: maskStorageConfig(updatedMeta.storage),
                 },
             });
         } catch (error) {
@@ -0,0 +1,471 @@
+import SessionManager from "../../services/SessionManager.js";
+import {
+    WEBHOOK_EVENT_CATEGORIES,
+    WEBHOOK_CHAT_TYPES,
+} from "../../services/WebhookSubscriptions.js";
+import logger from "../../utils/logger.js";
+import { maskSecret } from "../../utils/mask.js";
+import { parsePagination } from "../../utils/query.js";
+import { validateWebhookSecret } from "../../utils/webhookSignature.js";
+
+const SUBSCRIPTION_FIELDS = [
+    "url",
+    "secret",
+    "name",
+    "events",
+    "filters",
+    "enabled",
+];
+
+/**
+ * @param {*} value
+ * @returns {boolean} Whether the value is an array of non empty strings.
+ */
+function isStringList(value) {
+    return (
+        Array.isArray(value) &&
+        value.every((item) => typeof item === "string" && item.trim() !== "")
+    );
+}
+
+/**
+ * Validates the body of a webhook subscription.
+ * @param {object} body - The request body.
+ * @param {object} [options]
+ * @param {boolean} [options.partial=false] - Whether fields may be omitted (updates).
+ * @returns {string|undefined} The error message, if invalid.
+ */
+function validateSubscription(body, { partial = false } = {}) {
+    const unknown = Object.keys(body).find(
+        (field) => !SUBSCRIPTION_FIELDS.includes(field)
+    );
+    if (unknown) return `Campo desconocido: ${unknown}.`;
+
+    if (body.url !== undefined || !partial) {
+        let url;
+        try {
+            url = new URL(body.url);
+        } catch {
+            url = null;
+        }
+        if (!url || !["http:", "https:"].includes(url.protocol)) {
+            return "El campo url debe ser una URL http(s) válida.";
+        }
+    }
+
+    const secretError = validateWebhookSecret(body.secret, "secret");
+    if (secretError) return secretError;
+
+    if (
+        body.name !== undefined &&
+        body.name !== null &&
+        (typeof body.name !== "string" || body.name.length > 100)
+    ) {
+        return "El campo name debe ser un texto de hasta 100 caracteres.";
+    }
+
+    if (body.events !== undefined) {
+        if (
+            !isStringList(body.events) ||
+            body.events.length === 0 ||
+            body.events.some(
+                (event) => !WEBHOOK_EVENT_CATEGORIES.includes(event)
+            )
+        ) {
+            return `El campo events debe ser un arreglo con valores de: ${WEBHOOK_EVENT_CATEGORIES.join(", ")}.`;
+        }
+    }
+
+    if (body.filters !== undefined && body.filters !== null) {
+        const { filters } = body;
+        if (typeof filters !== "object" || Array.isArray(filters)) {
+            return "El campo filters debe ser un objeto.";
+        }
+
+        for (const [field, value] of Object.entries(filters)) {
+            if (!["chatTypes", "senders", "messageTypes"].includes(field)) {
+                return `Filtro desconocido: ${field}.`;
+            }
+            if (!isStringList(value)) {
+                return `El filtro ${field} debe ser un arreglo de textos.`;
+            }
+        }
+
+        if (
+            filters.chatTypes?.some(
+                (type) => !WEBHOOK_CHAT_TYPES.includes(type)
+            )
+        ) {
+            return `El filtro chatTypes solo acepta: ${WEBHOOK_CHAT_TYPES.join(", ")}.`;
+        }
+    }
+
+    if (body.enabled !== undefined && typeof body.enabled !== "boolean") {
+        return "El campo enabled debe ser booleano.";
+    }
+
+    return undefined;
+}
+
+/**
+ * Presents a subscription with its secret masked.
+ * @param {object} subscription - The stored subscription.
+ * @returns {object}
+ */
+function toSubscription(subscription) {
+    return { ...subscription, secret: maskSecret(subscription.secret) };
+}
+
+/**
+ * Presents a dead-letter entry without the raw Baileys message (large and internal);
+ * only its WhatsApp ID is kept for reference.
+ * @param {object} entry - The stored entry.
+ * @returns {object}
+ */
+function toFailedWebhook({ rawMessage, ...entry }) {
+    return { ...entry, messageId: rawMessage?.key?.id || null };
+}
+
+class WebhookController {
+    /**
+     * @summary Lists the webhook subscriptions of a session.
+     * @param {object} req - The Express request object.
+     * @param {string} req.params.sessionId - The ID of the session.
+     * @param {object} res - The Express response object.
+     */
+    async list(req, res) {
+        const session = SessionManager.getSession(req.params.sessionId);
+
+        if (!session) {
+            return res
+                .status(404)
+                .json({ success: false, message: "Sesión no encontrada." });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: session.webhooks.list().map(toSubscription),
+        });
+    }
+
+    /**
+     * @summary Registers a webhook subscription.
+     * @description The subscription receives the enabled event categories (all of them by default)
+     * that pass its filters, signed with its own secret. The session webhook keeps receiving everything.
+     * @param {object} req - The Express request object.
+     * @param {string} req.params.sessionId - The ID of the session.
+     * @param {object} req.body - `{ url, secret, name, events, filters, enabled }`.
+     * @param {object} res - The Express response object.
+     */
+    async create(req, res) {
+        const { sessionId } = req.params;
+        const session = SessionManager.getSession(sessionId);
+
+        if (!session) {
+            return res
+                .status(404)
+                .json({ success: false, message: "Sesión no encontrada." });
+        }
+
+        const body = req.body || {};
+        const validationError = validateSubscription(body);
+        if (validationError) {
+            return res
+                .status(400)
+                .json({ success: false, message: validationError });
+        }
+
+        try {
+            const subscription = session.webhooks.create(body);
+            logger.info(
+                `[${sessionId}] Webhook ${subscription.id} registrado (${subscription.url}).`
+            );
+            res.status(201).json({
+                success: true,
+                message: "Webhook registrado correctamente.",
+                data: toSubscription(subscription),
+            });
+        } catch (error) {
+            logger.error(
+                { error },
+                `[${sessionId}] Error al registrar webhook`
+            );
+            res.status(500).json({
+                success: false,
+                message: "Error al guardar el webhook.",
+                error: error.message,
+            });
+        }
+    }
+
+    /**
+     * @summary Gets one webhook subscription.
+     * @param {object} req - The Express request object.
+     * @param {string} req.params.sessionId - The ID of the session.
+     * @param {string} req.params.webhookId - The ID of the subscription.
+     * @param {object} res - The Express response object.
+     */
+    async get(req, res) {
+        const session = SessionManager.getSession(req.params.sessionId);
+
+        if (!session) {
+            return res
+                .status(404)
+                .json({ success: false, message: "Sesión no encontrada." });
+        }
+
+        const subscription = session.webhooks.get(req.params.webhookId);
+        if (!subscription) {
+            return res
+                .status(404)
+                .json({ success: false, message: "Webhook no encontrado." });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: toSubscription(subscription),
+        });
+    }
+
+    /**
+     * @summary Updates a webhook subscription.
+     * @description Only the fields sent are changed; `filters` is replaced as a whole.
+     * Deliveries already queued go to the updated URL, signed with the updated secret.
+     * @param {object} req - The Express request object.
+     * @param {string} req.params.sessionId - The ID of the session.
+     * @param {string} req.params.webhookId - The ID of the subscription.
+     * @param {object} req.body - The fields to change.
+     * @param {object} res - The Express response object.
+     */
+    async update(req, res) {
+        const { sessionId, webhookId } = req.params;
+        const session = SessionManager.getSession(sessionId);
+
+        if (!session) {
+            return res
+                .status(404)
+                .json({ success: false, message: "Sesión no encontrada." });
+        }
+
+        const body = req.body || {};
+        if (Object.keys(body).length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Debe proporcionar al menos un campo para actualizar (${SUBSCRIPTION_FIELDS.join(", ")}).`,
+            });
+        }
+
+        const validationError = validateSubscription(body, { partial: true });
+        if (validationError) {
+            return res
+                .status(400)
+                .json({ success: false, message: validationError });
+        }
+
+        try {
+            const changes = {
+                ...body,
+                ...(body.filters === null && { filters: {} }),
+            };
+            const subscription = session.webhooks.update(webhookId, changes);
+            if (!subscription) {
+                return res.status(404).json({
+                    success: false,
+                    message: "Webhook no encontrado.",
+                });
+            }
+
+            logger.info(`[${sessionId}] Webhook ${webhookId} actualizado.`);
+            res.status(200).json({
+                success: true,
+                message: "Webhook actualizado correctamente.",
+                data: toSubscription(subscription),
+            });
+        } catch (error) {
+            logger.error(
+                { error },
+                `[${sessionId}] Error al actualizar webhook ${webhookId}`
+            );
+            res.status(500).json({
+                success: false,
+                message: "Error al guardar el webhook.",
+                error: error.message,
+            });
+        }
+    }
+
+    /**
+     * @summary Deletes a webhook subscription.
+     * @description Its pending deliveries are dropped; failed ones stay in the failed list.
+     * @param {object} req - The Express request object.
+     * @param {string} req.params.sessionId - The ID of the session.
+     * @param {string} req.params.webhookId - The ID of the subscription.
+     * @param {object} res - The Express response object.
+     */
+    async remove(req, res) {
+        const { sessionId, webhookId } = req.params;
+        const session = SessionManager.getSession(sessionId);
+
+        if (!session) {
+            return res
+                .status(404)
+                .json({ success: false, message: "Sesión no encontrada." });
+        }
+
+        try {
+            if (!session.webhooks.remove(webhookId)) {
+                return res.status(404).json({
+                    success: false,
+                    message: "Webhook no encontrado.",
+                });
+            }
+
+            logger.info(`[${sessionId}] Webhook ${webhookId} eliminado.`);
+            res.status(200).json({
+                success: true,
+                message: "Webhook eliminado correctamente.",
+            });
+        } catch (error) {
+            logger.error(
+                { error },
+                `[${sessionId}] Error al eliminar webhook ${webhookId}`
+            );
+            res.status(500).json({
+                success: false,
+                message: "Error al guardar los webhooks.",
+                error: error.message,
+            });
+        }
+    }
+
+    /**
+     * @summary Lists the webhook deliveries of a session that were given up on.
+     * @description Newest first. Each entry holds the payload, the reason (`rejected` for a 4xx,
+     * `max_retries` when retries were exhausted, `expired` when it got too old), the attempt history
+     * and the last error.
+     * @param {object} req - The Express request object.
+     * @param {string} req.params.sessionId - The ID of the session.
+     * @param {object} req.query - `page` and `limit`.
+     * @param {object} res - The Express response object.
+     */
+    async listFailed(req, res) {
+        const session = SessionManager.getSession(req.params.sessionId);
+
+        if (!session) {
+            return res
+                .status(404)
+                .json({ success: false, message: "Sesión no encontrada." });
+        }
+
+        const { page, limit, error } = parsePagination(req.query);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const { data, pagination } = session.deadLetters.list({ page, limit });
+        res.status(200).json({
+            success: true,
+            data: data.map(toFailedWebhook),
+            pagination,
+        });
+    }
+
+    /**
+     * @summary Re-sends one failed webhook delivery.
+     * @param {object} req - The Express request object.
+     * @param {string} req.params.sessionId - The ID of the session.
+     * @param {string} req.params.failedId - The ID of the failed delivery.
+     * @param {object} res - The Express response object.
+     */
+    async replayFailed(req, res) {
+        const { sessionId, failedId } = req.params;
+        const session = SessionManager.getSession(sessionId);
+
+        if (!session) {
+            return res
+                .status(404)
+                .json({ success: false, message: "Sesión no encontrada." });
+        }
+
+        if (!session.hasWebhooks()) {
+            return res.status(409).json({
+                success: false,
+                message: "La sesión no tiene un webhook configurado.",
+            });
+        }
+
+        const { replayed, unavailable } = session.replayFailedWebhooks([
+            failedId,
+        ]);
+        if (unavailable.length > 0) {
+            return res.status(409).json({
+                success: false,
+                message:
+                    "El webhook de destino de esta entrega ya no existe o está desactivado.",
+            });
+        }
+        if (replayed.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: "Webhook fallido no encontrado.",
+            });
+        }
+
+        logger.info(`[${sessionId}] Webhook fallido ${failedId} re-encolado.`);
+        res.status(202).json({
+            success: true,
+            message: "El webhook fue re-encolado para su envío.",
+            replayed,
+        });
+    }
+
+    /**
+     * @summary Re-sends several (or all) failed webhook deliveries.
+     * @param {object} req - The Express request object.
+     * @param {string} req.params.sessionId - The ID of the session.
+     * @param {string[]} [req.body.ids] - The deliveries to replay; all of them if omitted.
+     * @param {object} res - The Express response object.
+     */
+    async replayFailedBulk(req, res) {
+        const { sessionId } = req.params;
+        const { ids } = req.body || {};
+        const session = SessionManager.getSession(sessionId);
+
+        if (!session) {
+            return res
+                .status(404)
+                .json({ success: false, message: "Sesión no encontrada." });
+        }
+
+        if (
+            ids !== undefined &&
+            (!Array.isArray(ids) || ids.some((id) => typeof id !== "string"))
+        ) {
+            return res.status(400).json({
+                success: false,
+                message: "El campo ids debe ser un arreglo de IDs.",
+            });
+        }
+
+        if (!session.hasWebhooks()) {
+            return res.status(409).json({
+                success: false,
+                message: "La sesión no tiene un webhook configurado.",
+            });
+        }
+
+        const result = session.replayFailedWebhooks(ids);
+        const skipped =
+            result.unavailable.length > 0
+                ? ` ${result.unavailable.length} no se reenviaron porque su webhook ya no existe o está desactivado.`
+                : "";
+        res.status(202).json({
+            success: true,
+            message: `${result.replayed.length} webhook(s) re-encolado(s) para su envío.${skipped}`,
+            ...result,
+        });
+    }
+}
+
+const webhookController = new WebhookController();
+export default webhookController;
@@ -0,0 +1,126 @@
+import crypto from "crypto";
+import apiKeys, { SCOPES } from "../../config/apiKeys.js";
+import logger from "../../utils/logger.js";
+
+/**
+ * Hashes a key so that every comparison works on buffers of the same length,
+ * which is a requirement of `crypto.timingSafeEqual`.
+ * @param {string} value - The key to hash.
+ * @returns {Buffer}
+ */
+const digest = (value) => crypto.createHash("sha256").update(value).digest();
+
+/**
+ * Finds the configured key that matches the provided one using constant-time comparison.
+ * Every configured key is compared (no early exit) so the response time doesn't reveal
+ * which key, if any, was close to the provided one.
+ * @param {string} providedKey - The key sent by the client.
+ * @returns {object|null} The matching key definition or null.
+ */
+export function findApiKey(providedKey) {
+    if (typeof providedKey !== "string" || !providedKey) return null;
+
+    const provided = digest(providedKey);
+    let match = null;
+
+    for (const apiKey of apiKeys) {
+        if (crypto.timingSafeEqual(provided, digest(apiKey.key)) && !match) {
+            match = apiKey;
+        }
+    }
+
+    return match;
+}
+
+/**
+ * Checks whether an API key is allowed to operate on a session.
+ * @param {object} apiKey - The authenticated key (`req.apiKey`).
+ * @param {string} sessionId - The session being accessed.
+ * @returns {boolean}
+ */
+export function canAccessSession(apiKey, sessionId) {
+    return apiKey.sessions.includes("*") || apiKey.sessions.includes(sessionId);
+}
+
+/**
+ * Checks whether an API key has at least the given scope.
+ * @param {object} apiKey - The authenticated key (`req.apiKey`).
+ * @param {string} scope - The required scope (`read`, `send` or `admin`).
+ * @returns {boolean}
+ */
+export function hasScope(apiKey, scope) {
+    return SCOPES.indexOf(apiKey.scope) >= SCOPES.indexOf(scope);
+}
+
+/**
+ * Express middleware that validates the `x-api-key` header.
+ * On success the key definition (without the secret) is attached to `req.apiKey`.
+ * Requests already authenticated by `authenticateEventStream` pass through.
+ */
+export function authenticate(req, res, next) {
+    if (req.apiKey) return next();
+    checkApiKey(req, res, next, req.get("x-api-key"));
+}
+
+/**
+ * Like `authenticate`, but also accepts the key as the `apiKey` query parameter, because
+ * `EventSource` can't send custom headers. Only for the SSE stream: keys in URLs end up in
+ * access and proxy logs.
+ */
+export function authenticateEventStream(req, res, next) {
+    checkApiKey(req, res, next, req.get("x-api-key") ?? req.query.apiKey);
+}
+
+/**
+ * Validates the provided key and attaches it to `req.apiKey`, or answers 401.
+ * @private
+ */
+function checkApiKey(req, res, next, providedKey) {
+    const apiKey = findApiKey(providedKey);
+
+    if (!apiKey) {
+        // Sin la query string: puede contener la key
+        logger.warn(
+            `Petición no autorizada a ${req.method} ${req.baseUrl}${req.path} desde ${req.ip}`
+        );
+        return res.status(401).json({
+            success: false,
+            message: "API key inválida o ausente (header x-api-key).",
+        });
+    }
+
+    req.apiKey = {
+        name: apiKey.name,
+        scope: apiKey.scope,
+        sessions: apiKey.sessions,
+    };
+    next();
+}
+
+/**
+ * Builds a middleware that requires a minimum scope and, when the request targets a session
+ * (`:sessionId` param or `sessionId` in the body), access to that session.
+ * Must run after `authenticate`.
+ * @param {string} scope - The minimum scope required (`read`, `send` or `admin`).
+ * @returns {Function} Express middleware.
+ */
+export function authorize(scope) {
+    return (req, res, next) => {
+        if (!hasScope(req.apiKey, scope)) {
+            return res.status(403).json({
+                success: false,
+                message: `La API key '${req.apiKey.name}' no tiene permisos suficientes (requiere scope '${scope}').`,
+            });
+        }
+
+        const sessionId = req.params.sessionId ?? req.body?.sessionId;
+        if (sessionId && !canAccessSession(req.apiKey, sessionId)) {
+            return res.status(403).json({
+                success: false,
+                message: `La API key '${req.apiKey.name}' no tiene acceso a la sesión ${sessionId}.`,
+            });
+        }
+
+        next();
+    };
+}
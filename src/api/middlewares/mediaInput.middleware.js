@@ -0,0 +1,431 @@
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import dns from "dns";
+import net from "net";
+import express from "express";
+import multer from "multer";
+import { Agent, fetch } from "undici";
+import { Readable, Transform } from "stream";
+import { pipeline } from "stream/promises";
+
+import logger from "../../utils/logger.js";
+
+const UPLOAD_DIR = "uploads/";
+const upload = multer({ dest: UPLOAD_DIR });
+
+// Límite de los archivos enviados por URL o base64 (64 MB por defecto)
+export const MEDIA_MAX_BYTES = parseInt(
+    process.env.MEDIA_MAX_BYTES || "67108864",
+    10
+);
+const MEDIA_FETCH_TIMEOUT_MS = parseInt(
+    process.env.MEDIA_FETCH_TIMEOUT_MS || "30000",
+    10
+);
+// Redirecciones que se siguen al descargar media por URL
+const MEDIA_FETCH_MAX_REDIRECTS = 5;
+// Hosts que sí pueden resolverse a direcciones privadas (p. ej. un almacenamiento interno)
+const MEDIA_URL_ALLOWED_HOSTS = new Set(
+    (process.env.MEDIA_URL_ALLOWED_HOSTS || "")
+        .split(",")
+        .map((host) => host.trim().toLowerCase())
+        .filter(Boolean)
+);
+
+/**
+ * Addresses a media URL can't resolve to, so the server can't be used to reach its own
+ * network: unspecified, loopback, private, CGNAT, link-local, multicast and reserved ranges,
+ * plus IPv4-mapped IPv6 addresses.
+ */
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+    ["0.0.0.0", 8],
+    ["10.0.0.0", 8],
+    ["100.64.0.0", 10],
+    ["127.0.0.0", 8],
+    ["169.254.0.0", 16],
+    ["172.16.0.0", 12],
+    ["192.0.0.0", 24],
+    ["192.168.0.0", 16],
+    ["198.18.0.0", 15],
+    ["224.0.0.0", 4],
+    ["240.0.0.0", 4],
+    ["::", 128],
+    ["::1", 128],
+    ["::ffff:0:0", 96],
+    ["64:ff9b::", 96],
+    ["fc00::", 7],
+    ["fe80::", 10],
+    ["ff00::", 8],
+]) {
+    BLOCKED_ADDRESSES.addSubnet(
+        address,
+        prefix,
+        net.isIPv6(address) ? "ipv6" : "ipv4"
+    );
+}
+
+/**
+ * Dispatcher of the media downloads: every connection, redirects included, resolves its host
+ * through `publicLookup`.
+ */
+const publicAgent = new Agent({ connect: { lookup: publicLookup } });
+
+/**
+ * Body limit for the JSON of the media send routes, large enough for a `MEDIA_MAX_BYTES` file
+ * encoded in base64.
+ */
+const JSON_BODY_LIMIT = Math.ceil((MEDIA_MAX_BYTES * 4) / 3) + 65536;
+
+/**
+ * JSON parser for the routes that accept media in base64. Only those routes, once the API key
+ * is authorized, read bodies up to `JSON_BODY_LIMIT`; the rest of the API keeps the default
+ * limit of `express.json()`.
+ */
+export const mediaJsonBody = express.json({ limit: JSON_BODY_LIMIT });
+
+/**
+ * Mimetype prefixes accepted for each kind of media. Documents accept any type.
+ */
+const ACCEPTED_TYPES = {
+    image: "image/",
+    video: "video/",
+    audio: "audio/",
+    document: "",
+    sticker: "image/webp",
+};
+
+/**
+ * An invalid media source, answered with `status` and `message`.
+ */
+export class MediaInputError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * Accepts the media of a send route either as a `multipart/form-data` upload (field `kind`)
+ * or as JSON with `url` (downloaded by the server) or `base64` plus `mimetype`/`fileName`.
+ * Either way the controller receives `req.file` (`{ path, originalname, mimetype, size }`)
+ * pointing to a temporary file in `uploads/`.
+ * @param {"image"|"video"|"audio"|"document"} kind - The kind of media, also the multipart field name.
+ * @returns {Function} The Express middleware.
+ */
+export function mediaInput(kind) {
+    const multipart = upload.single(kind);
+
+    return async (req, res, next) => {
+        if (req.is("multipart/form-data")) return multipart(req, res, next);
+
+        const { url, base64 } = req.body || {};
+        if (url === undefined && base64 === undefined) return next();
+
+        try {
+            req.file = await resolveMediaSource(req.body, kind);
+            next();
+        } catch (error) {
+            sendMediaError(res, error, kind);
+        }
+    };
+}
+
+/**
+ * Turns a JSON media source into a temporary file in `uploads/`.
+ * @param {object} source - `{ url }` or `{ base64 }`, plus optional `mimetype` and `fileName`.
+ * @param {"image"|"video"|"audio"|"document"|"sticker"} kind - The kind of media being sent.
+ * @returns {Promise<object>} A Multer-like file `{ fieldname, originalname, mimetype, path, size }`.
+ * @throws {MediaInputError} If the source is invalid, too large or can't be downloaded.
+ */
+export async function resolveMediaSource(source, kind) {
+    const { url, base64 } = source;
+    if ((url === undefined) === (base64 === undefined)) {
+        throw new MediaInputError("Envíe url o base64 (solo uno de los dos).");
+    }
+    return url !== undefined
+        ? fileFromUrl(url, kind, source)
+        : fileFromBase64(base64, kind, source);
+}
+
+/**
+ * Answers a failed `resolveMediaSource` (400/413 for invalid sources, 500 otherwise).
+ * @param {object} res - The Express response object.
+ * @param {Error} error - The error thrown.
+ * @param {string} kind - The kind of media being sent.
+ * @param {string} [field] - The body field holding the source, reported in `errors` like schema errors.
+ */
+export function sendMediaError(res, error, kind, field) {
+    if (!(error instanceof MediaInputError)) {
+        logger.error(
+            { error },
+            `No se pudo preparar la media (${kind}) del envío`
+        );
+        return res.status(500).json({
+            success: false,
+            message: "No se pudo preparar el archivo a enviar.",
+        });
+    }
+
+    res.status(error.status).json({
+        success: false,
+        message: error.message,
+        ...(field && { errors: [{ field, message: error.message }] }),
+    });
+}
+
+/**
+ * Downloads a remote file into `uploads/`, enforcing the size limit while streaming.
+ * @private
+ */
+async function fileFromUrl(url, kind, { mimetype, fileName } = {}) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        parsed = null;
+    }
+    if (!parsed || !["http:", "https:"].includes(parsed.protocol)) {
+        throw new MediaInputError("url debe ser una URL http(s) válida.");
+    }
+
+    const response = await fetchPublicUrl(parsed);
+
+    const declaredSize = Number(response.headers.get("content-length"));
+    if (declaredSize > MEDIA_MAX_BYTES) {
+        await response.body.cancel();
+        throw tooLarge();
+    }
+
+    const type = checkType(
+        mimetype || response.headers.get("content-type"),
+        kind
+    );
+
+    let size = 0;
+    const limiter = new Transform({
+        transform(chunk, encoding, callback) {
+            size += chunk.length;
+            callback(size > MEDIA_MAX_BYTES ? tooLarge() : null, chunk);
+        },
+    });
+
+    const target = await tempPath();
+    try {
+        await pipeline(
+            Readable.fromWeb(response.body),
+            limiter,
+            fs.createWriteStream(target)
+        );
+    } catch (error) {
+        await fsp.rm(target, { force: true });
+        if (error instanceof MediaInputError) throw error;
+        throw new MediaInputError(
+            `No se pudo descargar la media desde la URL: ${error.message}`
+        );
+    }
+
+    return {
+        fieldname: kind,
+        originalname: fileName || urlFileName(parsed) || kind,
+        mimetype: type,
+        path: target,
+        size,
+    };
+}
+
+/**
+ * Requests a URL that must resolve to public addresses, following redirects by hand so every
+ * hop is checked too. Hosts listed in `MEDIA_URL_ALLOWED_HOSTS` skip the check.
+ * @param {URL} url - The http(s) URL.
+ * @returns {Promise<Response>} The response of the last hop.
+ * @throws {MediaInputError} If a hop points to a blocked address or the request fails.
+ * @private
+ */
+async function fetchPublicUrl(url) {
+    const signal = AbortSignal.timeout(MEDIA_FETCH_TIMEOUT_MS);
+
+    for (let redirects = 0; ; redirects++) {
+        assertPublicLiteral(url);
+
+        let response;
+        try {
+            response = await fetch(url, {
+                dispatcher: publicAgent,
+                signal,
+                redirect: "manual",
+            });
+        } catch (error) {
+            // El rechazo de publicLookup llega como causa del "fetch failed"
+            if (error.cause instanceof MediaInputError) throw error.cause;
+            throw new MediaInputError(
+                `No se pudo descargar la media desde la URL: ${error.message}`
+            );
+        }
+
+        const location = response.headers.get("location");
+        if (response.status < 300 || response.status >= 400 || !location) {
+            return response;
+        }
+
+        await response.body?.cancel();
+        if (redirects >= MEDIA_FETCH_MAX_REDIRECTS) {
+            throw new MediaInputError(
+                "La URL de la media redirige demasiadas veces."
+            );
+        }
+        url = new URL(location, url);
+        if (!["http:", "https:"].includes(url.protocol)) {
+            throw new MediaInputError(
+                "La URL de la media redirige a una URL que no es http(s)."
+            );
+        }
+    }
+}
+
+/**
+ * Rejects a URL whose host is an IP literal in `BLOCKED_ADDRESSES`. Literals connect without a
+ * DNS lookup, so `publicLookup` never sees them.
+ * @private
+ */
+function assertPublicLiteral(url) {
+    // Las IPv6 literales llegan entre corchetes ([::1])
+    const host = url.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+    const family = net.isIP(host);
+    if (!family || MEDIA_URL_ALLOWED_HOSTS.has(host)) return;
+
+    if (BLOCKED_ADDRESSES.check(host, family === 6 ? "ipv6" : "ipv4")) {
+        throw blockedHost(host);
+    }
+}
+
+/**
+ * DNS lookup of the media downloads: resolves the host and fails if any of its addresses is in
+ * `BLOCKED_ADDRESSES`. The socket connects to the addresses returned here, so a host can't pass
+ * the check with a public address and then be re-resolved to a private one (DNS rebinding).
+ * Same signature as `dns.lookup`.
+ * @private
+ */
+function publicLookup(hostname, options, callback) {
+    const host = hostname.toLowerCase();
+
+    dns.lookup(
+        host,
+        { ...options, all: true, verbatim: true },
+        (error, addresses) => {
+            if (error) {
+                return callback(
+                    new MediaInputError(
+                        `No se pudo resolver el host de la URL (${host}).`
+                    )
+                );
+            }
+
+            const blocked =
+                !MEDIA_URL_ALLOWED_HOSTS.has(host) &&
+                addresses.some(({ address, family }) =>
+                    BLOCKED_ADDRESSES.check(
+                        address,
+                        family === 6 ? "ipv6" : "ipv4"
+                    )
+                );
+            if (blocked) return callback(blockedHost(host));
+
+            if (options.all) return callback(null, addresses);
+            callback(null, addresses[0].address, addresses[0].family);
+        }
+    );
+}
+
+/**
+ * Writes a base64 (or data URL) file into `uploads/`.
+ * @private
+ */
+async function fileFromBase64(base64, kind, { mimetype, fileName } = {}) {
+    if (typeof base64 !== "string") {
+        throw new MediaInputError("base64 debe ser un string.");
+    }
+
+    const dataUrl = base64.match(/^data:([^;,]+);base64,/);
+    const data = (dataUrl ? base64.slice(dataUrl[0].length) : base64).replace(
+        /\s/g,
+        ""
+    );
+    if (!data || !/^[A-Za-z0-9+/_-]+={0,2}$/.test(data)) {
+        throw new MediaInputError("base64 no es un contenido base64 válido.");
+    }
+
+    // Tamaño decodificado a partir del largo, para no decodificar archivos que se van a rechazar
+    const padding = data.length - data.replace(/=+$/, "").length;
+    if (Math.floor((data.length * 3) / 4) - padding > MEDIA_MAX_BYTES) {
+        throw tooLarge();
+    }
+
+    const type = checkType(mimetype || dataUrl?.[1], kind);
+    const buffer = Buffer.from(data, "base64");
+
+    const target = await tempPath();
+    await fsp.writeFile(target, buffer);
+
+    return {
+        fieldname: kind,
+        originalname: fileName || kind,
+        mimetype: type,
+        path: target,
+        size: buffer.length,
+    };
+}
+
+/**
+ * Validates the mimetype of a file against the kind of media being sent.
+ * @returns {string} The mimetype without parameters.
+ * @private
+ */
+function checkType(mimetype, kind) {
+    const type = String(mimetype || "")
+        .split(";")[0]
+        .trim()
+        .toLowerCase();
+
+    if (!type) {
+        if (kind === "document") return "application/octet-stream";
+        throw new MediaInputError(
+            "No se pudo determinar el tipo del archivo; envíe mimetype."
+        );
+    }
+    if (!type.startsWith(ACCEPTED_TYPES[kind])) {
+        throw new MediaInputError(
+            `El tipo ${type} no es válido para un envío de ${kind}.`
+        );
+    }
+    return type;
+}
+
+function urlFileName(url) {
+    try {
+        return decodeURIComponent(path.posix.basename(url.pathname));
+    } catch {
+        return null;
+    }
+}
+
+function blockedHost(host) {
+    return new MediaInputError(
+        `La URL apunta a una dirección privada o local (${host}), que no se permite.`
+    );
+}
+
+function tooLarge() {
+    return new MediaInputError(
+        `El archivo supera el máximo permitido de ${MEDIA_MAX_BYTES} bytes.`,
+        413
+    );
+}
+
+async function tempPath() {
+    // multer crea la carpeta por su cuenta; los envíos JSON pueden llegar antes
+    await fsp.mkdir(UPLOAD_DIR, { recursive: true });
+    return path.join(UPLOAD_DIR, crypto.randomBytes(16).toString("hex"));
+}
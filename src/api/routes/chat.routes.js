@@ -0,0 +1,185 @@
+import { Router } from "express";
+import ChatController from "../controllers/chat.controller.js";
+import { authorize } from "../middlewares/auth.middleware.js";
+
+const router = Router({ mergeParams: true });
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Chats
+ *     description: Acciones sobre mensajes de un chat (reacciones, edición y eliminación para todos)
+ */
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     ChatJid:
+ *       in: path
+ *       name: jid
+ *       required: true
+ *       schema:
+ *         type: string
+ *       description: JID del chat (p. ej. `573001234567@s.whatsapp.net` o `1203...@g.us`) o número de teléfono.
+ *       example: "573001234567@s.whatsapp.net"
+ *     ChatMessageId:
+ *       in: path
+ *       name: messageId
+ *       required: true
+ *       schema:
+ *         type: string
+ *       description: ID de WhatsApp del mensaje.
+ *       example: "3EB0C431C26A1916E07A"
+ */
+
+/**
+ * @swagger
+ * /api/sessions/{sessionId}/chats/{jid}/messages/{messageId}/reaction:
+ *   put:
+ *     summary: Reacciona a un mensaje con un emoji
+ *     description: Reemplaza la reacción anterior de la sesión. Si el mensaje está en el almacén de la sesión, `fromMe` y `participant` se toman de él; si no, se pueden indicar en el cuerpo (en grupos hace falta uno de los dos).
+ *     tags: [Chats]
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/ChatJid'
+ *       - $ref: '#/components/parameters/ChatMessageId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - emoji
+ *             properties:
+ *               emoji:
+ *                 type: string
+ *                 example: "👍"
+ *               fromMe:
+ *                 type: boolean
+ *                 description: Si el mensaje lo envió esta sesión (solo para mensajes que no están en el almacén).
+ *               participant:
+ *                 type: string
+ *                 description: En grupos, quien envió el mensaje (solo para mensajes que no están en el almacén).
+ *     responses:
+ *       '200':
+ *         description: Reacción enviada, o encolada con su `jobId` si la sesión no está conectada.
+ *       '400':
+ *         description: Datos inválidos.
+ *       '404':
+ *         description: Sesión no encontrada, o el mensaje pertenece a otro chat.
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *   delete:
+ *     summary: Quita la reacción de la sesión a un mensaje
+ *     tags: [Chats]
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/ChatJid'
+ *       - $ref: '#/components/parameters/ChatMessageId'
+ *     responses:
+ *       '200':
+ *         description: Reacción eliminada, o encolada si la sesión no está conectada.
+ *       '404':
+ *         description: Sesión no encontrada, o el mensaje pertenece a otro chat.
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.put(
+    "/:jid/messages/:messageId/reaction",
+    authorize("send"),
+    ChatController.react
+);
+router.delete(
+    "/:jid/messages/:messageId/reaction",
+    authorize("send"),
+    ChatController.unreact
+);
+
+/**
+ * @swagger
+ * /api/sessions/{sessionId}/chats/{jid}/messages/{messageId}:
+ *   patch:
+ *     summary: Edita un mensaje enviado por la sesión
+ *     description: Reemplaza el texto (o el pie de una imagen, video o documento). WhatsApp solo permite editar durante los 15 minutos siguientes al envío.
+ *     tags: [Chats]
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/ChatJid'
+ *       - $ref: '#/components/parameters/ChatMessageId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - text
+ *             properties:
+ *               text:
+ *                 type: string
+ *                 example: "Te esperamos a las 3:30 pm"
+ *     responses:
+ *       '200':
+ *         description: Edición enviada, o encolada con su `jobId` si la sesión no está conectada.
+ *       '400':
+ *         description: Texto vacío, el mensaje no es de la sesión o ya pasó el plazo de edición.
+ *       '404':
+ *         description: Sesión no encontrada, o el mensaje pertenece a otro chat.
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *   delete:
+ *     summary: Elimina un mensaje para todos
+ *     description: Los mensajes de la sesión siempre se pueden eliminar; en grupos donde la sesión es administradora, también los de otros participantes (si el mensaje está en el almacén).
+ *     tags: [Chats]
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/ChatJid'
+ *       - $ref: '#/components/parameters/ChatMessageId'
+ *     responses:
+ *       '200':
+ *         description: Eliminación enviada, o encolada con su `jobId` si la sesión no está conectada.
+ *       '400':
+ *         description: El mensaje es de otra persona en un chat privado.
+ *       '404':
+ *         description: Sesión no encontrada, o el mensaje pertenece a otro chat.
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.patch(
+    "/:jid/messages/:messageId",
+    authorize("send"),
+    ChatController.edit
+);
+router.delete(
+    "/:jid/messages/:messageId",
+    authorize("send"),
+    ChatController.revoke
+);
+
+export default router;
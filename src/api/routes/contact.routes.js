@@ -0,0 +1,267 @@
+import { Router } from "express";
+import ContactController from "../controllers/contact.controller.js";
+import { authorize } from "../middlewares/auth.middleware.js";
+
+const router = Router({ mergeParams: true });
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Contacts
+ *     description: Consultas de contactos (existencia en WhatsApp, foto de perfil, estado y perfil de empresa). La sesión debe estar conectada; los resultados se guardan en caché durante `CONTACT_CACHE_TTL_MINUTES`.
+ */
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     ContactJid:
+ *       in: path
+ *       name: jid
+ *       required: true
+ *       schema:
+ *         type: string
+ *       description: JID del contacto o número de teléfono.
+ *       example: "573001234567"
+ *   responses:
+ *     ContactSessionNotConnected:
+ *       description: La sesión no está conectada.
+ */
+
+/**
+ * @swagger
+ * /api/sessions/{sessionId}/contacts/check:
+ *   post:
+ *     summary: Verifica qué números tienen WhatsApp
+ *     description: Devuelve un resultado por número, en el mismo orden, con el JID canónico que WhatsApp usa para los que existen (puede diferir del número escrito, p. ej. en Brasil). Los envíos no resuelven ese JID por su cuenta, así que conviene usar `jid` como destinatario (`number`). Un número inválido o cuya consulta falla trae su propio `error` sin afectar al resto del lote. Conviene verificar las listas antes de una campaña.
+ *     tags: [Contacts]
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - numbers
+ *             properties:
+ *               numbers:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 100
+ *                 items:
+ *                   type: string
+ *                 example: ["+57 300 123 4567", "573009999999"]
+ *     responses:
+ *       '200':
+ *         description: Resultado por número.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 total:
+ *                   type: integer
+ *                 existing:
+ *                   type: integer
+ *                   description: Cuántos números tienen WhatsApp.
+ *                 failed:
+ *                   type: integer
+ *                   description: Cuántos números no se pudieron verificar (traen `error`).
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       input:
+ *                         type: string
+ *                         example: "+57 300 123 4567"
+ *                       exists:
+ *                         type: boolean
+ *                         nullable: true
+ *                         description: "`null` si el número no se pudo verificar."
+ *                       jid:
+ *                         type: string
+ *                         nullable: true
+ *                         example: "573001234567@s.whatsapp.net"
+ *                       error:
+ *                         type: string
+ *                         description: Solo si el número no es válido o su consulta falló.
+ *                         example: "No es un número de teléfono válido."
+ *       '400':
+ *         description: Lista de números inválida.
+ *       '404':
+ *         description: Sesión no encontrada.
+ *       '409':
+ *         $ref: '#/components/responses/ContactSessionNotConnected'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post("/check", authorize("read"), ContactController.check);
+
+/**
+ * @swagger
+ * /api/sessions/{sessionId}/contacts/{jid}/picture:
+ *   get:
+ *     summary: Obtiene la URL de la foto de perfil de un contacto
+ *     description: "`url` es `null` si el contacto no tiene foto o su privacidad la oculta. Las URLs de WhatsApp caducan después de un tiempo."
+ *     tags: [Contacts]
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/ContactJid'
+ *     responses:
+ *       '200':
+ *         description: Foto de perfil.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 jid:
+ *                   type: string
+ *                 url:
+ *                   type: string
+ *                   nullable: true
+ *       '404':
+ *         description: Sesión no encontrada.
+ *       '409':
+ *         $ref: '#/components/responses/ContactSessionNotConnected'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get(
+    "/:jid/picture",
+    authorize("read"),
+    ContactController.profilePicture
+);
+
+/**
+ * @swagger
+ * /api/sessions/{sessionId}/contacts/{jid}/status:
+ *   get:
+ *     summary: Obtiene el texto de estado ("info") de un contacto
+ *     description: "`status` y `setAt` son `null` si la privacidad del contacto lo oculta."
+ *     tags: [Contacts]
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/ContactJid'
+ *     responses:
+ *       '200':
+ *         description: Estado del contacto.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 jid:
+ *                   type: string
+ *                 status:
+ *                   type: string
+ *                   nullable: true
+ *                   example: "Disponible"
+ *                 setAt:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *       '404':
+ *         description: Sesión no encontrada.
+ *       '409':
+ *         $ref: '#/components/responses/ContactSessionNotConnected'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get("/:jid/status", authorize("read"), ContactController.status);
+
+/**
+ * @swagger
+ * /api/sessions/{sessionId}/contacts/{jid}/business:
+ *   get:
+ *     summary: Obtiene el perfil de empresa de un contacto
+ *     description: "`profile` es `null` si la cuenta no es de WhatsApp Business."
+ *     tags: [Contacts]
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/ContactJid'
+ *     responses:
+ *       '200':
+ *         description: Perfil de empresa.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 jid:
+ *                   type: string
+ *                 isBusiness:
+ *                   type: boolean
+ *                 profile:
+ *                   type: object
+ *                   nullable: true
+ *                   properties:
+ *                     description:
+ *                       type: string
+ *                       nullable: true
+ *                     category:
+ *                       type: string
+ *                       nullable: true
+ *                     email:
+ *                       type: string
+ *                       nullable: true
+ *                     website:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     address:
+ *                       type: string
+ *                       nullable: true
+ *                     businessHours:
+ *                       type: object
+ *                       nullable: true
+ *                       description: Horario tal como lo entrega WhatsApp (`timezone` y `business_config` por día).
+ *       '404':
+ *         description: Sesión no encontrada.
+ *       '409':
+ *         $ref: '#/components/responses/ContactSessionNotConnected'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get(
+    "/:jid/business",
+    authorize("read"),
+    ContactController.businessProfile
+);
+
+export default router;
@@ -0,0 +1,530 @@
+import { Router } from "express";
+import GroupController from "../controllers/group.controller.js";
+import { authorize } from "../middlewares/auth.middleware.js";
+
+const router = Router({ mergeParams: true });
+
+// Agregar participantes es como un envío; eliminarlos, promoverlos o degradarlos requiere admin
+const authorizeParticipants = (req, res, next) =>
+    authorize(req.body?.action === "add" ? "send" : "admin")(req, res, next);
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Groups
+ *     description: Gestión de los grupos de una sesión (participantes, ajustes e invitaciones). La sesión debe estar conectada.
+ */
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     GroupJid:
+ *       in: path
+ *       name: jid
+ *       required: true
+ *       schema:
+ *         type: string
+ *       description: JID del grupo (o su ID sin `@g.us`).
+ *       example: "120363025246125244@g.us"
+ *   schemas:
+ *     GroupParticipant:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: "573001234567@s.whatsapp.net"
+ *         admin:
+ *           type: string
+ *           nullable: true
+ *           enum: [admin, superadmin, null]
+ *           description: "`superadmin` es quien creó el grupo."
+ *     Group:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: "120363025246125244@g.us"
+ *         subject:
+ *           type: string
+ *           nullable: true
+ *           example: "Clientes VIP"
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         owner:
+ *           type: string
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         size:
+ *           type: integer
+ *         announce:
+ *           type: boolean
+ *           description: Solo los administradores pueden enviar mensajes.
+ *         locked:
+ *           type: boolean
+ *           description: Solo los administradores pueden editar los datos del grupo.
+ *         participants:
+ *           type: array
+ *           description: No se incluye en el listado de grupos.
+ *           items:
+ *             $ref: '#/components/schemas/GroupParticipant'
+ *     GroupInvite:
+ *       type: object
+ *       properties:
+ *         code:
+ *           type: string
+ *           example: "HbCl8qf3KXn2jQXY8xT1aB"
+ *         url:
+ *           type: string
+ *           example: "https://chat.whatsapp.com/HbCl8qf3KXn2jQXY8xT1aB"
+ *   responses:
+ *     GroupSessionNotConnected:
+ *       description: La sesión no está conectada.
+ *     GroupRejected:
+ *       description: La API key no tiene el scope requerido o no tiene acceso a la sesión, o WhatsApp rechazó la acción (p. ej. la sesión no es administradora del grupo o ya no pertenece a él).
+ */
+
+/**
+ * @swagger
+ * /api/sessions/{sessionId}/groups:
+ *   get:
+ *     summary: Lista los grupos de la sesión
+ *     description: Devuelve los grupos en los que participa la cuenta con sus datos, sin la lista de participantes.
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Grupos de la sesión.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 total:
+ *                   type: integer
+ *                 groups:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Group'
+ *       '404':
+ *         description: Sesión no encontrada.
+ *       '409':
+ *         $ref: '#/components/responses/GroupSessionNotConnected'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *   post:
+ *     summary: Crea un grupo
+ *     description: La sesión queda como administradora. WhatsApp puede no agregar a algunos participantes por su configuración de privacidad.
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - subject
+ *               - participants
+ *             properties:
+ *               subject:
+ *                 type: string
+ *                 maxLength: 100
+ *                 example: "Clientes VIP"
+ *               participants:
+ *                 type: array
+ *                 description: Números o JIDs.
+ *                 items:
+ *                   type: string
+ *                 example: ["573001234567", "573007654321"]
+ *     responses:
+ *       '201':
+ *         description: Grupo creado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 group:
+ *                   $ref: '#/components/schemas/Group'
+ *       '400':
+ *         description: Datos inválidos.
+ *       '404':
+ *         description: Sesión no encontrada.
+ *       '409':
+ *         $ref: '#/components/responses/GroupSessionNotConnected'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get("/", authorize("read"), GroupController.list);
+router.post("/", authorize("send"), GroupController.create);
+
+/**
+ * @swagger
+ * /api/sessions/{sessionId}/groups/join:
+ *   post:
+ *     summary: Une la sesión a un grupo con un código de invitación
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: El código o el enlace completo.
+ *                 example: "https://chat.whatsapp.com/HbCl8qf3KXn2jQXY8xT1aB"
+ *     responses:
+ *       '200':
+ *         description: Sesión unida al grupo; `group.id` es su JID.
+ *       '400':
+ *         description: Código inválido.
+ *       '404':
+ *         description: Sesión no encontrada, o la invitación no existe.
+ *       '409':
+ *         $ref: '#/components/responses/GroupSessionNotConnected'
+ *       '410':
+ *         description: El enlace de invitación fue revocado.
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post("/join", authorize("send"), GroupController.join);
+
+/**
+ * @swagger
+ * /api/sessions/{sessionId}/groups/{jid}:
+ *   get:
+ *     summary: Obtiene los datos de un grupo con sus participantes
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/GroupJid'
+ *     responses:
+ *       '200':
+ *         description: Datos del grupo.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 group:
+ *                   $ref: '#/components/schemas/Group'
+ *       '400':
+ *         description: El JID no es de un grupo.
+ *       '404':
+ *         description: Sesión o grupo no encontrados.
+ *       '409':
+ *         $ref: '#/components/responses/GroupSessionNotConnected'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/GroupRejected'
+ *   patch:
+ *     summary: Actualiza el nombre, la descripción o los ajustes de un grupo
+ *     description: Los campos omitidos no cambian. La sesión debe ser administradora (o el grupo permitir que cualquiera edite sus datos).
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/GroupJid'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               subject:
+ *                 type: string
+ *                 maxLength: 100
+ *               description:
+ *                 type: string
+ *                 maxLength: 2048
+ *                 description: Vacío elimina la descripción.
+ *               announce:
+ *                 type: boolean
+ *                 description: Solo los administradores pueden enviar mensajes.
+ *               locked:
+ *                 type: boolean
+ *                 description: Solo los administradores pueden editar los datos del grupo.
+ *     responses:
+ *       '200':
+ *         description: Grupo actualizado; devuelve sus datos.
+ *       '400':
+ *         description: Datos inválidos.
+ *       '404':
+ *         description: Sesión o grupo no encontrados.
+ *       '409':
+ *         $ref: '#/components/responses/GroupSessionNotConnected'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/GroupRejected'
+ */
+router.get("/:jid", authorize("read"), GroupController.get);
+router.patch("/:jid", authorize("send"), GroupController.update);
+
+/**
+ * @swagger
+ * /api/sessions/{sessionId}/groups/{jid}/participants:
+ *   get:
+ *     summary: Lista los participantes de un grupo
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/GroupJid'
+ *     responses:
+ *       '200':
+ *         description: Participantes y su rol.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 total:
+ *                   type: integer
+ *                 participants:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/GroupParticipant'
+ *       '400':
+ *         description: El JID no es de un grupo.
+ *       '404':
+ *         description: Sesión o grupo no encontrados.
+ *       '409':
+ *         $ref: '#/components/responses/GroupSessionNotConnected'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/GroupRejected'
+ *   post:
+ *     summary: Agrega, elimina, promueve o degrada participantes
+ *     description: Agregar requiere scope `send`; eliminar, promover o degradar, scope `admin`. WhatsApp responde por participante; `results` indica el estado de cada uno (p. ej. `403` si su privacidad no permite agregarlo, `409` si ya estaba en el grupo).
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/GroupJid'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - action
+ *               - participants
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [add, remove, promote, demote]
+ *               participants:
+ *                 type: array
+ *                 description: Números o JIDs.
+ *                 items:
+ *                   type: string
+ *                 example: ["573001234567"]
+ *     responses:
+ *       '200':
+ *         description: Resultado por participante.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       participant:
+ *                         type: string
+ *                       status:
+ *                         type: integer
+ *                         example: 200
+ *                       success:
+ *                         type: boolean
+ *       '400':
+ *         description: Datos inválidos.
+ *       '404':
+ *         description: Sesión o grupo no encontrados.
+ *       '409':
+ *         $ref: '#/components/responses/GroupSessionNotConnected'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/GroupRejected'
+ */
+router.get(
+    "/:jid/participants",
+    authorize("read"),
+    GroupController.participants
+);
+router.post(
+    "/:jid/participants",
+    authorizeParticipants,
+    GroupController.updateParticipants
+);
+
+/**
+ * @swagger
+ * /api/sessions/{sessionId}/groups/{jid}/invite:
+ *   get:
+ *     summary: Obtiene el enlace de invitación de un grupo
+ *     description: Solo disponible si la sesión es administradora del grupo.
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/GroupJid'
+ *     responses:
+ *       '200':
+ *         description: Enlace de invitación.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 invite:
+ *                   $ref: '#/components/schemas/GroupInvite'
+ *       '400':
+ *         description: El JID no es de un grupo.
+ *       '404':
+ *         description: Sesión o grupo no encontrados.
+ *       '409':
+ *         $ref: '#/components/responses/GroupSessionNotConnected'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/GroupRejected'
+ */
+router.get("/:jid/invite", authorize("send"), GroupController.inviteCode);
+
+/**
+ * @swagger
+ * /api/sessions/{sessionId}/groups/{jid}/invite/revoke:
+ *   post:
+ *     summary: Revoca el enlace de invitación de un grupo
+ *     description: El enlace anterior deja de funcionar; devuelve el nuevo. Requiere scope `admin`.
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/GroupJid'
+ *     responses:
+ *       '200':
+ *         description: Nuevo enlace de invitación (en `invite`).
+ *       '400':
+ *         description: El JID no es de un grupo.
+ *       '404':
+ *         description: Sesión o grupo no encontrados.
+ *       '409':
+ *         $ref: '#/components/responses/GroupSessionNotConnected'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/GroupRejected'
+ */
+router.post(
+    "/:jid/invite/revoke",
+    authorize("admin"),
+    GroupController.revokeInvite
+);
+
+/**
+ * @swagger
+ * /api/sessions/{sessionId}/groups/{jid}/leave:
+ *   post:
+ *     summary: Sale de un grupo
+ *     description: Requiere scope `admin`.
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/GroupJid'
+ *     responses:
+ *       '200':
+ *         description: La sesión salió del grupo.
+ *       '400':
+ *         description: El JID no es de un grupo.
+ *       '404':
+ *         description: Sesión o grupo no encontrados.
+ *       '409':
+ *         $ref: '#/components/responses/GroupSessionNotConnected'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/GroupRejected'
+ */
+router.post("/:jid/leave", authorize("admin"), GroupController.leave);
+
+export default router;
@@ -0,0 +1,99 @@
+import { Router } from "express";
+import MediaController from "../controllers/media.controller.js";
+
+// Montado en /api/sessions antes de `authenticate`: la firma de la URL es la credencial
+const router = Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Media
+ *     description: Descarga de la media recibida mediante URLs firmadas
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     MediaDelivery:
+ *       type: object
+ *       description: Cómo llega la media recibida a los webhooks. Los campos omitidos usan los valores del servidor.
+ *       properties:
+ *         mode:
+ *           type: string
+ *           enum: [inline, url]
+ *           description: "`inline`: base64 en `message.media`. `url`: los archivos mayores a `inlineMaxBytes` se guardan en el servidor y se envía `message.mediaFile` con una URL firmada."
+ *         inlineMaxBytes:
+ *           type: integer
+ *           minimum: 0
+ *           description: En modo `url`, tamaño máximo (bytes) que todavía se envía en base64.
+ *           example: 262144
+ *     MediaFile:
+ *       type: object
+ *       description: Media guardada en el servidor (modo `url`). Se envía en `message.mediaFile` en lugar de `message.media`.
+ *       properties:
+ *         id:
+ *           type: string
+ *         url:
+ *           type: string
+ *           description: URL de descarga firmada. No requiere API key.
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         size:
+ *           type: integer
+ *           description: Tamaño en bytes.
+ *         sha256:
+ *           type: string
+ *           description: Hash SHA-256 (hex) del archivo.
+ *         mimetype:
+ *           type: string
+ *           example: "video/mp4"
+ *         fileName:
+ *           type: string
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /api/sessions/{sessionId}/media/{mediaId}:
+ *   get:
+ *     summary: Descarga un archivo de media recibido
+ *     description: Usa la URL de `message.mediaFile.url` tal cual. Los archivos se eliminan tras `MEDIA_RETENTION_HOURS`.
+ *     tags: [Media]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: mediaId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: expires
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Expiración (Unix, segundos).
+ *       - in: query
+ *         name: signature
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: El archivo, con su Content-Type y el header X-Content-SHA256.
+ *       '403':
+ *         description: Firma inválida.
+ *       '404':
+ *         description: Archivo no encontrado.
+ *       '410':
+ *         description: El enlace expiró.
+ */
+router.get("/:sessionId/media/:mediaId", MediaController.download);
+
+export default router;
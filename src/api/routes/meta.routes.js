@@ -16,6 +16,7 @@ const router = Router();
  *   get:
  *     summary: Verifica el endpoint del webhook de Meta.
  *     tags: [Meta Webhook]
+ *     security: []
  *     description: |
  *       Este endpoint es utilizado por Meta para verificar la URL de tu webhook.
  *       Cuando configuras tu webhook en el panel de desarrolladores de Meta, ellos envían una petición GET a esta URL.
@@ -61,6 +62,7 @@ router.get("/webhook", MetaController.verify);
  *   post:
  *     summary: Recibe eventos y mensajes desde el webhook de Meta.
  *     tags: [Meta Webhook]
+ *     security: []
  *     description: |
  *       Este endpoint recibe notificaciones de la API de WhatsApp Cloud (Meta).
  *       Procesa los eventos entrantes, como nuevos mensajes, y los reenvía al webhook configurado para la sesión correspondiente.
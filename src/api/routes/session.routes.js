@@ -1,10 +1,31 @@
-import multer from "multer";
-import { Router } from "express";
+import express, { Router } from "express";
 import SessionController from "../controllers/session.controller.js";
+import webhookRoutes from "./webhook.routes.js";
+import chatRoutes from "./chat.routes.js";
+import groupRoutes from "./group.routes.js";
+import contactRoutes from "./contact.routes.js";
+import { authorize } from "../middlewares/auth.middleware.js";
+import {
+    mediaInput,
+    mediaJsonBody,
+} from "../middlewares/mediaInput.middleware.js";
 
-const upload = multer({ dest: "uploads/" });
 const router = Router();
 
+// Rutas que reciben el archivo en base64 dentro del JSON
+const MEDIA_SEND_ROUTES = [
+    "/:sessionId/send-image",
+    "/:sessionId/send-document",
+    "/:sessionId/send-audio",
+    "/:sessionId/send-video",
+    "/:sessionId/messages",
+];
+
+// Solo esas rutas leen cuerpos grandes, y después de verificar el permiso de envío; el resto
+// de la API usa el límite por defecto de express.json()
+router.post(MEDIA_SEND_ROUTES, authorize("send"), mediaJsonBody);
+router.use(express.json());
+
 /**
  * @swagger
  * tags:
@@ -12,6 +33,41 @@ const router = Router();
  *     description: Gestión del ciclo de vida de las sesiones de WhatsApp
  */
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     StorageConfig:
+ *       type: object
+ *       description: Dónde se guardan los archivos de media (recibidos y envíos encolados). Sin configurar se usa el almacenamiento por defecto del servidor (`STORAGE_DRIVER`).
+ *       required: [driver]
+ *       properties:
+ *         driver:
+ *           type: string
+ *           enum: [local, s3]
+ *         bucket:
+ *           type: string
+ *           description: Requerido con `s3`.
+ *         region:
+ *           type: string
+ *           example: "us-east-1"
+ *         endpoint:
+ *           type: string
+ *           description: Endpoint de servicios compatibles con S3 (MinIO, R2...).
+ *           example: "http://minio:9000"
+ *         accessKeyId:
+ *           type: string
+ *         secretAccessKey:
+ *           type: string
+ *           description: Se devuelve enmascarado.
+ *         forcePathStyle:
+ *           type: boolean
+ *           description: Necesario para MinIO.
+ *         prefix:
+ *           type: string
+ *           description: Prefijo de todas las claves del bucket.
+ */
+
 /**
  * @swagger
  * /api/sessions/start:
@@ -35,11 +91,154 @@ const router = Router();
  *                 type: string
  *                 description: URL opcional para recibir notificaciones de mensajes.
  *                 example: "https://webhook.site/..."
+ *               webhookSecret:
+ *                 type: string
+ *                 description: Secreto opcional para firmar los webhooks con HMAC-SHA256 (header X-Webhook-Signature).
+ *               webhookDelivery:
+ *                 $ref: '#/components/schemas/WebhookDelivery'
+ *               mediaDelivery:
+ *                 $ref: '#/components/schemas/MediaDelivery'
+ *               history:
+ *                 $ref: '#/components/schemas/HistorySettings'
+ *               forwardOwnMessages:
+ *                 type: boolean
+ *                 description: Reenvía a los webhooks los mensajes propios (enviados desde el teléfono o por la API) como eventos `message.sent`. Por defecto, `FORWARD_OWN_MESSAGES`.
+ *                 example: true
+ *               payloadVersion:
+ *                 type: integer
+ *                 enum: [1, 2]
+ *                 description: "Versión del payload de los mensajes. La 2 agrega `version` y, en `message`, `chatId`, `participant`, `isGroup`, `timestamp` (hora de WhatsApp), `quoted`, `mentions`, `isForwarded` y `ephemeralExpiration`. Por defecto, `WEBHOOK_PAYLOAD_VERSION` (1)."
+ *                 example: 2
+ *               storage:
+ *                 $ref: '#/components/schemas/StorageConfig'
  *     responses:
  *       '200':
  *         description: Sesión iniciada correctamente.
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
  */
-router.post("/start", SessionController.start);
+router.post("/start", authorize("admin"), SessionController.start);
+
+/**
+ * @swagger
+ * /api/sessions:
+ *   get:
+ *     summary: Lista las sesiones cargadas en el servidor
+ *     description: Devuelve solo las sesiones a las que la API key tiene acceso. El token de Meta y el secreto del webhook se devuelven enmascarados.
+ *     tags: [Sessions]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: "Filtra por estado. Admite varios separados por coma (ej: open,max_retries_reached)."
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Número de página.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *           default: 50
+ *         description: Sesiones por página.
+ *     responses:
+ *       '200':
+ *         description: Listado paginado de sesiones.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       sessionId:
+ *                         type: string
+ *                         example: "tienda-1"
+ *                       status:
+ *                         type: string
+ *                         example: "open"
+ *                       retryCount:
+ *                         type: integer
+ *                       account:
+ *                         type: string
+ *                         nullable: true
+ *                         description: JID de la cuenta conectada.
+ *                         example: "573001234567:12@s.whatsapp.net"
+ *                       webhook:
+ *                         type: boolean
+ *                         description: Indica si la sesión tiene webhook configurado.
+ *                       webhookSubscriptions:
+ *                         type: integer
+ *                         description: Webhooks adicionales registrados (ver /webhooks).
+ *                       metaConfig:
+ *                         type: object
+ *                         nullable: true
+ *                         properties:
+ *                           phoneId:
+ *                             type: string
+ *                           apiVersion:
+ *                             type: string
+ *                           token:
+ *                             type: string
+ *                             example: "********a1b2"
+ *                       messageQueue:
+ *                         type: integer
+ *                         description: Mensajes salientes pendientes.
+ *                       webhookQueue:
+ *                         type: integer
+ *                         description: Webhooks pendientes de entrega (en espera, en vuelo o esperando reintento).
+ *                       webhookDelivery:
+ *                         $ref: '#/components/schemas/WebhookDelivery'
+ *                       mediaDelivery:
+ *                         $ref: '#/components/schemas/MediaDelivery'
+ *                       history:
+ *                         $ref: '#/components/schemas/HistorySettings'
+ *                       forwardOwnMessages:
+ *                         type: boolean
+ *                       payloadVersion:
+ *                         type: integer
+ *                       storage:
+ *                         $ref: '#/components/schemas/StorageConfig'
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                       updatedAt:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ *       '400':
+ *         description: Parámetros de paginación inválidos.
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get("/", authorize("read"), SessionController.list);
 
 /**
  * @swagger
@@ -72,8 +271,74 @@ router.post("/start", SessionController.start);
  *                   description: Código QR en formato de texto si la sesión necesita ser escaneada.
  *       '404':
  *         description: Sesión no encontrada.
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get(
+    "/:sessionId/status",
+    authorize("read"),
+    SessionController.getStatus
+);
+
+/**
+ * @swagger
+ * /api/sessions/{sessionId}/events:
+ *   get:
+ *     summary: Stream de eventos en vivo de la sesión (Server-Sent Events)
+ *     description: |
+ *       Mantiene la conexión abierta y envía cada evento de la sesión con el mismo payload que el webhook:
+ *       `qr.updated`, `connection.open`, `connection.close`, `logged_out`, `max_retries_reached`,
+ *       `message` (sin la media descargada), `message_status`, y además `job.updated` con cada cambio de estado de un envío.
+ *       Al conectar se envía un evento `status` con el estado actual y el QR.
+ *
+ *       Cada evento lleva un `id`. Al reconectar, `EventSource` envía el header `Last-Event-ID` y el servidor
+ *       reenvía los eventos perdidos que sigan en su buffer en memoria (`EVENT_BUFFER_SIZE`, 200 por defecto).
+ *
+ *       Como `EventSource` no permite headers, la API key se puede enviar en el parámetro `apiKey`.
+ *     tags: [Sessions]
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: El ID de la sesión.
+ *       - in: query
+ *         name: apiKey
+ *         schema:
+ *           type: string
+ *         description: API key, alternativa al header x-api-key (solo en este endpoint).
+ *       - in: header
+ *         name: Last-Event-ID
+ *         schema:
+ *           type: integer
+ *         description: Último `id` recibido; se reenvían los eventos posteriores.
+ *       - in: query
+ *         name: lastEventId
+ *         schema:
+ *           type: integer
+ *         description: Alternativa al header Last-Event-ID.
+ *     responses:
+ *       '200':
+ *         description: Stream `text/event-stream`.
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *               example: |
+ *                 id: 12
+ *                 event: qr.updated
+ *                 data: {"event":"qr.updated","sessionId":"mi-tienda","timestamp":"2025-09-09T22:30:00.000Z","qr":"2@abc..."}
+ *       '404':
+ *         description: Sesión no encontrada.
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
  */
-router.get("/:sessionId/status", SessionController.getStatus);
+router.get("/:sessionId/events", authorize("read"), SessionController.events);
 
 /**
  * @swagger
@@ -96,23 +361,43 @@ router.get("/:sessionId/status", SessionController.getStatus);
  *             type: object
  *             required:
  *               - number
- *               - message
  *             properties:
  *               number:
  *                 type: string
  *                 description: "Número de teléfono del destinatario (ej: 573001234567)."
  *               message:
  *                 type: string
- *                 description: El mensaje de texto a enviar.
+ *                 description: El mensaje de texto a enviar. Requerido salvo que se envíe `forwardFrom`.
+ *               quotedMessageId:
+ *                 type: string
+ *                 description: ID de un mensaje recibido o enviado por la sesión al que se responde (cita).
+ *               mentions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: "Números o JIDs mencionados; el texto debe incluir `@<número>` para resaltarlos."
+ *               forwardFrom:
+ *                 type: string
+ *                 description: ID de un mensaje recibido o enviado por la sesión para reenviarlo (en lugar de `message`).
  *     responses:
  *       '200':
- *         description: Mensaje enviado exitosamente.
+ *         description: Mensaje enviado o encolado. `details.jobId` permite consultar su estado en `/messages/{jobId}`.
+ *       '400':
+ *         description: Faltan campos, o el mensaje citado o reenviado no está en el almacén de la sesión.
  *       '404':
  *         description: Sesión no encontrada.
  *       '503':
  *         description: La sesión no está abierta o lista para enviar mensajes.
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
  */
-router.post("/:sessionId/send-message", SessionController.sendMessage);
+router.post(
+    "/:sessionId/send-message",
+    authorize("send"),
+    SessionController.sendMessage
+);
 
 /**
  * @swagger
@@ -147,17 +432,48 @@ router.post("/:sessionId/send-message", SessionController.sendMessage);
  *                 type: string
  *                 format: binary
  *                 description: "El archivo de imagen a enviar."
+ *               quotedMessageId:
+ *                 type: string
+ *                 description: "ID de un mensaje de la sesión al que se responde (cita)."
+ *               mentions:
+ *                 type: string
+ *                 description: "Números o JIDs mencionados, separados por coma."
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/MediaSource'
+ *               - type: object
+ *                 required:
+ *                   - number
+ *                 properties:
+ *                   number:
+ *                     type: string
+ *                   quotedMessageId:
+ *                     type: string
+ *                   mentions:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                   caption:
+ *                     type: string
  *     responses:
  *       '200':
- *         description: Imagen enviada exitosamente.
+ *         description: Imagen enviada, o encolada con su `jobId` si la sesión no está conectada.
  *       '400':
  *         description: Faltan parámetros requeridos.
+ *       '413':
+ *         description: El archivo supera `MEDIA_MAX_BYTES`.
  *       '404':
  *         description: Sesión no encontrada.
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
  */
 router.post(
     "/:sessionId/send-image",
-    upload.single("image"),
+    authorize("send"),
+    mediaInput("image"),
     SessionController.sendImage
 );
 
@@ -191,17 +507,46 @@ router.post(
  *                 type: string
  *                 format: binary
  *                 description: "El archivo del documento a enviar."
+ *               quotedMessageId:
+ *                 type: string
+ *                 description: "ID de un mensaje de la sesión al que se responde (cita)."
+ *               mentions:
+ *                 type: string
+ *                 description: "Números o JIDs mencionados, separados por coma."
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/MediaSource'
+ *               - type: object
+ *                 required:
+ *                   - number
+ *                 properties:
+ *                   number:
+ *                     type: string
+ *                   quotedMessageId:
+ *                     type: string
+ *                   mentions:
+ *                     type: array
+ *                     items:
+ *                       type: string
  *     responses:
  *       '200':
- *         description: Documento enviado exitosamente.
+ *         description: Documento enviado, o encolado con su `jobId` si la sesión no está conectada.
  *       '400':
  *         description: Faltan parámetros requeridos.
+ *       '413':
+ *         description: El archivo supera `MEDIA_MAX_BYTES`.
  *       '404':
  *         description: Sesión no encontrada.
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
  */
 router.post(
     "/:sessionId/send-document",
-    upload.single("document"),
+    authorize("send"),
+    mediaInput("document"),
     SessionController.sendDocument
 );
 
@@ -235,17 +580,46 @@ router.post(
  *                 type: string
  *                 format: binary
  *                 description: "El archivo de audio a enviar (ej. mp3, ogg)."
+ *               quotedMessageId:
+ *                 type: string
+ *                 description: "ID de un mensaje de la sesión al que se responde (cita)."
+ *               mentions:
+ *                 type: string
+ *                 description: "Números o JIDs mencionados, separados por coma."
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/MediaSource'
+ *               - type: object
+ *                 required:
+ *                   - number
+ *                 properties:
+ *                   number:
+ *                     type: string
+ *                   quotedMessageId:
+ *                     type: string
+ *                   mentions:
+ *                     type: array
+ *                     items:
+ *                       type: string
  *     responses:
  *       '200':
- *         description: Audio enviado exitosamente.
+ *         description: Audio enviado, o encolado con su `jobId` si la sesión no está conectada.
  *       '400':
  *         description: Faltan parámetros requeridos.
+ *       '413':
+ *         description: El archivo supera `MEDIA_MAX_BYTES`.
  *       '404':
  *         description: Sesión no encontrada.
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
  */
 router.post(
     "/:sessionId/send-audio",
-    upload.single("audio"),
+    authorize("send"),
+    mediaInput("audio"),
     SessionController.sendAudio
 );
 
@@ -282,17 +656,48 @@ router.post(
  *                 type: string
  *                 format: binary
  *                 description: "El archivo de video a enviar (ej. mp4)."
+ *               quotedMessageId:
+ *                 type: string
+ *                 description: "ID de un mensaje de la sesión al que se responde (cita)."
+ *               mentions:
+ *                 type: string
+ *                 description: "Números o JIDs mencionados, separados por coma."
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/MediaSource'
+ *               - type: object
+ *                 required:
+ *                   - number
+ *                 properties:
+ *                   number:
+ *                     type: string
+ *                   quotedMessageId:
+ *                     type: string
+ *                   mentions:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                   caption:
+ *                     type: string
  *     responses:
  *       '200':
- *         description: Video enviado exitosamente.
+ *         description: Video enviado, o encolado con su `jobId` si la sesión no está conectada.
  *       '400':
  *         description: Faltan parámetros requeridos.
+ *       '413':
+ *         description: El archivo supera `MEDIA_MAX_BYTES`.
  *       '404':
  *         description: Sesión no encontrada.
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
  */
 router.post(
     "/:sessionId/send-video",
-    upload.single("video"),
+    authorize("send"),
+    mediaInput("video"),
     SessionController.sendVideo
 );
 
@@ -353,8 +758,16 @@ router.post(
  *         description: Faltan parámetros requeridos.
  *       '404':
  *         description: Sesión no encontrada.
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
  */
-router.post("/:sessionId/send-button-message", SessionController.sendButtonMessage);
+router.post(
+    "/:sessionId/send-button-message",
+    authorize("send"),
+    SessionController.sendButtonMessage
+);
 
 /**
  * @swagger
@@ -429,8 +842,244 @@ router.post("/:sessionId/send-button-message", SessionController.sendButtonMessa
  *     responses:
  *       '200':
  *         description: Lista enviada exitosamente.
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post(
+    "/:sessionId/send-list-message",
+    authorize("send"),
+    SessionController.sendListMessage
+);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     MessageJob:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: ID del job, devuelto como `jobId` al enviar.
+ *           example: "5f0c2f7e-8a0e-4a8e-9d3e-0b8a9f6c1d2e"
+ *         type:
+ *           type: string
+ *           example: "image"
+ *         recipient:
+ *           type: string
+ *           example: "573001234567"
+ *         status:
+ *           type: string
+ *           enum: [queued, sending, sent, failed]
+ *         messageId:
+ *           type: string
+ *           nullable: true
+ *           description: ID del mensaje en WhatsApp, una vez enviado.
+ *         delivery:
+ *           type: object
+ *           nullable: true
+ *           description: Último estado de entrega reportado por WhatsApp (solo avanza).
+ *           properties:
+ *             status:
+ *               type: string
+ *               enum: [server_ack, delivered, read, played]
+ *             at:
+ *               type: string
+ *               format: date-time
+ *         error:
+ *           type: string
+ *           nullable: true
+ *           description: Motivo del último fallo.
+ *         attempts:
+ *           type: integer
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *         history:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *               at:
+ *                 type: string
+ *                 format: date-time
+ *               error:
+ *                 type: string
+ */
+
+/**
+ * @swagger
+ * /api/sessions/{sessionId}/messages:
+ *   post:
+ *     summary: Envía un mensaje de cualquier tipo
+ *     description: |
+ *       Endpoint unificado de envío. `type` indica qué campos lleva el cuerpo (ver `SendMessage`); la media se envía por `media.url` o `media.base64`.
+ *       Los tipos `buttons` y `list` usan la API Oficial de Meta y requieren `metaConfig`; el resto pasa por la cola de la sesión y devuelve un `jobId`.
+ *     tags: [Sessions]
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: El ID de la sesión.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SendMessage'
+ *           examples:
+ *             text:
+ *               value: { number: "573001234567", type: "text", text: "Hola 👋" }
+ *             image:
+ *               value: { number: "573001234567", type: "image", caption: "Nuevo producto", media: { url: "https://cdn.midominio.com/foto.jpg" } }
+ *             location:
+ *               value: { number: "573001234567", type: "location", latitude: 4.6097, longitude: -74.0817, name: "Oficina" }
+ *             poll:
+ *               value: { number: "573001234567", type: "poll", name: "¿Qué horario prefiere?", options: ["Mañana", "Tarde"] }
+ *     responses:
+ *       '200':
+ *         description: Mensaje enviado, o encolado con su `jobId` si la sesión no está conectada.
+ *       '400':
+ *         description: El cuerpo no cumple el esquema; `errors` detalla cada campo inválido.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       '404':
+ *         description: Sesión no encontrada.
+ *       '413':
+ *         description: El archivo supera `MEDIA_MAX_BYTES`.
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *   get:
+ *     summary: Lista los envíos de una sesión y su estado de entrega
+ *     description: Ordenados del más reciente al más antiguo. Se conservan los últimos `JOB_HISTORY_LIMIT` envíos (5000 por defecto).
+ *     tags: [Sessions]
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: El ID de la sesión.
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: "Estados separados por coma (queued, sending, sent, failed)."
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: "Tipo de mensaje (text, image, document, audio, video, sticker, location, contact, reaction, poll, forward, edit, revoke)."
+ *       - in: query
+ *         name: recipient
+ *         schema:
+ *           type: string
+ *         description: Filtra por destinatario (coincidencia parcial).
+ *       - in: query
+ *         name: since
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Solo envíos creados a partir de esta fecha.
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *     responses:
+ *       '200':
+ *         description: Listado paginado de envíos.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/MessageJob'
+ *                 pagination:
+ *                   type: object
+ *       '400':
+ *         description: Filtros inválidos.
+ *       '404':
+ *         description: Sesión no encontrada.
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
  */
-router.post("/:sessionId/send-list-message", SessionController.sendListMessage);
+router.post("/:sessionId/messages", authorize("send"), SessionController.send);
+router.get(
+    "/:sessionId/messages",
+    authorize("read"),
+    SessionController.listMessageJobs
+);
+
+/**
+ * @swagger
+ * /api/sessions/{sessionId}/messages/{jobId}:
+ *   get:
+ *     summary: Obtiene el estado de entrega de un envío
+ *     tags: [Sessions]
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: El ID de la sesión.
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: El `jobId` devuelto al enviar el mensaje.
+ *     responses:
+ *       '200':
+ *         description: Estado del envío.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/MessageJob'
+ *       '404':
+ *         description: Sesión o job no encontrado.
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get(
+    "/:sessionId/messages/:jobId",
+    authorize("read"),
+    SessionController.getMessageJob
+);
 
 /**
  * @swagger
@@ -450,8 +1099,12 @@ router.post("/:sessionId/send-list-message", SessionController.sendListMessage);
  *         description: Sesión cerrada exitosamente.
  *       '404':
  *         description: Sesión no encontrada.
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
  */
-router.delete("/:sessionId/end", SessionController.end);
+router.delete("/:sessionId/end", authorize("admin"), SessionController.end);
 
 /**
  * @swagger
@@ -486,8 +1139,12 @@ router.delete("/:sessionId/end", SessionController.end);
  *                   description: Informative message about the QR code status.
  *       '404':
  *         description: Session not found.
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
  */
-router.get("/:sessionId/qr", SessionController.getQrCode);
+router.get("/:sessionId/qr", authorize("read"), SessionController.getQrCode);
 
 /**
  * @swagger
@@ -523,14 +1180,69 @@ router.get("/:sessionId/qr", SessionController.getQrCode);
  *                     type: string
  *                   apiVersion:
  *                     type: string
+ *               webhookSecret:
+ *                 type: string
+ *                 nullable: true
+ *                 description: "Secreto para firmar los webhooks (HMAC-SHA256 sobre `timestamp.body`). `null` desactiva la firma."
+ *               webhookDelivery:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/WebhookDelivery'
+ *                 nullable: true
+ *                 description: "Se combina con la configuración actual; `null` vuelve a los valores por defecto del servidor."
+ *               mediaDelivery:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/MediaDelivery'
+ *                 nullable: true
+ *                 description: "Se combina con la configuración actual; `null` vuelve a los valores por defecto del servidor."
+ *               history:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/HistorySettings'
+ *                 nullable: true
+ *                 description: "Se combina con la configuración actual; `null` vuelve a los valores por defecto del servidor."
+ *               forwardOwnMessages:
+ *                 type: boolean
+ *                 nullable: true
+ *                 description: "Reenvía los mensajes propios como `message.sent`; `null` vuelve al valor del servidor (`FORWARD_OWN_MESSAGES`)."
+ *               payloadVersion:
+ *                 type: integer
+ *                 enum: [1, 2]
+ *                 nullable: true
+ *                 description: "Versión del payload de los mensajes; `null` vuelve al valor del servidor (`WEBHOOK_PAYLOAD_VERSION`)."
+ *               storage:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/StorageConfig'
+ *                 nullable: true
+ *                 description: "Reemplaza la configuración completa; `null` vuelve al almacenamiento por defecto. Los archivos ya guardados no se migran. Responde 409 si hay envíos de media encolados."
  *     responses:
  *       '200':
- *         description: Configuración actualizada correctamente.
+ *         description: Configuración actualizada correctamente. El secreto se devuelve enmascarado.
  *       '400':
  *         description: No se enviaron datos para actualizar.
  *       '404':
  *         description: Sesión no encontrada o inactiva.
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
  */
-router.put("/:sessionId/metadata", SessionController.updateMetadata);
+router.put(
+    "/:sessionId/metadata",
+    authorize("admin"),
+    SessionController.updateMetadata
+);
+
+// Sub-routers por sesión: se crean con mergeParams para que authorize() vea :sessionId
+
+// Webhooks de la sesión (entregas fallidas, reenvío)
+router.use("/:sessionId/webhooks", webhookRoutes);
+
+// Acciones sobre mensajes de un chat (reacciones, edición, eliminación)
+router.use("/:sessionId/chats", chatRoutes);
+
+// Gestión de grupos (participantes, ajustes, invitaciones)
+router.use("/:sessionId/groups", groupRoutes);
+
+// Consultas de contactos (existencia en WhatsApp, foto, estado, perfil de empresa)
+router.use("/:sessionId/contacts", contactRoutes);
 
 export default router;
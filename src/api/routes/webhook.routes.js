@@ -0,0 +1,459 @@
+import { Router } from "express";
+import WebhookController from "../controllers/webhook.controller.js";
+import { authorize } from "../middlewares/auth.middleware.js";
+
+const router = Router({ mergeParams: true });
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Webhooks
+ *     description: Webhooks adicionales de la sesión (suscripciones con filtros) y entregas fallidas
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WebhookFilters:
+ *       type: object
+ *       description: Filtros opcionales; un arreglo vacío u omitido no filtra. Solo se aplican a los eventos que traen ese dato (los de conexión no tienen chat; los recibos no tienen remitente ni tipo).
+ *       properties:
+ *         chatTypes:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [private, group, broadcast, newsletter]
+ *           example: ["private"]
+ *         senders:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Números o JIDs de los remitentes (en grupos, el participante).
+ *           example: ["573001234567"]
+ *         messageTypes:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: "Tipos de mensaje: text, image, video, audio, document, sticker, location, contact, poll, poll_vote, reaction, edit, revoke, button_reply, list_reply..."
+ *           example: ["text"]
+ *     WebhookSubscriptionInput:
+ *       type: object
+ *       properties:
+ *         url:
+ *           type: string
+ *           example: "https://crm.example.com/whatsapp"
+ *         secret:
+ *           type: string
+ *           nullable: true
+ *           description: Secreto propio para firmar las entregas (mínimo 16 caracteres). Sin secreto no se envía X-Webhook-Signature.
+ *         name:
+ *           type: string
+ *           nullable: true
+ *           example: "crm"
+ *         events:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [messages, receipts, connection, groups, meta]
+ *           description: Categorías de eventos que recibe. Por defecto, todas.
+ *           example: ["messages"]
+ *         filters:
+ *           $ref: '#/components/schemas/WebhookFilters'
+ *         enabled:
+ *           type: boolean
+ *           default: true
+ *     WebhookSubscription:
+ *       allOf:
+ *         - $ref: '#/components/schemas/WebhookSubscriptionInput'
+ *         - type: object
+ *           properties:
+ *             id:
+ *               type: string
+ *             secret:
+ *               type: string
+ *               nullable: true
+ *               example: "********a1b2"
+ *             createdAt:
+ *               type: string
+ *               format: date-time
+ *             updatedAt:
+ *               type: string
+ *               format: date-time
+ *     FailedWebhook:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: ID de la entrega (mismo valor que el header X-Webhook-Delivery).
+ *         event:
+ *           type: string
+ *           example: "message"
+ *         reason:
+ *           type: string
+ *           enum: [rejected, max_retries, expired]
+ *           description: "`rejected`: el receptor respondió 4xx. `max_retries`: se agotaron los reintentos. `expired`: superó la antigüedad máxima sin entregarse."
+ *         lastError:
+ *           type: string
+ *         attempts:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               at:
+ *                 type: string
+ *                 format: date-time
+ *               statusCode:
+ *                 type: integer
+ *                 nullable: true
+ *               error:
+ *                 type: string
+ *         subscriptionId:
+ *           type: string
+ *           nullable: true
+ *           description: Suscripción destino; null si era el webhook de la sesión.
+ *         webhookUrl:
+ *           type: string
+ *         payload:
+ *           type: object
+ *           nullable: true
+ *           description: El payload que se intentó enviar. Es null si falló su construcción (p. ej. la descarga de la media); al reenviar se vuelve a construir.
+ *         messageId:
+ *           type: string
+ *           nullable: true
+ *           description: ID de WhatsApp del mensaje cuando no hay payload.
+ *         failedAt:
+ *           type: string
+ *           format: date-time
+ *     WebhookDelivery:
+ *       type: object
+ *       description: Configuración de entrega de los webhooks de la sesión. Los campos omitidos usan los valores por defecto del servidor.
+ *       properties:
+ *         concurrency:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           description: Entregas simultáneas.
+ *           example: 4
+ *         maxAttempts:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           description: Intentos antes de mover la entrega a los webhooks fallidos.
+ *           example: 5
+ *         maxAgeMinutes:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 10080
+ *           description: Antigüedad máxima de una entrega pendiente.
+ *           example: 1440
+ *         preserveOrder:
+ *           type: boolean
+ *           description: Entrega en orden los eventos de un mismo chat (y los de conexión). Un chat con fallos solo retrasa sus propios eventos.
+ *           example: true
+ *     HistorySettings:
+ *       type: object
+ *       description: "Qué mensajes que no llegan en vivo (historial sincronizado o `append`) se reenvían a los webhooks, con `message.origin` `catch_up` o `history`. Los campos omitidos usan los valores del servidor (`HISTORY_FORWARD`, `HISTORY_CATCH_UP`)."
+ *       properties:
+ *         forward:
+ *           type: boolean
+ *           description: Reenvía todo el historial, p. ej. los chats que se sincronizan al vincular la cuenta.
+ *           example: false
+ *         catchUp:
+ *           type: boolean
+ *           description: Reenvía los mensajes recibidos mientras el servidor estaba detenido (posteriores al último mensaje guardado antes del arranque).
+ *           example: true
+ */
+
+/**
+ * @swagger
+ * /api/sessions/{sessionId}/webhooks/failed:
+ *   get:
+ *     summary: Lista las entregas de webhook fallidas
+ *     description: Entregas descartadas tras un 4xx, tras agotar los reintentos o por superar la antigüedad máxima, de la más reciente a la más antigua.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: El ID de la sesión.
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *     responses:
+ *       '200':
+ *         description: Entregas fallidas.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/FailedWebhook'
+ *                 pagination:
+ *                   type: object
+ *       '400':
+ *         description: Parámetros de paginación inválidos.
+ *       '404':
+ *         description: Sesión no encontrada.
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get("/failed", authorize("read"), WebhookController.listFailed);
+
+/**
+ * @swagger
+ * /api/sessions/{sessionId}/webhooks/failed/replay:
+ *   post:
+ *     summary: Reenvía varias (o todas) las entregas fallidas
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: El ID de la sesión.
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: IDs a reenviar. Si se omite, se reenvían todas.
+ *     responses:
+ *       '202':
+ *         description: Entregas re-encoladas (`replayed`). `notFound` lista los IDs que no existían y `unavailable` los que siguen guardados porque su webhook de destino ya no existe o está desactivado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 replayed:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 notFound:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 unavailable:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       '400':
+ *         description: El campo ids no es válido.
+ *       '404':
+ *         description: Sesión no encontrada.
+ *       '409':
+ *         description: La sesión no tiene webhook configurado.
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post(
+    "/failed/replay",
+    authorize("admin"),
+    WebhookController.replayFailedBulk
+);
+
+/**
+ * @swagger
+ * /api/sessions/{sessionId}/webhooks/failed/{failedId}/replay:
+ *   post:
+ *     summary: Reenvía una entrega fallida
+ *     description: La entrega vuelve a la cola con el mismo ID (header X-Webhook-Delivery) y un nuevo cupo de reintentos.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: El ID de la sesión.
+ *       - in: path
+ *         name: failedId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: El ID de la entrega fallida.
+ *     responses:
+ *       '202':
+ *         description: Entrega re-encolada.
+ *       '404':
+ *         description: Sesión o entrega no encontrada.
+ *       '409':
+ *         description: La sesión no tiene webhook configurado, o el webhook de destino de la entrega ya no existe o está desactivado (la entrega sigue guardada).
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post(
+    "/failed/:failedId/replay",
+    authorize("admin"),
+    WebhookController.replayFailed
+);
+
+/**
+ * @swagger
+ * /api/sessions/{sessionId}/webhooks:
+ *   get:
+ *     summary: Lista los webhooks adicionales de la sesión
+ *     description: El webhook principal de la sesión (campo `webhook`) no aparece aquí; sigue recibiendo todos los eventos.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: El ID de la sesión.
+ *     responses:
+ *       '200':
+ *         description: Webhooks registrados (secretos enmascarados).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookSubscription'
+ *       '404':
+ *         description: Sesión no encontrada.
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *   post:
+ *     summary: Registra un webhook adicional
+ *     description: Recibe las categorías de eventos habilitadas que pasen sus filtros, firmadas con su propio secreto y con reintentos independientes del resto de webhooks.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: El ID de la sesión.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/WebhookSubscriptionInput'
+ *               - required: [url]
+ *     responses:
+ *       '201':
+ *         description: Webhook registrado.
+ *       '400':
+ *         description: Datos inválidos.
+ *       '404':
+ *         description: Sesión no encontrada.
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get("/", authorize("read"), WebhookController.list);
+router.post("/", authorize("admin"), WebhookController.create);
+
+/**
+ * @swagger
+ * /api/sessions/{sessionId}/webhooks/{webhookId}:
+ *   parameters:
+ *     - in: path
+ *       name: sessionId
+ *       required: true
+ *       schema:
+ *         type: string
+ *       description: El ID de la sesión.
+ *     - in: path
+ *       name: webhookId
+ *       required: true
+ *       schema:
+ *         type: string
+ *       description: El ID del webhook.
+ *   get:
+ *     summary: Obtiene un webhook adicional
+ *     tags: [Webhooks]
+ *     responses:
+ *       '200':
+ *         description: El webhook (secreto enmascarado).
+ *       '404':
+ *         description: Sesión o webhook no encontrado.
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *   put:
+ *     summary: Actualiza un webhook adicional
+ *     description: Solo cambian los campos enviados; `filters` se reemplaza completo (`null` lo vacía). Las entregas pendientes usan la nueva URL y el nuevo secreto.
+ *     tags: [Webhooks]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WebhookSubscriptionInput'
+ *     responses:
+ *       '200':
+ *         description: Webhook actualizado.
+ *       '400':
+ *         description: Datos inválidos.
+ *       '404':
+ *         description: Sesión o webhook no encontrado.
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *   delete:
+ *     summary: Elimina un webhook adicional
+ *     description: Sus entregas pendientes se descartan; las fallidas siguen en la lista de fallidos.
+ *     tags: [Webhooks]
+ *     responses:
+ *       '200':
+ *         description: Webhook eliminado.
+ *       '404':
+ *         description: Sesión o webhook no encontrado.
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get("/:webhookId", authorize("read"), WebhookController.get);
+router.put("/:webhookId", authorize("admin"), WebhookController.update);
+router.delete("/:webhookId", authorize("admin"), WebhookController.remove);
+
+export default router;
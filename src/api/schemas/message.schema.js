@@ -0,0 +1,463 @@
+import Ajv from "ajv";
+
+/**
+ * JSON schemas of the unified send endpoint (`POST /api/sessions/{sessionId}/messages`).
+ * They are written as OpenAPI 3.0 components: the same objects are published in the Swagger
+ * spec (`src/config/swagger.js`) and used by `validateMessage` to check request bodies.
+ */
+
+const number = {
+    type: "string",
+    minLength: 1,
+    description:
+        "Número del destinatario (con código de país) o JID (p. ej. de un grupo).",
+    example: "573001234567",
+};
+
+const media = { $ref: "#/components/schemas/MediaSource" };
+
+// Respuesta y menciones, admitidas por los tipos que muestran contenido
+const context = {
+    quotedMessageId: {
+        type: "string",
+        minLength: 1,
+        description:
+            "ID de un mensaje recibido o enviado por la sesión al que se responde (cita).",
+    },
+    mentions: {
+        type: "array",
+        items: { type: "string", minLength: 1 },
+        description:
+            "Números o JIDs mencionados. Para que se vean resaltados, el texto debe incluir `@<número>`.",
+        example: ["573001234567"],
+    },
+};
+
+/**
+ * Builds the schema of one message type: the shared `number` and `type` plus its own fields.
+ */
+function messageType(type, description, properties, required = []) {
+    return {
+        type: "object",
+        description,
+        required: ["number", "type", ...required],
+        additionalProperties: false,
+        properties: {
+            number,
+            type: { type: "string", enum: [type] },
+            ...properties,
+        },
+    };
+}
+
+const messageTypeSchemas = {
+    SendTextMessage: messageType(
+        "text",
+        "Mensaje de texto.",
+        {
+            ...context,
+            text: { type: "string", minLength: 1, maxLength: 65536 },
+        },
+        ["text"]
+    ),
+    SendImageMessage: messageType(
+        "image",
+        "Imagen con texto opcional.",
+        { ...context, media, caption: { type: "string" } },
+        ["media"]
+    ),
+    SendVideoMessage: messageType(
+        "video",
+        "Video con texto opcional.",
+        { ...context, media, caption: { type: "string" } },
+        ["media"]
+    ),
+    SendAudioMessage: messageType(
+        "audio",
+        "Audio; con `ptt` se envía como nota de voz.",
+        { ...context, media, ptt: { type: "boolean" } },
+        ["media"]
+    ),
+    SendDocumentMessage: messageType(
+        "document",
+        "Documento; el nombre se toma de `media.fileName`.",
+        { ...context, media, caption: { type: "string" } },
+        ["media"]
+    ),
+    SendStickerMessage: messageType(
+        "sticker",
+        "Sticker en formato WebP.",
+        { ...context, media },
+        ["media"]
+    ),
+    SendLocationMessage: messageType(
+        "location",
+        "Ubicación.",
+        {
+            ...context,
+            latitude: { type: "number", minimum: -90, maximum: 90 },
+            longitude: { type: "number", minimum: -180, maximum: 180 },
+            name: { type: "string" },
+            address: { type: "string" },
+        },
+        ["latitude", "longitude"]
+    ),
+    SendContactMessage: messageType(
+        "contact",
+        "Una o varias tarjetas de contacto; cada una se convierte en una vCard.",
+        {
+            ...context,
+            contacts: {
+                type: "array",
+                minItems: 1,
+                maxItems: 20,
+                items: {
+                    type: "object",
+                    required: ["name", "phone"],
+                    additionalProperties: false,
+                    properties: {
+                        name: { type: "string", minLength: 1 },
+                        phone: {
+                            type: "string",
+                            pattern: "^\\+?[0-9 ()-]{5,}$",
+                            example: "+57 300 123 4567",
+                        },
+                        organization: {
+                            type: "string",
+                            maxLength: 255,
+                            example: "Servicio Técnico S.A.S.",
+                        },
+                        email: {
+                            type: "string",
+                            pattern: "^[^@\\s]+@[^@\\s]+\\.[^@\\s]+$",
+                            example: "soporte@midominio.com",
+                        },
+                        url: {
+                            type: "string",
+                            pattern: "^https?://",
+                            example: "https://midominio.com",
+                        },
+                    },
+                },
+            },
+        },
+        ["contacts"]
+    ),
+    SendReactionMessage: messageType(
+        "reaction",
+        "Reacción a un mensaje del chat; un `emoji` vacío quita la reacción.",
+        {
+            messageId: { type: "string", minLength: 1 },
+            emoji: { type: "string", maxLength: 16, example: "👍" },
+            fromMe: {
+                type: "boolean",
+                description:
+                    "Si el mensaje al que se reacciona lo envió esta sesión.",
+            },
+            participant: {
+                type: "string",
+                description: "En grupos, el JID de quien envió el mensaje.",
+            },
+        },
+        ["messageId", "emoji"]
+    ),
+    SendPollMessage: messageType(
+        "poll",
+        "Encuesta nativa de WhatsApp.",
+        {
+            ...context,
+            name: { type: "string", minLength: 1, maxLength: 255 },
+            options: {
+                type: "array",
+                minItems: 2,
+                maxItems: 12,
+                uniqueItems: true,
+                items: { type: "string", minLength: 1, maxLength: 100 },
+            },
+            selectableCount: {
+                type: "integer",
+                minimum: 1,
+                maximum: 12,
+                description:
+                    "Cuántas opciones puede elegir cada persona (1 por defecto).",
+            },
+        },
+        ["name", "options"]
+    ),
+    SendForwardMessage: messageType(
+        "forward",
+        "Reenvía un mensaje recibido o enviado por la sesión.",
+        {
+            forwardFrom: {
+                type: "string",
+                minLength: 1,
+                description: "ID del mensaje a reenviar.",
+            },
+        },
+        ["forwardFrom"]
+    ),
+    SendButtonsMessage: messageType(
+        "buttons",
+        "Botones de respuesta rápida (solo API Oficial de Meta).",
+        {
+            text: { type: "string", minLength: 1 },
+            footer: { type: "string" },
+            buttons: {
+                type: "array",
+                minItems: 1,
+                maxItems: 3,
+                items: {
+                    type: "object",
+                    required: ["id", "text"],
+                    additionalProperties: false,
+                    properties: {
+                        id: { type: "string", minLength: 1 },
+                        text: { type: "string", minLength: 1, maxLength: 20 },
+                    },
+                },
+            },
+        },
+        ["text", "buttons"]
+    ),
+    SendListMessage: messageType(
+        "list",
+        "Menú de lista (solo API Oficial de Meta).",
+        {
+            title: { type: "string" },
+            text: { type: "string", minLength: 1 },
+            footer: { type: "string" },
+            buttonText: { type: "string", minLength: 1, maxLength: 20 },
+            sections: {
+                type: "array",
+                minItems: 1,
+                maxItems: 10,
+                items: {
+                    type: "object",
+                    required: ["rows"],
+                    additionalProperties: false,
+                    properties: {
+                        title: { type: "string" },
+                        rows: {
+                            type: "array",
+                            minItems: 1,
+                            items: {
+                                type: "object",
+                                required: ["id", "title"],
+                                additionalProperties: false,
+                                properties: {
+                                    id: { type: "string", minLength: 1 },
+                                    title: { type: "string", minLength: 1 },
+                                    description: { type: "string" },
+                                },
+                            },
+                        },
+                    },
+                },
+            },
+        },
+        ["text", "buttonText", "sections"]
+    ),
+};
+
+/**
+ * Message types of the unified endpoint, mapped to their schema.
+ */
+export const MESSAGE_TYPES = Object.fromEntries(
+    Object.entries(messageTypeSchemas).map(([name, schema]) => [
+        schema.properties.type.enum[0],
+        name,
+    ])
+);
+
+/**
+ * OpenAPI components published in the Swagger spec.
+ */
+export const messageSchemas = {
+    MediaSource: {
+        type: "object",
+        description:
+            "Archivo a enviar: `url` que el servidor descarga (hasta `MEDIA_MAX_BYTES`, con timeout `MEDIA_FETCH_TIMEOUT_MS`) o contenido en `base64`.",
+        properties: {
+            url: {
+                type: "string",
+                example: "https://cdn.midominio.com/catalogo.pdf",
+            },
+            base64: {
+                type: "string",
+                description:
+                    "Contenido en base64, o data URL (`data:image/png;base64,...`).",
+            },
+            mimetype: {
+                type: "string",
+                description:
+                    "Tipo del archivo. Con `url` se usa el Content-Type de la respuesta si se omite; debe corresponder al tipo de envío (`image/*`, `video/*`, `audio/*`, `image/webp` para stickers).",
+                example: "application/pdf",
+            },
+            fileName: {
+                type: "string",
+                description: "Nombre del archivo (documentos).",
+                example: "catalogo.pdf",
+            },
+        },
+        oneOf: [{ required: ["url"] }, { required: ["base64"] }],
+    },
+    ...messageTypeSchemas,
+    SendMessage: {
+        type: "object",
+        description: "Mensaje a enviar; `type` indica qué campos lleva.",
+        oneOf: Object.keys(messageTypeSchemas).map((name) => ({
+            $ref: `#/components/schemas/${name}`,
+        })),
+        discriminator: {
+            propertyName: "type",
+            mapping: Object.fromEntries(
+                Object.entries(MESSAGE_TYPES).map(([type, name]) => [
+                    type,
+                    `#/components/schemas/${name}`,
+                ])
+            ),
+        },
+    },
+};
+
+// Ajv no admite `discriminator.mapping`: valida contra una copia sin él.
+// `components` solo contiene los esquemas referenciados con `$ref`.
+const ajv = new Ajv({ allErrors: true, discriminator: true });
+ajv.addKeyword("example");
+ajv.addKeyword("components");
+const validator = ajv.compile({
+    components: {
+        schemas: {
+            ...messageSchemas,
+            SendMessage: {
+                ...messageSchemas.SendMessage,
+                discriminator: { propertyName: "type" },
+            },
+        },
+    },
+    $ref: "#/components/schemas/SendMessage",
+});
+
+/**
+ * Validates the body of a send request.
+ * @param {object} body - The request body.
+ * @returns {Array<{ field: string, message: string }>} The errors per field; empty if the body is valid.
+ */
+export function validateMessage(body) {
+    if (validator(body)) return [];
+
+    const errors = validator.errors;
+    // Los errores de cada alternativa de un oneOf (url/base64) se resumen en el del oneOf
+    const alternatives = errors
+        .filter((error) => error.keyword === "oneOf")
+        .map((error) => error.schemaPath);
+    const relevant = errors.filter(
+        (error) =>
+            !alternatives.some(
+                (path) =>
+                    error.schemaPath !== path &&
+                    error.schemaPath.startsWith(`${path}/`)
+            )
+    );
+
+    const seen = new Set();
+    return relevant.map(describeError).filter((error) => {
+        const key = `${error.field}:${error.message}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+/**
+ * Turns an Ajv error into `{ field, message }` with a Spanish message.
+ * @private
+ */
+function describeError({ instancePath, keyword, params, message }) {
+    const path = instancePath
+        .split("/")
+        .slice(1)
+        .map((part) => (/^\d+$/.test(part) ? `[${part}]` : `.${part}`))
+        .join("")
+        .replace(/^\./, "");
+    const field = (name) => (path ? `${path}.${name}` : name);
+
+    switch (keyword) {
+        case "required":
+            return {
+                field: field(params.missingProperty),
+                message: `${field(params.missingProperty)} es requerido.`,
+            };
+        case "additionalProperties":
+            return {
+                field: field(params.additionalProperty),
+                message: `${field(params.additionalProperty)} no es un campo admitido para este tipo de mensaje.`,
+            };
+        case "discriminator":
+            return {
+                field: "type",
+                message: `type es requerido y debe ser uno de: ${Object.keys(
+                    MESSAGE_TYPES
+                ).join(", ")}.`,
+            };
+        case "type":
+            return {
+                field: path,
+                message: `${path || "El cuerpo"} debe ser de tipo ${params.type}.`,
+            };
+        case "enum":
+            return {
+                field: path,
+                message: `${path} debe ser uno de: ${params.allowedValues.join(", ")}.`,
+            };
+        case "minLength":
+            return {
+                field: path,
+                message:
+                    params.limit === 1
+                        ? `${path} no puede estar vacío.`
+                        : `${path} debe tener al menos ${params.limit} caracteres.`,
+            };
+        case "maxLength":
+            return {
+                field: path,
+                message: `${path} admite como máximo ${params.limit} caracteres.`,
+            };
+        case "minItems":
+            return {
+                field: path,
+                message: `${path} debe tener al menos ${params.limit} elemento(s).`,
+            };
+        case "maxItems":
+            return {
+                field: path,
+                message: `${path} admite como máximo ${params.limit} elementos.`,
+            };
+        case "uniqueItems":
+            return {
+                field: path,
+                message: `${path} no puede tener elementos repetidos.`,
+            };
+        case "minimum":
+        case "maximum":
+            return {
+                field: path,
+                message: `${path} debe ser ${params.comparison} ${params.limit}.`,
+            };
+        case "pattern":
+            return {
+                field: path,
+                message: `${path} no tiene un formato válido.`,
+            };
+        case "oneOf":
+            return {
+                field: path,
+                message: `${path} debe incluir url o base64 (solo uno de los dos).`,
+            };
+        default:
+            return {
+                field: path,
+                message: `${path || "El cuerpo"} ${message}.`,
+            };
+    }
+}
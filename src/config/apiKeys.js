@@ -0,0 +1,119 @@
+// src/config/apiKeys.js
+import fs from "fs";
+import logger from "../utils/logger.js";
+
+/**
+ * Access levels, ordered from least to most privileged.
+ * A key with a given scope can perform every operation of the lower scopes.
+ */
+export const SCOPES = ["read", "send", "admin"];
+
+/**
+ * Normalizes a raw key definition coming from env or from the keys file.
+ * @param {object|string} entry - Either a plain key string or `{ key, name, scope, sessions }`.
+ * @param {number} index - Position of the entry, used to name anonymous keys.
+ * @returns {{ key: string, name: string, scope: string, sessions: string[] }}
+ * @throws {Error} If the entry has no key or an unknown scope.
+ */
+function normalizeKey(entry, index) {
+    const definition = typeof entry === "string" ? { key: entry } : entry;
+
+    if (!definition || typeof definition.key !== "string" || !definition.key) {
+        throw new Error(`La API key #${index + 1} no tiene el campo 'key'.`);
+    }
+
+    const scope = definition.scope || "admin";
+    if (!SCOPES.includes(scope)) {
+        throw new Error(
+            `La API key '${definition.name || index + 1}' tiene un scope inválido: ${scope}. Valores permitidos: ${SCOPES.join(", ")}.`
+        );
+    }
+
+    const sessions =
+        Array.isArray(definition.sessions) && definition.sessions.length > 0
+            ? definition.sessions.map(String)
+            : ["*"];
+
+    return {
+        key: definition.key,
+        name: definition.name || `key-${index + 1}`,
+        scope,
+        sessions,
+    };
+}
+
+/**
+ * Parses the `API_KEYS` variable. It accepts a JSON array of key definitions
+ * or a comma separated list of plain keys (which get full admin access).
+ * @param {string} raw - The raw env value.
+ * @returns {Array<object|string>}
+ */
+function parseEnvKeys(raw) {
+    const value = raw.trim();
+    if (value.startsWith("[")) {
+        return JSON.parse(value);
+    }
+    return value
+        .split(",")
+        .map((key) => key.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Loads every API key configured for the server.
+ * Sources (all of them are merged):
+ * - `API_KEYS_FILE`: path to a JSON file with an array of `{ key, name, scope, sessions }`.
+ * - `API_KEYS`: JSON array with the same shape, or a comma separated list of plain keys.
+ * - `API_KEY`: a single legacy key with admin access to every session.
+ * @returns {Array<{ key: string, name: string, scope: string, sessions: string[] }>}
+ */
+export function loadApiKeys() {
+    const entries = [];
+
+    if (process.env.API_KEYS_FILE) {
+        try {
+            const content = fs.readFileSync(process.env.API_KEYS_FILE, "utf-8");
+            entries.push(...JSON.parse(content));
+        } catch (error) {
+            logger.error(
+                { error },
+                `No se pudo leer el archivo de API keys ${process.env.API_KEYS_FILE}`
+            );
+        }
+    }
+
+    if (process.env.API_KEYS) {
+        try {
+            entries.push(...parseEnvKeys(process.env.API_KEYS));
+        } catch (error) {
+            logger.error({ error }, "La variable API_KEYS no es válida.");
+        }
+    }
+
+    if (process.env.API_KEY) {
+        entries.push({ key: process.env.API_KEY, name: "default" });
+    }
+
+    const keys = [];
+    entries.forEach((entry, index) => {
+        try {
+            keys.push(normalizeKey(entry, index));
+        } catch (error) {
+            logger.error(error.message);
+        }
+    });
+
+    if (keys.length === 0) {
+        logger.warn(
+            "No hay API keys configuradas (API_KEY, API_KEYS o API_KEYS_FILE). Todas las peticiones a la API serán rechazadas."
+        );
+    } else {
+        logger.info(`🔑 ${keys.length} API key(s) cargadas.`);
+    }
+
+    return keys;
+}
+
+const apiKeys = loadApiKeys();
+
+export default apiKeys;
@@ -1,5 +1,6 @@
 // src/config/swagger.js
 import swaggerJSDoc from "swagger-jsdoc";
+import { messageSchemas } from "../api/schemas/message.schema.js";
 
 const swaggerDefinition = {
     openapi: "3.0.0",
@@ -7,7 +8,9 @@ const swaggerDefinition = {
         title: "Baileys Server Pro API",
         version: "1.0.0",
         description:
-            "Una API REST para interactuar con WhatsApp a través de Baileys, gestionando múltiples sesiones.",
+            "Una API REST para interactuar con WhatsApp a través de Baileys, gestionando múltiples sesiones.\n\n" +
+            "Todas las rutas de `/api/sessions` requieren el header `x-api-key`. Cada key tiene un scope " +
+            "(`read` < `send` < `admin`) y puede estar limitada a un conjunto de sesiones.",
     },
     servers: [
         {
@@ -23,6 +26,66 @@ const swaggerDefinition = {
                 name: "x-api-key",
             },
         },
+        responses: {
+            Unauthorized: {
+                description: "API key inválida o ausente.",
+                content: {
+                    "application/json": {
+                        schema: { $ref: "#/components/schemas/Error" },
+                        example: {
+                            success: false,
+                            message:
+                                "API key inválida o ausente (header x-api-key).",
+                        },
+                    },
+                },
+            },
+            Forbidden: {
+                description:
+                    "La API key no tiene el scope requerido o no tiene acceso a la sesión.",
+                content: {
+                    "application/json": {
+                        schema: { $ref: "#/components/schemas/Error" },
+                        example: {
+                            success: false,
+                            message:
+                                "La API key 'crm' no tiene acceso a la sesión tienda-1.",
+                        },
+                    },
+                },
+            },
+        },
+        schemas: {
+            Error: {
+                type: "object",
+                properties: {
+                    success: { type: "boolean", example: false },
+                    message: { type: "string" },
+                },
+            },
+            ValidationError: {
+                type: "object",
+                properties: {
+                    success: { type: "boolean", example: false },
+                    message: { type: "string" },
+                    errors: {
+                        type: "array",
+                        items: {
+                            type: "object",
+                            properties: {
+                                field: { type: "string", example: "latitude" },
+                                message: {
+                                    type: "string",
+                                    example: "latitude debe ser <= 90.",
+                                },
+                            },
+                        },
+                    },
+                },
+            },
+            // Esquemas del envío unificado, compartidos con la validación de las peticiones
+            ...messageSchemas,
+        },
     },
     security: [
         {
@@ -0,0 +1,222 @@
+import logger from "../utils/logger.js";
+import { jidUser, toJid } from "../utils/jid.js";
+import { callSocket } from "../utils/socketCall.js";
+
+// Cuánto se recuerda cada consulta (existencia, foto, estado, perfil de empresa)
+const CACHE_TTL_MS =
+    (parseFloat(process.env.CONTACT_CACHE_TTL_MINUTES) || 60) * 60 * 1000;
+const CACHE_MAX_ENTRIES = 10000;
+
+// Consultas simultáneas a WhatsApp al verificar un lote de números
+const CHECK_CONCURRENCY = 5;
+
+/**
+ * @class ContactService
+ * @description Contact lookups for a session through its Baileys socket: whether numbers are on
+ * WhatsApp (with their canonical JID), profile pictures, about text and business profiles.
+ * Results, including negative ones, are cached for `CONTACT_CACHE_TTL_MINUTES` so repeated
+ * lookups don't reach WhatsApp. Every lookup requires the session to be connected; errors carry
+ * the HTTP `statusCode` to answer with (409 if disconnected).
+ */
+class ContactService {
+    /**
+     * @param {object} session - The `WhatsappSession` the lookups go through.
+     */
+    constructor(session) {
+        this.session = session;
+        // "<tipo>:<jid>" -> { value, expiresAt }
+        this.cache = new Map();
+        // Consultas en curso, para que las repetidas esperen la misma respuesta
+        this.pending = new Map();
+    }
+
+    /**
+     * Checks which numbers have a WhatsApp account. A number that is not valid or whose lookup
+     * fails gets its own `error` instead of failing the whole batch; only a disconnected session
+     * (409) does.
+     * @param {string[]} numbers - Phone numbers (formatting is ignored) or JIDs.
+     * @returns {Promise<Array<{ input: string, exists: boolean|null, jid: string|null, error?: string }>>}
+     * One result per number, in the same order. `jid` is the canonical JID WhatsApp uses for the
+     * number, which may differ from the number as written (e.g. Brazilian numbers without the
+     * ninth digit); sends don't resolve it by themselves, so use it as the recipient.
+     * `exists` is null when the number could not be checked.
+     */
+    async check(numbers) {
+        const results = new Array(numbers.length);
+        let next = 0;
+
+        const worker = async () => {
+            while (next < numbers.length) {
+                const index = next++;
+                results[index] = await this._checkOne(numbers[index]);
+            }
+        };
+
+        await Promise.all(
+            Array.from(
+                { length: Math.min(CHECK_CONCURRENCY, numbers.length) },
+                worker
+            )
+        );
+        return results;
+    }
+
+    /**
+     * Checks one number of a `check` batch.
+     * @param {string} input - The number or JID as given.
+     * @returns {Promise<object>} Its result.
+     * @private
+     */
+    async _checkOne(input) {
+        if (!/^\d+$/.test(jidUser(input))) {
+            return {
+                input,
+                exists: null,
+                jid: null,
+                error: "No es un número de teléfono válido.",
+            };
+        }
+
+        try {
+            const found = await this._cached("exists", toJid(input), (jid) =>
+                this._call(async (sock) => {
+                    const [result] = (await sock.onWhatsApp(jid)) || [];
+                    return result?.exists ? result.jid : null;
+                })
+            );
+            return { input, exists: Boolean(found), jid: found };
+        } catch (error) {
+            // La sesión desconectada (409) afecta a todo el lote
+            if (error.statusCode) throw error;
+
+            logger.warn(
+                { error: error.message },
+                `[${this.session.sessionId}] No se pudo verificar el número ${input}`
+            );
+            return {
+                input,
+                exists: null,
+                jid: null,
+                error: "No se pudo verificar el número.",
+            };
+        }
+    }
+
+    /**
+     * @param {string} jid - The contact JID.
+     * @returns {Promise<string|null>} The URL of the profile picture, or null if the contact has
+     * none or its privacy settings hide it. WhatsApp URLs expire after a while.
+     */
+    async profilePicture(jid) {
+        return this._cached("picture", jid, () =>
+            this._call(
+                (sock) => sock.profilePictureUrl(jid, "image"),
+                () => null
+            )
+        );
+    }
+
+    /**
+     * @param {string} jid - The contact JID.
+     * @returns {Promise<{ status: string|null, setAt: string|null }>} The about text and when it
+     * was set; null fields if it is hidden by the contact's privacy settings.
+     */
+    async status(jid) {
+        return this._cached("status", jid, () =>
+            this._call(
+                async (sock) => {
+                    const result = await sock.fetchStatus(jid);
+                    // Según la versión de Baileys llega el estado o una lista de resultados USync
+                    const entry = Array.isArray(result)
+                        ? result[0]?.status
+                        : result;
+                    return {
+                        status: entry?.status || null,
+                        setAt: entry?.setAt
+                            ? new Date(entry.setAt).toISOString()
+                            : null,
+                    };
+                },
+                () => ({ status: null, setAt: null })
+            )
+        );
+    }
+
+    /**
+     * @param {string} jid - The contact JID.
+     * @returns {Promise<object|null>} The business profile (`description`, `category`, `email`,
+     * `website`, `address`, `businessHours`), or null if the account is not a business.
+     */
+    async businessProfile(jid) {
+        return this._cached("business", jid, () =>
+            this._call(
+                async (sock) => {
+                    const profile = await sock.getBusinessProfile(jid);
+                    if (!profile) return null;
+                    return {
+                        description: profile.description || null,
+                        category: profile.category || null,
+                        email: profile.email || null,
+                        website: profile.website || [],
+                        address: profile.address || null,
+                        businessHours: profile.business_hours || null,
+                    };
+                },
+                () => null
+            )
+        );
+    }
+
+    /**
+     * Returns the cached value of a lookup, or runs it and caches the result. Errors are not cached.
+     * @param {string} kind - The lookup type (`exists`, `picture`, `status`, `business`).
+     * @param {string} jid - The contact JID.
+     * @param {Function} lookup - `(jid) => Promise<*>`.
+     * @returns {Promise<*>} The value.
+     * @private
+     */
+    async _cached(kind, jid, lookup) {
+        const key = `${kind}:${jid}`;
+        const entry = this.cache.get(key);
+        if (entry && entry.expiresAt > Date.now()) return entry.value;
+        if (this.pending.has(key)) return this.pending.get(key);
+
+        const promise = lookup(jid)
+            .then((value) => {
+                // El Map conserva el orden de inserción: se descarta la entrada más antigua
+                this.cache.delete(key);
+                if (this.cache.size >= CACHE_MAX_ENTRIES) {
+                    this.cache.delete(this.cache.keys().next().value);
+                }
+                this.cache.set(key, {
+                    value,
+                    expiresAt: Date.now() + CACHE_TTL_MS,
+                });
+                return value;
+            })
+            .finally(() => this.pending.delete(key));
+        this.pending.set(key, promise);
+        return promise;
+    }
+
+    /**
+     * Runs a lookup on the socket (see `callSocket`). WhatsApp answers 404 (nothing to show) or 401 (hidden by the
+     * contact's privacy settings) for missing data; those become `onMissing()` when given.
+     * @param {Function} operation - `(sock) => Promise`.
+     * @param {Function} [onMissing] - Produces the value for a 401 or 404 answer.
+     * @returns {Promise<*>} The operation result.
+     * @private
+     */
+    async _call(operation, onMissing) {
+        try {
+            return await callSocket(this.session, operation);
+        } catch (error) {
+            if (onMissing && [401, 404].includes(error.statusCode)) {
+                return onMissing();
+            }
+            throw error;
+        }
+    }
+}
+
+export default ContactService;
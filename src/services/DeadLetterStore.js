@@ -0,0 +1,162 @@
+import fs from "fs";
+import path from "path";
+import { BufferJSON } from "@whiskeysockets/baileys";
+
+import logger from "../utils/logger.js";
+
+/**
+ * @class DeadLetterStore
+ * @description Keeps the webhook deliveries that were given up on (retries exhausted, expired
+ * or rejected with a 4xx) so they can be inspected and replayed. Each entry is a JSON file named after the
+ * webhook job ID inside the session folder; raw Baileys messages keep their Buffers via `BufferJSON`.
+ * An in-memory index of the entries and when they failed (built from the file modification times
+ * on first use) lets `list` read only the entries of the requested page.
+ */
+class DeadLetterStore {
+    /**
+     * @param {string} dirPath - Absolute path of the directory holding the entries.
+     */
+    constructor(dirPath) {
+        this.dirPath = dirPath;
+        this.closed = false;
+        // id -> momento del fallo (ms); se carga del disco al primer uso
+        this.index = null;
+    }
+
+    /**
+     * Stores a failed delivery.
+     * @param {object} entry - `{ id, event, payload, rawMessage, reason, lastError, attempts, webhookUrl }`.
+     * @returns {object} The stored entry, with `failedAt`.
+     */
+    add(entry) {
+        const record = { ...entry, failedAt: new Date().toISOString() };
+        if (this.closed) return record;
+
+        try {
+            fs.mkdirSync(this.dirPath, { recursive: true });
+            const filePath = this._filePath(record.id);
+            const tempPath = `${filePath}.tmp`;
+            fs.writeFileSync(
+                tempPath,
+                JSON.stringify(record, BufferJSON.replacer)
+            );
+            fs.renameSync(tempPath, filePath);
+            this._index().set(record.id, Date.parse(record.failedAt));
+        } catch (error) {
+            logger.error(
+                { error },
+                `No se pudo guardar el webhook fallido ${record.id} en ${this.dirPath}`
+            );
+        }
+
+        return record;
+    }
+
+    /**
+     * Stops writing to disk (e.g. while the session folder is being removed), so later entries
+     * don't recreate it.
+     */
+    close() {
+        this.closed = true;
+    }
+
+    /**
+     * @param {string} id - The entry ID (the webhook job ID).
+     * @returns {object|null} The entry, or null if it doesn't exist.
+     */
+    get(id) {
+        const filePath = this._filePath(id);
+        if (!filePath) return null;
+        if (!fs.existsSync(filePath)) {
+            this.index?.delete(id);
+            return null;
+        }
+
+        try {
+            return JSON.parse(
+                fs.readFileSync(filePath, "utf-8"),
+                BufferJSON.reviver
+            );
+        } catch (error) {
+            logger.error({ error }, `No se pudo leer el webhook fallido ${id}`);
+            return null;
+        }
+    }
+
+    /**
+     * Lists the entries, newest first.
+     * @param {object} [options]
+     * @param {number} [options.page=1] - 1-based page number.
+     * @param {number} [options.limit=50] - Page size.
+     * @returns {{ data: object[], pagination: object }}
+     */
+    list({ page = 1, limit = 50 } = {}) {
+        const ids = [...this._index()]
+            .sort(([, a], [, b]) => b - a)
+            .map(([id]) => id);
+
+        return {
+            data: ids
+                .slice((page - 1) * limit, page * limit)
+                .map((id) => this.get(id))
+                .filter(Boolean),
+            pagination: {
+                page,
+                limit,
+                total: ids.length,
+                totalPages: Math.ceil(ids.length / limit),
+            },
+        };
+    }
+
+    /**
+     * Removes an entry (e.g. once it has been queued for replay).
+     * @param {string} id - The entry ID.
+     */
+    remove(id) {
+        const filePath = this._filePath(id);
+        if (filePath) fs.rmSync(filePath, { force: true });
+        this.index?.delete(id);
+    }
+
+    /**
+     * @returns {string[]} The IDs of every stored entry.
+     */
+    ids() {
+        return [...this._index().keys()];
+    }
+
+    /**
+     * Returns the index of the entries, reading the directory the first time.
+     * @returns {Map<string, number>} Entry ID -> when it failed (ms).
+     * @private
+     */
+    _index() {
+        if (this.index) return this.index;
+
+        this.index = new Map();
+        if (!fs.existsSync(this.dirPath)) return this.index;
+
+        for (const name of fs.readdirSync(this.dirPath)) {
+            if (!name.endsWith(".json")) continue;
+            try {
+                const { mtimeMs } = fs.statSync(path.join(this.dirPath, name));
+                this.index.set(name.slice(0, -".json".length), mtimeMs);
+            } catch {
+                // Borrada mientras se leía la carpeta
+            }
+        }
+        return this.index;
+    }
+
+    /**
+     * Resolves the file of an entry, rejecting IDs that could escape the directory.
+     * @private
+     */
+    _filePath(id) {
+        if (!/^[\w-]+$/.test(String(id))) return null;
+        return path.join(this.dirPath, `${id}.json`);
+    }
+}
+
+export default DeadLetterStore;
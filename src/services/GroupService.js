@@ -0,0 +1,198 @@
+import logger from "../utils/logger.js";
+import { toJid } from "../utils/jid.js";
+import { toIsoTimestamp } from "../utils/timestamp.js";
+import { callSocket } from "../utils/socketCall.js";
+
+// Acciones de `groupParticipantsUpdate` de Baileys
+export const PARTICIPANT_ACTIONS = ["add", "remove", "promote", "demote"];
+
+/**
+ * Presents Baileys group metadata.
+ * @param {object} metadata - The Baileys `GroupMetadata`.
+ * @param {object} [options]
+ * @param {boolean} [options.participants=true] - Whether to include the participant list.
+ * @returns {object} `{ id, subject, description, owner, createdAt, size, announce, locked, participants }`.
+ */
+export function describeGroup(metadata, { participants = true } = {}) {
+    const members = metadata.participants || [];
+    return {
+        id: metadata.id,
+        subject: metadata.subject || null,
+        description: metadata.desc || null,
+        owner: metadata.owner || null,
+        createdAt: toIsoTimestamp(metadata.creation),
+        size: metadata.size ?? members.length,
+        // announce: solo los administradores envían mensajes; locked: solo ellos editan los datos
+        announce: Boolean(metadata.announce),
+        locked: Boolean(metadata.restrict),
+        ...(participants && {
+            participants: members.map(describeParticipant),
+        }),
+    };
+}
+
+/**
+ * @param {object} participant - A Baileys `GroupParticipant`.
+ * @returns {{ id: string, admin: "admin"|"superadmin"|null }}
+ */
+function describeParticipant({ id, admin }) {
+    return { id, admin: admin || null };
+}
+
+/**
+ * @class GroupService
+ * @description Group management for a session (list, create, participants, settings and invites)
+ * through its Baileys socket. Every operation requires the session to be connected; errors carry
+ * the HTTP `statusCode` to answer with (409 if disconnected, WhatsApp's code for rejected actions).
+ */
+class GroupService {
+    /**
+     * @param {object} session - The `WhatsappSession` the groups belong to.
+     */
+    constructor(session) {
+        this.session = session;
+    }
+
+    /**
+     * Lists the groups the account participates in.
+     * @returns {Promise<object[]>} The groups, without their participant list, sorted by subject.
+     */
+    async list() {
+        const groups = await callSocket(this.session, (sock) =>
+            sock.groupFetchAllParticipating()
+        );
+        return Object.values(groups)
+            .map((metadata) => describeGroup(metadata, { participants: false }))
+            .sort((a, b) => (a.subject || "").localeCompare(b.subject || ""));
+    }
+
+    /**
+     * @param {string} jid - The group JID.
+     * @returns {Promise<object>} The group with its participants.
+     */
+    async get(jid) {
+        return describeGroup(
+            await callSocket(this.session, (sock) => sock.groupMetadata(jid))
+        );
+    }
+
+    /**
+     * Creates a group with the account as its admin.
+     * @param {string} subject - The group name.
+     * @param {string[]} participants - Numbers or JIDs to add.
+     * @returns {Promise<object>} The new group.
+     */
+    async create(subject, participants) {
+        const metadata = await callSocket(this.session, (sock) =>
+            sock.groupCreate(subject, participants.map(toJid))
+        );
+        logger.info(
+            `[${this.session.sessionId}] Grupo creado: ${metadata.id} (${subject}).`
+        );
+        return describeGroup(metadata);
+    }
+
+    /**
+     * Adds, removes, promotes or demotes participants. WhatsApp answers per participant
+     * (e.g. 403 when the number's privacy doesn't allow being added, 409 if already a member).
+     * @param {string} jid - The group JID.
+     * @param {string[]} participants - Numbers or JIDs.
+     * @param {"add"|"remove"|"promote"|"demote"} action - One of `PARTICIPANT_ACTIONS`.
+     * @returns {Promise<Array<{ participant: string, status: number, success: boolean }>>}
+     */
+    async updateParticipants(jid, participants, action) {
+        const results = await callSocket(this.session, (sock) =>
+            sock.groupParticipantsUpdate(jid, participants.map(toJid), action)
+        );
+        return results.map((result) => ({
+            participant: result.jid,
+            status: Number(result.status),
+            success: String(result.status) === "200",
+        }));
+    }
+
+    /**
+     * Updates the subject, description and/or settings of a group; omitted fields are unchanged.
+     * @param {string} jid - The group JID.
+     * @param {object} changes - `{ subject, description, announce, locked }`; an empty description removes it.
+     * @returns {Promise<object>} The updated group.
+     */
+    async update(jid, { subject, description, announce, locked }) {
+        await callSocket(this.session, async (sock) => {
+            if (subject !== undefined) {
+                await sock.groupUpdateSubject(jid, subject);
+            }
+            if (description !== undefined) {
+                await sock.groupUpdateDescription(
+                    jid,
+                    description || undefined
+                );
+            }
+            if (announce !== undefined) {
+                await sock.groupSettingUpdate(
+                    jid,
+                    announce ? "announcement" : "not_announcement"
+                );
+            }
+            if (locked !== undefined) {
+                await sock.groupSettingUpdate(
+                    jid,
+                    locked ? "locked" : "unlocked"
+                );
+            }
+        });
+        return this.get(jid);
+    }
+
+    /**
+     * @param {string} jid - The group JID.
+     * @returns {Promise<{ code: string, url: string }>} The current invite link (admins only).
+     */
+    async inviteCode(jid) {
+        return inviteLink(
+            await callSocket(this.session, (sock) => sock.groupInviteCode(jid))
+        );
+    }
+
+    /**
+     * Revokes the invite link of a group and generates a new one.
+     * @param {string} jid - The group JID.
+     * @returns {Promise<{ code: string, url: string }>} The new invite link.
+     */
+    async revokeInvite(jid) {
+        return inviteLink(
+            await callSocket(this.session, (sock) =>
+                sock.groupRevokeInvite(jid)
+            )
+        );
+    }
+
+    /**
+     * Joins a group through an invite code.
+     * @param {string} code - The invite code (the last part of `https://chat.whatsapp.com/<code>`).
+     * @returns {Promise<{ id: string|null }>} The JID of the joined group.
+     */
+    async join(code) {
+        const id = await callSocket(this.session, (sock) =>
+            sock.groupAcceptInvite(code)
+        );
+        return { id: id || null };
+    }
+
+    /**
+     * Leaves a group.
+     * @param {string} jid - The group JID.
+     */
+    async leave(jid) {
+        await callSocket(this.session, (sock) => sock.groupLeave(jid));
+        logger.info(
+            `[${this.session.sessionId}] Sesión salió del grupo ${jid}.`
+        );
+    }
+}
+
+function inviteLink(code) {
+    return { code, url: `https://chat.whatsapp.com/${code}` };
+}
+
+export default GroupService;
@@ -0,0 +1,274 @@
+import fs from "fs";
+import path from "path";
+
+import logger from "../utils/logger.js";
+
+/**
+ * Lifecycle states of an outbound job.
+ * - `queued`: waiting in the outgoing queue (also after a failed attempt that will be retried).
+ * - `sending`: handed to the Baileys socket.
+ * - `sent`: accepted by WhatsApp; `messageId` holds the WhatsApp message ID.
+ * - `failed`: will not be retried; `error` holds the reason.
+ */
+export const JOB_STATUSES = ["queued", "sending", "sent", "failed"];
+
+/**
+ * Delivery states reported by WhatsApp receipts once a job is `sent`, in increasing order.
+ */
+export const DELIVERY_STATUSES = ["server_ack", "delivered", "read", "played"];
+
+/**
+ * @class JobTracker
+ * @description Keeps the lifecycle of every outbound job of a session so clients can
+ * reconcile what actually left the server. Transitions are appended to a JSON Lines log
+ * (cheap and durable on every change); the log is compacted when it grows and on load.
+ * Only the most recent `maxJobs` jobs are kept.
+ */
+class JobTracker {
+    /**
+     * @param {string} filePath - Absolute path of the log file.
+     * @param {number} [maxJobs] - How many jobs to keep (oldest are pruned).
+     */
+    constructor(
+        filePath,
+        maxJobs = parseInt(process.env.JOB_HISTORY_LIMIT || "5000", 10)
+    ) {
+        this.filePath = filePath;
+        this.maxJobs = maxJobs;
+        this.jobs = new Map();
+        this.byMessageId = new Map();
+        this.lines = 0;
+        this.closed = false;
+        this._load();
+    }
+
+    /**
+     * Registers a new job.
+     * @param {object} job - The outgoing job `{ id, type, recipient, createdAt }`.
+     * @param {string} status - Initial status (`queued` or `sending`).
+     * @returns {object} The tracked record.
+     */
+    track(job, status) {
+        const now = new Date().toISOString();
+        const record = {
+            id: job.id,
+            type: job.type,
+            recipient: job.recipient,
+            status,
+            messageId: null,
+            delivery: null,
+            error: null,
+            attempts: 0,
+            createdAt: job.createdAt || now,
+            updatedAt: now,
+            history: [{ status, at: now }],
+        };
+
+        this.jobs.set(job.id, record);
+        this._prune();
+        this._append(record);
+        return record;
+    }
+
+    /**
+     * Moves a job to a new status.
+     * @param {string} jobId - The job ID.
+     * @param {string} status - One of `JOB_STATUSES`.
+     * @param {object} [extra] - Additional fields (`messageId`, `error`).
+     * @returns {object|undefined} The updated record, or undefined if the job is unknown.
+     */
+    update(jobId, status, extra = {}) {
+        const record = this.jobs.get(jobId);
+        if (!record) return undefined;
+
+        const now = new Date().toISOString();
+        record.status = status;
+        record.updatedAt = now;
+        if (status === "sending") record.attempts += 1;
+        if (extra.messageId !== undefined) {
+            record.messageId = extra.messageId;
+            if (extra.messageId) this.byMessageId.set(extra.messageId, jobId);
+        }
+        record.error = extra.error ?? (status === "sent" ? null : record.error);
+        record.history.push({
+            status,
+            at: now,
+            ...(extra.error && { error: extra.error }),
+        });
+
+        this._append(record);
+        return record;
+    }
+
+    /**
+     * Records a delivery receipt for a sent job. Receipts can arrive out of order (and once per
+     * participant in groups), so the delivery status only moves forward.
+     * @param {string} jobId - The job ID.
+     * @param {string} status - One of `DELIVERY_STATUSES`.
+     * @param {string|null} [at] - When WhatsApp reported it (ISO date).
+     * @returns {object|undefined} The updated record, or undefined if the job is unknown.
+     */
+    recordDelivery(jobId, status, at) {
+        const record = this.jobs.get(jobId);
+        if (!record) return undefined;
+
+        const current = DELIVERY_STATUSES.indexOf(record.delivery?.status);
+        if (DELIVERY_STATUSES.indexOf(status) <= current) return record;
+
+        const now = new Date().toISOString();
+        record.delivery = { status, at: at || now };
+        record.updatedAt = now;
+        record.history.push({ status, at: at || now });
+
+        this._append(record);
+        return record;
+    }
+
+    /**
+     * Finds the job that produced a WhatsApp message.
+     * @param {string} messageId - The WhatsApp message ID.
+     * @returns {object|undefined} The tracked record.
+     */
+    findByMessageId(messageId) {
+        const jobId = this.byMessageId.get(messageId);
+        return jobId ? this.jobs.get(jobId) : undefined;
+    }
+
+    /**
+     * @param {string} jobId - The job ID.
+     * @returns {object|undefined} The tracked record.
+     */
+    get(jobId) {
+        return this.jobs.get(jobId);
+    }
+
+    /**
+     * Lists jobs, newest first.
+     * @param {object} [filters]
+     * @param {string[]} [filters.status] - Only these statuses.
+     * @param {string} [filters.type] - Only this message type.
+     * @param {string} [filters.recipient] - Only recipients containing this value.
+     * @param {string} [filters.since] - Only jobs created at or after this ISO date.
+     * @param {number} [filters.page=1] - 1-based page number.
+     * @param {number} [filters.limit=50] - Page size.
+     * @returns {{ data: object[], pagination: object }}
+     */
+    list({ status, type, recipient, since, page = 1, limit = 50 } = {}) {
+        const sinceTime = since ? new Date(since).getTime() : null;
+
+        const matching = [...this.jobs.values()]
+            .filter((job) => !status || status.includes(job.status))
+            .filter((job) => !type || job.type === type)
+            .filter((job) => !recipient || job.recipient.includes(recipient))
+            .filter(
+                (job) =>
+                    sinceTime === null ||
+                    new Date(job.createdAt).getTime() >= sinceTime
+            )
+            .reverse();
+
+        return {
+            data: matching.slice((page - 1) * limit, page * limit),
+            pagination: {
+                page,
+                limit,
+                total: matching.length,
+                totalPages: Math.ceil(matching.length / limit),
+            },
+        };
+    }
+
+    /**
+     * Stops writing to disk (e.g. while the session folder is being removed), so later changes
+     * don't recreate it. Reads keep working with what is in memory.
+     */
+    close() {
+        this.closed = true;
+    }
+
+    /**
+     * Drops the oldest jobs beyond `maxJobs`.
+     * @private
+     */
+    _prune() {
+        while (this.jobs.size > this.maxJobs) {
+            const [jobId, record] = this.jobs.entries().next().value;
+            this.jobs.delete(jobId);
+            if (record.messageId) this.byMessageId.delete(record.messageId);
+        }
+    }
+
+    /**
+     * Appends the current state of a record to the log, compacting it when it gets too long.
+     * @param {object} record - The job record.
+     * @private
+     */
+    _append(record) {
+        if (this.closed) return;
+
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.appendFileSync(this.filePath, `${JSON.stringify(record)}\n`);
+            this.lines++;
+            if (this.lines > this.maxJobs * 3) this._compact();
+        } catch (error) {
+            logger.error(
+                { error },
+                `No se pudo registrar el estado del job en ${this.filePath}`
+            );
+        }
+    }
+
+    /**
+     * Rewrites the log with a single line per kept job.
+     * @private
+     */
+    _compact() {
+        const tempPath = `${this.filePath}.tmp`;
+        const content = [...this.jobs.values()]
+            .map((record) => JSON.stringify(record))
+            .join("\n");
+
+        fs.writeFileSync(tempPath, content ? `${content}\n` : "");
+        fs.renameSync(tempPath, this.filePath);
+        this.lines = this.jobs.size;
+    }
+
+    /**
+     * Rebuilds the in-memory index from the log (the last line of each job wins).
+     * @private
+     */
+    _load() {
+        if (!fs.existsSync(this.filePath)) return;
+
+        try {
+            const lines = fs
+                .readFileSync(this.filePath, "utf-8")
+                .split("\n")
+                .filter(Boolean);
+
+            for (const line of lines) {
+                try {
+                    // Map.set conserva la posición original: el orden sigue siendo el de creación
+                    const record = JSON.parse(line);
+                    this.jobs.set(record.id, record);
+                    if (record.messageId) {
+                        this.byMessageId.set(record.messageId, record.id);
+                    }
+                } catch {
+                    // Una línea truncada por un corte abrupto no invalida el resto del log
+                }
+            }
+
+            this._prune();
+            this._compact();
+        } catch (error) {
+            logger.error(
+                { error },
+                `No se pudo cargar el historial de jobs ${this.filePath}`
+            );
+        }
+    }
+}
+
+export default JobTracker;
@@ -0,0 +1,117 @@
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+
+/**
+ * @class LocalStorageDriver
+ * @description Stores files on the local filesystem under a root directory (by default the
+ * `sessions` folder, so keys like `<sessionId>/media/<id>` land inside each session folder).
+ * Implements the storage driver interface used by `MediaStore` and the outgoing media spool.
+ */
+class LocalStorageDriver {
+    /**
+     * @param {object} options
+     * @param {string} options.root - Absolute path of the root directory.
+     */
+    constructor({ root }) {
+        this.name = "local";
+        this.root = root;
+    }
+
+    /**
+     * Takes ownership of a local file and stores it under a key (the file is moved).
+     * @param {string} key - The storage key.
+     * @param {string} filePath - The file to store.
+     * @returns {Promise<void>}
+     */
+    async putFile(key, filePath) {
+        const target = this._resolve(key);
+        await fsp.mkdir(path.dirname(target), { recursive: true });
+
+        try {
+            await fsp.rename(filePath, target);
+        } catch (error) {
+            // El archivo puede estar en otro volumen (p. ej. `sessions` montado en Docker)
+            if (error.code !== "EXDEV") throw error;
+            await fsp.copyFile(filePath, target);
+            await fsp.unlink(filePath);
+        }
+    }
+
+    /**
+     * @param {string} key - The storage key.
+     * @param {Buffer|string} data - The contents.
+     * @returns {Promise<void>}
+     */
+    async putBuffer(key, data) {
+        const target = this._resolve(key);
+        await fsp.mkdir(path.dirname(target), { recursive: true });
+        const tempPath = `${target}.tmp`;
+        await fsp.writeFile(tempPath, data);
+        await fsp.rename(tempPath, target);
+    }
+
+    /**
+     * @param {string} key - The storage key.
+     * @returns {Promise<import("stream").Readable|null>} The contents, or null if the key doesn't exist.
+     */
+    async get(key) {
+        const target = this._resolve(key);
+        if (!fs.existsSync(target)) return null;
+        return fs.createReadStream(target);
+    }
+
+    /**
+     * @param {string} key - The storage key.
+     * @returns {Promise<Buffer|null>} The contents, or null if the key doesn't exist.
+     */
+    async getBuffer(key) {
+        try {
+            return await fsp.readFile(this._resolve(key));
+        } catch (error) {
+            if (error.code === "ENOENT") return null;
+            throw error;
+        }
+    }
+
+    /**
+     * @param {string} key - The storage key. Missing keys are ignored.
+     * @returns {Promise<void>}
+     */
+    async remove(key) {
+        await fsp.rm(this._resolve(key), { force: true });
+    }
+
+    /**
+     * Lists the files under a prefix (not recursive).
+     * @param {string} prefix - A key prefix ending in `/`.
+     * @returns {Promise<Array<{ key: string, lastModified: Date }>>}
+     */
+    async list(prefix) {
+        const dir = this._resolve(prefix);
+        if (!fs.existsSync(dir)) return [];
+
+        const entries = await fsp.readdir(dir, { withFileTypes: true });
+        const files = [];
+        for (const entry of entries) {
+            if (!entry.isFile()) continue;
+            const { mtime } = await fsp.stat(path.join(dir, entry.name));
+            files.push({ key: `${prefix}${entry.name}`, lastModified: mtime });
+        }
+        return files;
+    }
+
+    /**
+     * Resolves a key inside the root, rejecting keys that would escape it.
+     * @private
+     */
+    _resolve(key) {
+        const target = path.resolve(this.root, key);
+        if (!target.startsWith(path.resolve(this.root) + path.sep)) {
+            throw new Error(`Clave de almacenamiento inválida: ${key}`);
+        }
+        return target;
+    }
+}
+
+export default LocalStorageDriver;
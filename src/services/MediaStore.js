@@ -0,0 +1,203 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+import { Transform } from "stream";
+import { pipeline } from "stream/promises";
+
+import logger from "../utils/logger.js";
+
+const RETENTION_MS =
+    (parseFloat(process.env.MEDIA_RETENTION_HOURS) || 72) * 60 * 60 * 1000;
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Default media delivery, overridable per session (`mediaDelivery` in metadata.json).
+ * - `inline`: the media travels as base64 inside the payload (`message.media`).
+ * - `url`: files larger than `inlineMaxBytes` are saved to the store and the payload carries
+ *   a signed, expiring download URL (`message.mediaFile`).
+ */
+export const DEFAULT_MEDIA_DELIVERY = {
+    mode: process.env.MEDIA_DELIVERY_MODE === "url" ? "url" : "inline",
+    inlineMaxBytes: parseInt(
+        process.env.MEDIA_INLINE_MAX_BYTES || "262144",
+        10
+    ),
+};
+
+/**
+ * @class MediaStore
+ * @description Keeps the media of incoming messages so webhooks can reference it by URL instead
+ * of carrying it as base64. Files live in the session storage driver (local folder or S3) under
+ * `<sessionId>/media/`, each next to a JSON sidecar with its mimetype, size and sha256.
+ * Files older than `MEDIA_RETENTION_HOURS` are removed periodically.
+ */
+class MediaStore {
+    /**
+     * @param {string} sessionId - The owning session (prefix of every key).
+     * @param {object} storage - The storage driver (see `storageDrivers.js`).
+     */
+    constructor(sessionId, storage) {
+        this.prefix = `${sessionId}/media/`;
+        this.storage = storage;
+        this.cleanupTimer = null;
+        this.pending = new Map();
+    }
+
+    /**
+     * Streams a file into the store, hashing it on the way, so large media never sits in memory.
+     * The file goes through a local temporary file first (S3 needs its length up front) and only
+     * becomes visible (sidecar included) once it was fully stored.
+     * Concurrent saves of the same ID share a single write.
+     * @param {string} id - The media ID.
+     * @param {Function} openSource - `async () => Readable`, only called if the file isn't being written already.
+     * @param {object} info - `{ mimetype, fileName, messageId }`.
+     * @returns {Promise<object>} The stored record `{ id, mimetype, fileName, size, sha256, messageId, createdAt }`.
+     */
+    save(id, openSource, info) {
+        if (!this.pending.has(id)) {
+            this.pending.set(
+                id,
+                this._write(id, openSource, info).finally(() =>
+                    this.pending.delete(id)
+                )
+            );
+        }
+        return this.pending.get(id);
+    }
+
+    /**
+     * @private
+     */
+    async _write(
+        id,
+        openSource,
+        { mimetype, fileName = null, messageId = null }
+    ) {
+        const key = this._key(id);
+        if (!key) throw new Error(`ID de media inválido: ${id}`);
+
+        const hash = crypto.createHash("sha256");
+        let size = 0;
+        const meter = new Transform({
+            transform(chunk, encoding, callback) {
+                hash.update(chunk);
+                size += chunk.length;
+                callback(null, chunk);
+            },
+        });
+
+        const tempPath = path.join(os.tmpdir(), `media-${crypto.randomUUID()}`);
+        try {
+            const source = await openSource();
+            await pipeline(source, meter, fs.createWriteStream(tempPath));
+            await this.storage.putFile(key, tempPath, {
+                contentType: mimetype,
+            });
+        } catch (error) {
+            fs.rmSync(tempPath, { force: true });
+            throw error;
+        }
+
+        const record = {
+            id,
+            mimetype,
+            fileName,
+            size,
+            sha256: hash.digest("hex"),
+            messageId,
+            createdAt: new Date().toISOString(),
+        };
+
+        await this.storage.putBuffer(
+            `${key}.json`,
+            JSON.stringify(record, null, 2),
+            { contentType: "application/json" }
+        );
+        return record;
+    }
+
+    /**
+     * @param {string} id - The media ID.
+     * @returns {Promise<{ record: object, open: Function }|null>} The record and an `open()` that
+     * returns the contents as a stream, or null if the file doesn't exist.
+     */
+    async get(id) {
+        const key = this._key(id);
+        if (!key) return null;
+
+        try {
+            const sidecar = await this.storage.getBuffer(`${key}.json`);
+            if (!sidecar) return null;
+            return {
+                record: JSON.parse(sidecar.toString("utf-8")),
+                open: () => this.storage.get(key),
+            };
+        } catch (error) {
+            logger.error({ error }, `No se pudo leer la media ${id}`);
+            return null;
+        }
+    }
+
+    /**
+     * Removes the files older than the retention period.
+     * @returns {Promise<number>} How many files were removed.
+     */
+    async cleanup() {
+        const limit = Date.now() - RETENTION_MS;
+        let removed = 0;
+
+        try {
+            for (const { key, lastModified } of await this.storage.list(
+                this.prefix
+            )) {
+                if (lastModified.getTime() >= limit) continue;
+                await this.storage.remove(key);
+                if (!key.endsWith(".json")) removed++;
+            }
+        } catch (error) {
+            logger.error(
+                { error },
+                `No se pudo limpiar la media antigua de ${this.prefix}`
+            );
+        }
+
+        if (removed > 0) {
+            logger.info(
+                `${removed} archivo(s) de media eliminado(s) de ${this.prefix} por antigüedad.`
+            );
+        }
+        return removed;
+    }
+
+    /**
+     * Runs `cleanup()` now and every hour.
+     */
+    startCleanup() {
+        this.cleanup();
+        this.cleanupTimer = setInterval(
+            () => this.cleanup(),
+            CLEANUP_INTERVAL_MS
+        );
+        this.cleanupTimer.unref();
+    }
+
+    /**
+     * Stops the periodic cleanup (e.g. when the session is removed).
+     */
+    stop() {
+        if (this.cleanupTimer) clearInterval(this.cleanupTimer);
+        this.cleanupTimer = null;
+    }
+
+    /**
+     * Builds the key of a media ID, rejecting IDs that could escape the prefix.
+     * @private
+     */
+    _key(id) {
+        if (!/^[\w-]+$/.test(String(id))) return null;
+        return `${this.prefix}${id}`;
+    }
+}
+
+export default MediaStore;
@@ -0,0 +1,156 @@
+import fs from "fs";
+import path from "path";
+import { BufferJSON } from "@whiskeysockets/baileys";
+
+import logger from "../utils/logger.js";
+import { toIsoTimestamp } from "../utils/timestamp.js";
+
+/**
+ * @class MessageStore
+ * @description Keeps the most recent WhatsApp messages of a session (received and sent) so they
+ * can be quoted or forwarded by ID, and so Baileys can resend them when a recipient asks for a
+ * retry (`getMessage`). Messages are appended to a JSON Lines log (Buffers encoded with
+ * `BufferJSON`), compacted when it grows and on load. Only the last `maxMessages` are kept.
+ */
+class MessageStore {
+    /**
+     * @param {string} filePath - Absolute path of the log file.
+     * @param {number} [maxMessages] - How many messages to keep (oldest are pruned).
+     */
+    constructor(
+        filePath,
+        maxMessages = parseInt(process.env.MESSAGE_STORE_LIMIT || "5000", 10)
+    ) {
+        this.filePath = filePath;
+        this.maxMessages = maxMessages;
+        this.messages = new Map();
+        this.lines = 0;
+        this.closed = false;
+        this._load();
+    }
+
+    /**
+     * Stores a message (a later copy with the same ID replaces the previous one).
+     * @param {object} msg - The Baileys `WAMessage`.
+     */
+    remember(msg) {
+        if (!msg?.key?.id || !msg.message) return;
+
+        this.messages.delete(msg.key.id);
+        this.messages.set(msg.key.id, msg);
+        this._prune();
+        this._append(msg);
+    }
+
+    /**
+     * @param {string} messageId - The WhatsApp message ID.
+     * @returns {object|undefined} The stored `WAMessage`.
+     */
+    get(messageId) {
+        return this.messages.get(messageId);
+    }
+
+    /**
+     * @returns {number|null} The most recent `messageTimestamp` among the stored messages
+     * (epoch milliseconds), or null if there is none.
+     */
+    latestTimestamp() {
+        let latest = null;
+        for (const msg of this.messages.values()) {
+            const at = Date.parse(toIsoTimestamp(msg.messageTimestamp));
+            if (at && (latest === null || at > latest)) latest = at;
+        }
+        return latest;
+    }
+
+    /**
+     * Stops writing to disk (e.g. while the session folder is being removed), so later changes
+     * don't recreate it. Reads keep working with what is in memory.
+     */
+    close() {
+        this.closed = true;
+    }
+
+    /**
+     * Drops the oldest messages beyond `maxMessages`.
+     * @private
+     */
+    _prune() {
+        while (this.messages.size > this.maxMessages) {
+            this.messages.delete(this.messages.keys().next().value);
+        }
+    }
+
+    /**
+     * Appends a message to the log, compacting it when it gets too long.
+     * @private
+     */
+    _append(msg) {
+        if (this.closed) return;
+
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.appendFileSync(
+                this.filePath,
+                `${JSON.stringify(msg, BufferJSON.replacer)}\n`
+            );
+            this.lines++;
+            if (this.lines > this.maxMessages * 2) this._compact();
+        } catch (error) {
+            logger.error(
+                { error },
+                `No se pudo guardar el mensaje en ${this.filePath}`
+            );
+        }
+    }
+
+    /**
+     * Rewrites the log with a single line per kept message.
+     * @private
+     */
+    _compact() {
+        const tempPath = `${this.filePath}.tmp`;
+        const content = [...this.messages.values()]
+            .map((msg) => JSON.stringify(msg, BufferJSON.replacer))
+            .join("\n");
+
+        fs.writeFileSync(tempPath, content ? `${content}\n` : "");
+        fs.renameSync(tempPath, this.filePath);
+        this.lines = this.messages.size;
+    }
+
+    /**
+     * Rebuilds the in-memory index from the log (the last copy of each message wins).
+     * @private
+     */
+    _load() {
+        if (!fs.existsSync(this.filePath)) return;
+
+        try {
+            const lines = fs
+                .readFileSync(this.filePath, "utf-8")
+                .split("\n")
+                .filter(Boolean);
+
+            for (const line of lines) {
+                try {
+                    const msg = JSON.parse(line, BufferJSON.reviver);
+                    this.messages.delete(msg.key.id);
+                    this.messages.set(msg.key.id, msg);
+                } catch {
+                    // Una línea truncada por un corte abrupto no invalida el resto del log
+                }
+            }
+
+            this._prune();
+            this._compact();
+        } catch (error) {
+            logger.error(
+                { error },
+                `No se pudo cargar el almacén de mensajes ${this.filePath}`
+            );
+        }
+    }
+}
+
+export default MessageStore;
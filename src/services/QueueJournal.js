@@ -0,0 +1,165 @@
+import fs from "fs";
+import path from "path";
+import { BufferJSON } from "@whiskeysockets/baileys";
+
+import logger from "../utils/logger.js";
+
+// Líneas mínimas antes de compactar, para no reescribir el log de colas pequeñas a cada cambio
+const COMPACT_MIN_LINES = 1000;
+
+/**
+ * @class QueueJournal
+ * @description Persists a queue of jobs so it survives restarts. Each change (a job added or
+ * updated with `put`, or removed with `remove`) is appended to a JSON Lines log, so the cost of a
+ * write doesn't grow with the queue. The log is compacted (one line per pending job, written
+ * atomically with temp file + rename) on load and when it grows past twice the pending jobs, and
+ * removed when the queue empties. A line truncated by a crash is skipped on load.
+ * Buffers (e.g. media keys inside raw Baileys messages) are serialized with `BufferJSON`.
+ */
+class QueueJournal {
+    /**
+     * @param {string} filePath - Absolute path of the log file.
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        // id -> job, en el orden de la cola
+        this.jobs = new Map();
+        this.lines = 0;
+        this.closed = false;
+    }
+
+    /**
+     * Reads the journaled jobs (the last state of each one wins) and compacts the log.
+     * @returns {Array<object>} The jobs in queue order, or an empty array if there is no journal.
+     */
+    load() {
+        this.jobs = new Map();
+
+        try {
+            if (fs.existsSync(this.filePath)) this._replay();
+            this._compact();
+        } catch (error) {
+            logger.error(
+                { error },
+                `No se pudo leer el journal ${this.filePath}. Se ignorará.`
+            );
+        }
+
+        return [...this.jobs.values()];
+    }
+
+    /**
+     * Records a new job, or the new state of a journaled one (it keeps its place in the queue).
+     * @param {object} job - The job, with its `id`.
+     */
+    put(job) {
+        this.jobs.set(job.id, job);
+        this._append({ op: "put", job });
+    }
+
+    /**
+     * Records that a job left the queue (sent, delivered or discarded).
+     * @param {string} id - The job ID.
+     */
+    remove(id) {
+        if (!this.jobs.delete(id)) return;
+
+        if (this.jobs.size === 0) {
+            // Cola vacía: no hace falta conservar el historial de cambios
+            if (this.closed) return;
+            try {
+                fs.rmSync(this.filePath, { force: true });
+                this.lines = 0;
+            } catch (error) {
+                logger.error(
+                    { error },
+                    `No se pudo eliminar el journal ${this.filePath}`
+                );
+            }
+            return;
+        }
+
+        this._append({ op: "remove", id });
+    }
+
+    /**
+     * Stops writing to disk (e.g. while the session folder is being removed), so later changes
+     * don't recreate it.
+     */
+    close() {
+        this.closed = true;
+    }
+
+    /**
+     * Appends a change to the log, compacting it when it gets too long.
+     * @param {object} entry - `{ op: "put", job }` or `{ op: "remove", id }`.
+     * @private
+     */
+    _append(entry) {
+        if (this.closed) return;
+
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.appendFileSync(
+                this.filePath,
+                `${JSON.stringify(entry, BufferJSON.replacer)}\n`
+            );
+            this.lines++;
+            if (this.lines > Math.max(COMPACT_MIN_LINES, this.jobs.size * 2)) {
+                this._compact();
+            }
+        } catch (error) {
+            logger.error(
+                { error },
+                `No se pudo escribir el journal ${this.filePath}`
+            );
+        }
+    }
+
+    /**
+     * Rewrites the log with a single `put` per pending job, or removes it if there is none.
+     * @private
+     */
+    _compact() {
+        if (this.jobs.size === 0) {
+            fs.rmSync(this.filePath, { force: true });
+            this.lines = 0;
+            return;
+        }
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.tmp`;
+        const content = [...this.jobs.values()]
+            .map((job) =>
+                JSON.stringify({ op: "put", job }, BufferJSON.replacer)
+            )
+            .join("\n");
+
+        fs.writeFileSync(tempPath, `${content}\n`);
+        fs.renameSync(tempPath, this.filePath);
+        this.lines = this.jobs.size;
+    }
+
+    /**
+     * Applies the changes of the log to `jobs`.
+     * @private
+     */
+    _replay() {
+        const lines = fs
+            .readFileSync(this.filePath, "utf-8")
+            .split("\n")
+            .filter(Boolean);
+
+        for (const line of lines) {
+            try {
+                const entry = JSON.parse(line, BufferJSON.reviver);
+                if (entry.op === "put") this.jobs.set(entry.job.id, entry.job);
+                else if (entry.op === "remove") this.jobs.delete(entry.id);
+            } catch {
+                // Una línea truncada por un corte abrupto no invalida el resto del log
+            }
+        }
+    }
+}
+
+export default QueueJournal;
@@ -0,0 +1,167 @@
+import fs from "fs";
+import fsp from "fs/promises";
+import {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    DeleteObjectCommand,
+    ListObjectsV2Command,
+} from "@aws-sdk/client-s3";
+
+/**
+ * @class S3StorageDriver
+ * @description Stores files in an S3-compatible bucket (AWS S3, MinIO, Cloudflare R2...).
+ * Keys are stored under an optional `prefix`, so several servers can share a bucket.
+ * Implements the same interface as `LocalStorageDriver`.
+ */
+class S3StorageDriver {
+    /**
+     * @param {object} options
+     * @param {string} options.bucket - The bucket name.
+     * @param {string} [options.region="us-east-1"] - The bucket region.
+     * @param {string} [options.endpoint] - Custom endpoint for S3-compatible services (e.g. `http://minio:9000`).
+     * @param {string} [options.accessKeyId] - Credentials; the AWS default chain is used if omitted.
+     * @param {string} [options.secretAccessKey]
+     * @param {boolean} [options.forcePathStyle=false] - Use `endpoint/bucket/key` URLs (required by MinIO).
+     * @param {string} [options.prefix=""] - Prefix for every key.
+     */
+    constructor({
+        bucket,
+        region,
+        endpoint,
+        accessKeyId,
+        secretAccessKey,
+        forcePathStyle = false,
+        prefix = "",
+    }) {
+        this.name = "s3";
+        this.bucket = bucket;
+        this.prefix = prefix ? `${prefix.replace(/\/+$/, "")}/` : "";
+        this.client = new S3Client({
+            region: region || "us-east-1",
+            endpoint: endpoint || undefined,
+            forcePathStyle,
+            // Sin checksums opcionales: varios servicios compatibles no aceptan cuerpos `aws-chunked`
+            requestChecksumCalculation: "WHEN_REQUIRED",
+            credentials:
+                accessKeyId && secretAccessKey
+                    ? { accessKeyId, secretAccessKey }
+                    : undefined,
+        });
+    }
+
+    /**
+     * Uploads a local file and deletes it once uploaded.
+     * @param {string} key - The storage key.
+     * @param {string} filePath - The file to store.
+     * @param {object} [options]
+     * @param {string} [options.contentType] - The object Content-Type.
+     * @returns {Promise<void>}
+     */
+    async putFile(key, filePath, { contentType } = {}) {
+        const { size } = await fsp.stat(filePath);
+        await this.client.send(
+            new PutObjectCommand({
+                Bucket: this.bucket,
+                Key: this.prefix + key,
+                Body: fs.createReadStream(filePath),
+                ContentLength: size,
+                ContentType: contentType,
+            })
+        );
+        await fsp.unlink(filePath);
+    }
+
+    /**
+     * @param {string} key - The storage key.
+     * @param {Buffer|string} data - The contents.
+     * @param {object} [options]
+     * @param {string} [options.contentType] - The object Content-Type.
+     * @returns {Promise<void>}
+     */
+    async putBuffer(key, data, { contentType } = {}) {
+        await this.client.send(
+            new PutObjectCommand({
+                Bucket: this.bucket,
+                Key: this.prefix + key,
+                Body: data,
+                ContentType: contentType,
+            })
+        );
+    }
+
+    /**
+     * @param {string} key - The storage key.
+     * @returns {Promise<import("stream").Readable|null>} The contents, or null if the key doesn't exist.
+     */
+    async get(key) {
+        try {
+            const { Body } = await this.client.send(
+                new GetObjectCommand({
+                    Bucket: this.bucket,
+                    Key: this.prefix + key,
+                })
+            );
+            return Body;
+        } catch (error) {
+            if (error.name === "NoSuchKey") return null;
+            throw error;
+        }
+    }
+
+    /**
+     * @param {string} key - The storage key.
+     * @returns {Promise<Buffer|null>} The contents, or null if the key doesn't exist.
+     */
+    async getBuffer(key) {
+        const body = await this.get(key);
+        if (!body) return null;
+        return Buffer.from(await body.transformToByteArray());
+    }
+
+    /**
+     * @param {string} key - The storage key. Missing keys are ignored.
+     * @returns {Promise<void>}
+     */
+    async remove(key) {
+        await this.client.send(
+            new DeleteObjectCommand({
+                Bucket: this.bucket,
+                Key: this.prefix + key,
+            })
+        );
+    }
+
+    /**
+     * Lists the objects under a prefix.
+     * @param {string} prefix - A key prefix ending in `/`.
+     * @returns {Promise<Array<{ key: string, lastModified: Date }>>}
+     */
+    async list(prefix) {
+        const files = [];
+        let ContinuationToken;
+
+        do {
+            const page = await this.client.send(
+                new ListObjectsV2Command({
+                    Bucket: this.bucket,
+                    Prefix: this.prefix + prefix,
+                    ContinuationToken,
+                })
+            );
+            for (const object of page.Contents || []) {
+                files.push({
+                    key: object.Key.slice(this.prefix.length),
+                    lastModified: object.LastModified,
+                });
+            }
+            ContinuationToken = page.IsTruncated
+                ? page.NextContinuationToken
+                : undefined;
+        } while (ContinuationToken);
+
+        return files;
+    }
+}
+
+export default S3StorageDriver;
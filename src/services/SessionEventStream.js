@@ -0,0 +1,83 @@
+import { EventEmitter } from "events";
+
+/**
+ * @class SessionEventStream
+ * @description In-memory feed of the events of a session (the same payloads sent to the webhook,
+ * plus send results) for live clients such as the SSE endpoint. Each event gets an increasing
+ * numeric ID and the last `bufferSize` events are kept, so a client that reconnects with
+ * `Last-Event-ID` receives what it missed. The buffer is not persisted.
+ */
+class SessionEventStream extends EventEmitter {
+    /**
+     * @param {number} [bufferSize] - How many recent events to keep for resuming.
+     */
+    constructor(
+        bufferSize = parseInt(process.env.EVENT_BUFFER_SIZE || "200", 10)
+    ) {
+        super();
+        // Cada cliente SSE agrega un listener; no es una fuga
+        this.setMaxListeners(0);
+        this.bufferSize = bufferSize;
+        this.buffer = [];
+        this.lastId = 0;
+    }
+
+    /**
+     * Publishes an event to every subscriber.
+     * @param {object} payload - The event payload (must include `event`).
+     * @returns {{ id: number, event: string, payload: object }} The published entry.
+     */
+    publish(payload) {
+        const entry = { id: ++this.lastId, event: payload.event, payload };
+
+        this.buffer.push(entry);
+        if (this.buffer.length > this.bufferSize) this.buffer.shift();
+
+        this.emit("event", entry);
+        return entry;
+    }
+
+    /**
+     * Returns the buffered events published after a given ID.
+     * @param {number} lastEventId - The last ID the client received.
+     * @returns {Array<object>} The missed entries, oldest first (possibly incomplete if the
+     * client was away longer than the buffer covers).
+     */
+    since(lastEventId) {
+        return this.buffer.filter((entry) => entry.id > lastEventId);
+    }
+
+    /**
+     * Registers a listener for new events.
+     * @param {Function} listener - Called with each published entry.
+     * @returns {Function} A function that removes the listener.
+     */
+    subscribe(listener) {
+        this.on("event", listener);
+        return () => this.off("event", listener);
+    }
+
+    /**
+     * Waits for the next event among the given types.
+     * @param {string[]} events - The event types to wait for.
+     * @param {number} timeoutMs - How long to wait.
+     * @returns {Promise<object|null>} The entry, or null if the timeout expired first.
+     */
+    waitFor(events, timeoutMs) {
+        return new Promise((resolve) => {
+            const timer = setTimeout(() => {
+                unsubscribe();
+                resolve(null);
+            }, timeoutMs);
+
+            const unsubscribe = this.subscribe((entry) => {
+                if (!events.includes(entry.event)) return;
+                clearTimeout(timer);
+                unsubscribe();
+                resolve(entry);
+            });
+        });
+    }
+}
+
+export default SessionEventStream;
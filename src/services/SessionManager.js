@@ -2,7 +2,9 @@ import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 import WhatsappSession from "./WhatsappSession.js";
+import { maskStorageConfig } from "./storageDrivers.js";
 import logger from "../utils/logger.js";
+import { maskSecret } from "../utils/mask.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -24,9 +26,18 @@ class SessionManager {
      * @param {string} sessionId - The unique identifier for the session.
      * @param {string} [webhookUrl] - The webhook URL for notifications for this session.
      * @param {object} [metaConfig] - Configuration for the Meta API (e.g., { phoneId, token }).
+     * @param {object} [options] - Additional session settings.
+     * @param {string} [options.webhookSecret] - Secret used to sign webhook deliveries (HMAC-SHA256).
+     * @param {object} [options.webhookDelivery] - Webhook delivery settings (concurrency, maxAttempts,
+     * maxAgeMinutes, preserveOrder). Unset fields use the server defaults.
+     * @param {object} [options.mediaDelivery] - Media delivery settings (mode, inlineMaxBytes).
+     * @param {object} [options.storage] - Storage backend for media files (`{ driver, ...options }`).
+     * @param {object} [options.history] - Whether history and catch-up messages are forwarded (forward, catchUp).
+     * @param {boolean} [options.forwardOwnMessages] - Whether the account's own messages are forwarded as `message.sent`.
+     * @param {number} [options.payloadVersion] - The version of the message payload (1 or 2).
      * @returns {Promise<WhatsappSession>} The session instance.
      */
-    async startSession(sessionId, webhookUrl, metaConfig = null) {
+    async startSession(sessionId, webhookUrl, metaConfig = null, options = {}) {
         if (this.sessions.has(sessionId)) {
             const existingSession = this.sessions.get(sessionId);
             logger.warn(
@@ -41,6 +52,31 @@ class SessionManager {
                 // Actualizamos la config en memoria si se provee una nueva
                 if (metaConfig) existingSession.metaConfig = metaConfig;
                 if (webhookUrl) existingSession.webhookUrl = webhookUrl;
+                if (options.webhookSecret) {
+                    existingSession.webhookSecret = options.webhookSecret;
+                }
+                if (options.webhookDelivery) {
+                    existingSession.webhookDispatcher.configure(
+                        options.webhookDelivery
+                    );
+                }
+                if (options.mediaDelivery) {
+                    existingSession.setMediaDelivery(options.mediaDelivery);
+                }
+                if (options.storage) {
+                    existingSession.setStorage(options.storage);
+                }
+                if (options.history) {
+                    existingSession.setHistory(options.history);
+                }
+                if (typeof options.forwardOwnMessages === "boolean") {
+                    existingSession.setForwardOwnMessages(
+                        options.forwardOwnMessages
+                    );
+                }
+                if (options.payloadVersion) {
+                    existingSession.setPayloadVersion(options.payloadVersion);
+                }
 
                 existingSession.retryCount = 0;
                 existingSession.status = "starting";
@@ -57,17 +93,37 @@ class SessionManager {
             fs.mkdirSync(sessionDir, { recursive: true });
         }
 
+        // Al restaurar, el archivo ya existe y guarda más que la configuración de arranque
+        // (p. ej. las suscripciones de webhooks en `webhooks`): se combina, no se reemplaza
         const metadataPath = path.join(sessionDir, "metadata.json");
+        const stored = this.readMetadata(sessionId);
         const metadata = {
+            ...stored,
             sessionId: sessionId,
             webhookUrl: webhookUrl || null,
             metaConfig: metaConfig || null, // { phoneId, token, accountId }
-            createdAt: new Date().toISOString(),
+            webhookSecret: options.webhookSecret || null,
+            webhookDelivery: options.webhookDelivery || null,
+            mediaDelivery: options.mediaDelivery || null,
+            storage: options.storage || null,
+            history: options.history || null,
+            forwardOwnMessages: options.forwardOwnMessages ?? null,
+            payloadVersion: options.payloadVersion ?? null,
+            // createdAt es la creación de la sesión, no el último arranque; updatedAt se conserva
+            createdAt: stored?.createdAt || new Date().toISOString(),
         };
 
         fs.writeFileSync(metadataPath, JSON.stringify(metadata, null, 2));
 
-        const session = new WhatsappSession(sessionId, webhookUrl, metaConfig);
+        const session = new WhatsappSession(
+            sessionId,
+            webhookUrl,
+            metaConfig,
+            options
+        );
+        // Reproduce los mensajes y webhooks que quedaron pendientes antes de un reinicio.
+        // En una sesión nueva no hay journals y esto no hace nada.
+        session.restoreQueues();
         await session.init();
 
         this.sessions.set(sessionId, session);
@@ -76,7 +132,8 @@ class SessionManager {
 
     /**
      * Restores all saved sessions from the sessions directory upon application startup.
-     * It reads the `metadata.json` files to recreate each session with its original configuration.
+     * It reads the `metadata.json` files to recreate each session with its original configuration,
+     * and replays the outgoing and webhook queues journaled under `sessions/<id>/queues/`.
      */
     restoreSessions() {
         logger.info("Restaurando sesiones persistentes...");
@@ -88,39 +145,51 @@ class SessionManager {
         const sessionFolders = fs.readdirSync(SESSIONS_DIR);
 
         for (const sessionId of sessionFolders) {
-            const metadataPath = path.join(
-                SESSIONS_DIR,
-                sessionId,
-                "metadata.json"
+            this.restoreSession(sessionId).catch((error) =>
+                logger.error(
+                    { error },
+                    `Error al restaurar la sesión desde ${sessionId}`
+                )
             );
-            if (fs.existsSync(metadataPath)) {
-                try {
-                    const metadata = JSON.parse(
-                        fs.readFileSync(metadataPath, "utf-8")
-                    );
-                    const hasMeta = !!metadata.metaConfig;
-
-                    logger.info(
-                        `✅ Restaurando sesión: ${
-                            metadata.sessionId
-                        } | Webhook: ${
-                            metadata.webhookUrl ? "Si" : "No"
-                        } | Meta API: ${hasMeta ? "Si" : "No"}`
-                    );
+        }
+    }
 
-                    this.startSession(
-                        metadata.sessionId,
-                        metadata.webhookUrl,
-                        metadata.metaConfig
-                    );
-                } catch (error) {
-                    logger.error(
-                        { error },
-                        `Error al restaurar la sesión desde ${sessionId}`
-                    );
-                }
+    /**
+     * Restores one saved session from its `metadata.json`, with its original configuration.
+     * @param {string} sessionId - The name of the session folder.
+     * @returns {Promise<WhatsappSession|null>} The session, or null if the folder has no metadata.
+     */
+    async restoreSession(sessionId) {
+        const metadataPath = path.join(
+            SESSIONS_DIR,
+            sessionId,
+            "metadata.json"
+        );
+        if (!fs.existsSync(metadataPath)) return null;
+
+        const metadata = JSON.parse(fs.readFileSync(metadataPath, "utf-8"));
+        const hasMeta = !!metadata.metaConfig;
+
+        logger.info(
+            `✅ Restaurando sesión: ${metadata.sessionId} | Webhook: ${
+                metadata.webhookUrl ? "Si" : "No"
+            } | Meta API: ${hasMeta ? "Si" : "No"}`
+        );
+
+        return this.startSession(
+            metadata.sessionId,
+            metadata.webhookUrl,
+            metadata.metaConfig,
+            {
+                webhookSecret: metadata.webhookSecret,
+                webhookDelivery: metadata.webhookDelivery,
+                mediaDelivery: metadata.mediaDelivery,
+                storage: metadata.storage,
+                history: metadata.history,
+                forwardOwnMessages: metadata.forwardOwnMessages,
+                payloadVersion: metadata.payloadVersion,
             }
-        }
+        );
     }
 
     /**
@@ -132,6 +201,94 @@ class SessionManager {
         return this.sessions.get(sessionId);
     }
 
+    /**
+     * Reads the persisted `metadata.json` of a session.
+     * @param {string} sessionId - The ID of the session.
+     * @returns {object|null} The parsed metadata, or null if it doesn't exist or can't be read.
+     */
+    readMetadata(sessionId) {
+        const metadataPath = path.join(
+            SESSIONS_DIR,
+            sessionId,
+            "metadata.json"
+        );
+        if (!fs.existsSync(metadataPath)) return null;
+
+        try {
+            return JSON.parse(fs.readFileSync(metadataPath, "utf-8"));
+        } catch (error) {
+            logger.error({ error }, `Error al leer metadata de ${sessionId}`);
+            return null;
+        }
+    }
+
+    /**
+     * Builds a summary of every session loaded in memory, with optional filtering and pagination.
+     * Secrets (Meta token, webhook secret) are masked.
+     * @param {object} [options] - Listing options.
+     * @param {string[]} [options.status] - Only include sessions in one of these statuses.
+     * @param {Function} [options.filter] - Extra predicate `(sessionId) => boolean` (e.g. API key access).
+     * @param {number} [options.page=1] - 1-based page number.
+     * @param {number} [options.limit=50] - Page size.
+     * @returns {{ data: object[], pagination: { page: number, limit: number, total: number, totalPages: number } }}
+     */
+    listSessions({ status, filter, page = 1, limit = 50 } = {}) {
+        const matching = [...this.sessions.values()]
+            .filter((session) => !filter || filter(session.sessionId))
+            .filter(
+                (session) =>
+                    !status ||
+                    status.length === 0 ||
+                    status.includes(session.status)
+            )
+            .sort((a, b) => a.sessionId.localeCompare(b.sessionId));
+
+        const total = matching.length;
+        const data = matching
+            .slice((page - 1) * limit, page * limit)
+            .map((session) => {
+                const metadata = this.readMetadata(session.sessionId) || {};
+                return {
+                    sessionId: session.sessionId,
+                    status: session.status,
+                    retryCount: session.retryCount,
+                    account: session.sock?.user?.id || null,
+                    webhook: !!session.webhookUrl,
+                    webhookSubscriptions: session.webhooks.list().length,
+                    webhookSecret: maskSecret(session.webhookSecret),
+                    metaConfig: session.metaConfig
+                        ? {
+                              phoneId: session.metaConfig.phoneId,
+                              apiVersion: session.metaConfig.apiVersion,
+                              token: maskSecret(session.metaConfig.token),
+                          }
+                        : null,
+                    messageQueue: session.messageQueue.length,
+                    webhookQueue: session.webhookDispatcher.size,
+                    webhookDelivery: session.webhookDispatcher.settings,
+                    mediaDelivery: session.mediaDelivery,
+                    history: session.history,
+                    forwardOwnMessages: session.forwardOwnMessages,
+                    payloadVersion: session.payloadVersion,
+                    storage: maskStorageConfig(session.storageConfig) || {
+                        driver: session.storage.name,
+                    },
+                    createdAt: metadata.createdAt || null,
+                    updatedAt: metadata.updatedAt || null,
+                };
+            });
+
+        return {
+            data,
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit),
+            },
+        };
+    }
+
     /**
      * Gracefully closes an active session by logging it out.
      * @param {string} sessionId - The ID of the session to close.
@@ -151,7 +308,10 @@ class SessionManager {
      * Updates the configuration (metadata) of an active session.
      * This modifies both the in-memory configuration and the `metadata.json` file on disk.
      * @param {string} sessionId - The ID of the session to update.
-     * @param {object} updates - An object containing the updates. Can include `webhook` and/or `metaConfig`.
+     * @param {object} updates - An object containing the updates. Can include `webhook`, `metaConfig`,
+     * `webhookSecret`, `webhookDelivery`, `mediaDelivery` and/or `history` (merged with the current
+     * settings; `null` restores the defaults), `forwardOwnMessages`, `payloadVersion` and/or `storage`
+     * (replaced as a whole).
      * @returns {Promise<object>} The newly saved metadata.
      */
     async updateSessionMetadata(sessionId, updates) {
@@ -163,7 +323,11 @@ class SessionManager {
             );
         }
 
-        session.updateConfig(updates.webhook, updates.metaConfig);
+        session.updateConfig(
+            updates.webhook,
+            updates.metaConfig,
+            updates.webhookSecret
+        );
 
         const sessionDir = path.join(SESSIONS_DIR, sessionId);
         const metadataPath = path.join(sessionDir, "metadata.json");
@@ -174,6 +338,55 @@ class SessionManager {
                     fs.readFileSync(metadataPath, "utf-8")
                 );
 
+                const webhookDelivery =
+                    updates.webhookDelivery === undefined
+                        ? currentMetadata.webhookDelivery || null
+                        : updates.webhookDelivery === null
+                          ? null
+                          : {
+                                ...currentMetadata.webhookDelivery,
+                                ...updates.webhookDelivery,
+                            };
+                session.webhookDispatcher.configure(webhookDelivery);
+
+                const mediaDelivery =
+                    updates.mediaDelivery === undefined
+                        ? currentMetadata.mediaDelivery || null
+                        : updates.mediaDelivery === null
+                          ? null
+                          : {
+                                ...currentMetadata.mediaDelivery,
+                                ...updates.mediaDelivery,
+                            };
+                session.setMediaDelivery(mediaDelivery);
+
+                const history =
+                    updates.history === undefined
+                        ? currentMetadata.history || null
+                        : updates.history === null
+                          ? null
+                          : {
+                                ...currentMetadata.history,
+                                ...updates.history,
+                            };
+                session.setHistory(history);
+
+                const forwardOwnMessages =
+                    updates.forwardOwnMessages === undefined
+                        ? (currentMetadata.forwardOwnMessages ?? null)
+                        : updates.forwardOwnMessages;
+                session.setForwardOwnMessages(forwardOwnMessages);
+
+                const payloadVersion =
+                    updates.payloadVersion === undefined
+                        ? (currentMetadata.payloadVersion ?? null)
+                        : updates.payloadVersion;
+                session.setPayloadVersion(payloadVersion);
+
+                if (updates.storage !== undefined) {
+                    session.setStorage(updates.storage);
+                }
+
                 const newMetadata = {
                     ...currentMetadata,
                     webhookUrl:
@@ -184,6 +397,19 @@ class SessionManager {
                         updates.metaConfig !== undefined
                             ? updates.metaConfig
                             : currentMetadata.metaConfig,
+                    webhookSecret:
+                        updates.webhookSecret !== undefined
+                            ? updates.webhookSecret
+                            : currentMetadata.webhookSecret || null,
+                    webhookDelivery,
+                    mediaDelivery,
+                    history,
+                    forwardOwnMessages,
+                    payloadVersion,
+                    storage:
+                        updates.storage !== undefined
+                            ? updates.storage
+                            : currentMetadata.storage || null,
                     updatedAt: new Date().toISOString(),
                 };
 
@@ -0,0 +1,421 @@
+import crypto from "crypto";
+import { WebSocketServer } from "ws";
+
+import logger from "../utils/logger.js";
+import SessionManager from "./SessionManager.js";
+import {
+    findApiKey,
+    canAccessSession,
+    hasScope,
+} from "../api/middlewares/auth.middleware.js";
+
+// Códigos de cierre propios (rango 4000-4999 reservado para aplicaciones)
+const CLOSE_UNAUTHORIZED = 4401;
+const CLOSE_REPLACED = 4409;
+const CLOSE_TOO_MANY_CLIENTS = 4429;
+
+/**
+ * @param {*} value
+ * @returns {boolean} Whether the value is a JSON object (not null nor an array).
+ */
+function isPlainObject(value) {
+    return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * @class WebSocketGateway
+ * @description Alternative to HTTP webhooks for receivers that the server can't reach (e.g. behind NAT).
+ * Clients connect to `/ws`, subscribe to sessions and receive the same payloads the webhook gets.
+ * Each event carries a `deliveryId` that the client must acknowledge; unacknowledged events are kept
+ * per client (identified by `clientId`) and redelivered when it reconnects and subscribes again.
+ * Subscriptions outlive the socket, so events that arrive while the client is offline are kept too.
+ * Pending events live in memory (up to `WS_MAX_PENDING` per client) and are lost on a server restart.
+ * Events carrying inline media (base64) are delivered only to connected clients and never kept.
+ * Each API key holds at most `WS_MAX_CLIENTS_PER_KEY` clients, and a client that stays offline for
+ * `WS_CLIENT_TTL_MINUTES` is forgotten along with its subscriptions and pending events.
+ *
+ * Client messages: `subscribe`, `unsubscribe`, `ack` and `send`. Server messages: `welcome`,
+ * `subscribed`, `unsubscribed`, `event`, `send_result` and `error`.
+ */
+class WebSocketGateway {
+    constructor() {
+        this.wss = null;
+        this.maxPending = parseInt(process.env.WS_MAX_PENDING || "1000", 10);
+        this.maxClientsPerKey = parseInt(
+            process.env.WS_MAX_CLIENTS_PER_KEY || "10",
+            10
+        );
+        this.clientTtlMs =
+            parseFloat(process.env.WS_CLIENT_TTL_MINUTES || "60") * 60 * 1000;
+        // clientId -> { socket, apiKey, sessions: Set<string>, pending: Map<deliveryId, delivery>, expiry }
+        this.clients = new Map();
+    }
+
+    /**
+     * Starts accepting WebSocket connections on the given HTTP server.
+     * @param {import("http").Server} server - The server returned by `app.listen`.
+     */
+    attach(server) {
+        this.wss = new WebSocketServer({ server, path: "/ws" });
+        this.wss.on("connection", (socket, req) =>
+            this.handleConnection(socket, req)
+        );
+        logger.info("🔌 Gateway WebSocket disponible en /ws");
+    }
+
+    /**
+     * Authenticates a new socket and binds it to its client state.
+     * The API key comes from the `x-api-key` header or the `apiKey` query parameter (browsers
+     * can't set headers on WebSockets); `clientId` defaults to the key name. A new `clientId` over
+     * the key's `maxClientsPerKey` is closed with code 4429.
+     * @param {import("ws").WebSocket} socket - The new socket.
+     * @param {import("http").IncomingMessage} req - The upgrade request.
+     */
+    handleConnection(socket, req) {
+        const url = new URL(req.url, "http://localhost");
+        const apiKey = findApiKey(
+            req.headers["x-api-key"] ?? url.searchParams.get("apiKey")
+        );
+
+        if (!apiKey) {
+            logger.warn(
+                `Conexión WebSocket no autorizada desde ${req.socket.remoteAddress}`
+            );
+            socket.close(CLOSE_UNAUTHORIZED, "API key inválida o ausente.");
+            return;
+        }
+
+        const clientId = url.searchParams.get("clientId") || apiKey.name;
+        let client = this.clients.get(clientId);
+
+        if (client && client.apiKey.key !== apiKey.key) {
+            socket.close(
+                CLOSE_UNAUTHORIZED,
+                "El clientId pertenece a otra API key."
+            );
+            return;
+        }
+
+        if (!client) {
+            if (this._countClients(apiKey) >= this.maxClientsPerKey) {
+                logger.warn(
+                    `[ws:${clientId}] La API key ${apiKey.name} alcanzó el máximo de clientes (${this.maxClientsPerKey}).`
+                );
+                socket.close(
+                    CLOSE_TOO_MANY_CLIENTS,
+                    "La API key alcanzó el máximo de clientes."
+                );
+                return;
+            }
+            client = { apiKey, sessions: new Set(), pending: new Map() };
+            this.clients.set(clientId, client);
+        }
+        clearTimeout(client.expiry);
+
+        // Una sola conexión activa por cliente: la nueva reemplaza a la anterior
+        if (client.socket) {
+            client.socket.close(
+                CLOSE_REPLACED,
+                "Reemplazada por una nueva conexión."
+            );
+        }
+        client.socket = socket;
+
+        logger.info(`[ws:${clientId}] Cliente conectado.`);
+
+        socket.on("message", (data) =>
+            this.handleMessage(clientId, client, socket, data)
+        );
+        socket.on("close", () => {
+            if (client.socket !== socket) return;
+            client.socket = null;
+            client.expiry = setTimeout(
+                () => this._expire(clientId, client),
+                this.clientTtlMs
+            );
+            client.expiry.unref();
+            logger.info(
+                `[ws:${clientId}] Cliente desconectado. Eventos pendientes: ${client.pending.size}`
+            );
+        });
+
+        this._send(socket, {
+            type: "welcome",
+            clientId,
+            sessionIds: [...client.sessions],
+            pending: client.pending.size,
+        });
+    }
+
+    /**
+     * Forgets a client that stayed offline for `clientTtlMs`, with its subscriptions and
+     * pending events.
+     * @private
+     */
+    _expire(clientId, client) {
+        if (client.socket || this.clients.get(clientId) !== client) return;
+
+        this.clients.delete(clientId);
+        logger.info(
+            `[ws:${clientId}] Cliente olvidado tras ${this.clientTtlMs / 60000} min desconectado. Eventos pendientes descartados: ${client.pending.size}`
+        );
+    }
+
+    /**
+     * @param {object} apiKey - The API key.
+     * @returns {number} How many clients (connected or not) belong to the key.
+     * @private
+     */
+    _countClients(apiKey) {
+        let count = 0;
+        for (const client of this.clients.values()) {
+            if (client.apiKey.key === apiKey.key) count++;
+        }
+        return count;
+    }
+
+    /**
+     * Routes a message received from a client. Invalid commands and unexpected errors are
+     * answered with an `error` frame: the handler never throws, since it runs inside the
+     * socket's `message` listener.
+     * @param {string} clientId - The client ID.
+     * @param {object} client - The client state.
+     * @param {import("ws").WebSocket} socket - The socket the message came from.
+     * @param {Buffer} data - The raw message.
+     */
+    async handleMessage(clientId, client, socket, data) {
+        let command;
+        try {
+            command = JSON.parse(data.toString());
+        } catch {
+            return this._send(socket, {
+                type: "error",
+                message: "El mensaje debe ser un JSON válido.",
+            });
+        }
+
+        if (!isPlainObject(command)) {
+            return this._send(socket, {
+                type: "error",
+                message:
+                    "El mensaje debe ser un objeto JSON con el campo type.",
+            });
+        }
+
+        try {
+            switch (command.type) {
+                case "subscribe":
+                    return this._subscribe(client, socket, command);
+                case "unsubscribe":
+                    return this._unsubscribe(client, socket, command);
+                case "ack":
+                    return this._ack(client, socket, command);
+                case "send":
+                    return await this._sendCommand(
+                        clientId,
+                        client,
+                        socket,
+                        command
+                    );
+                default:
+                    return this._send(socket, {
+                        type: "error",
+                        requestId: command.requestId,
+                        message: `Tipo de comando no soportado: ${command.type}`,
+                    });
+            }
+        } catch (error) {
+            logger.error(
+                { error },
+                `[ws:${clientId}] Error al procesar el comando ${command.type}`
+            );
+            this._send(socket, {
+                type: "error",
+                requestId: command.requestId,
+                message: "Error interno al procesar el comando.",
+            });
+        }
+    }
+
+    /**
+     * Confirms the reception of events (`deliveryId` and/or `deliveryIds`), so they are not
+     * redelivered.
+     * @private
+     */
+    _ack(client, socket, { requestId, deliveryId, deliveryIds = [] }) {
+        if (
+            (deliveryId !== undefined && typeof deliveryId !== "string") ||
+            !Array.isArray(deliveryIds) ||
+            deliveryIds.some((id) => typeof id !== "string")
+        ) {
+            return this._send(socket, {
+                type: "error",
+                requestId,
+                message:
+                    "deliveryId debe ser texto y deliveryIds una lista de textos.",
+            });
+        }
+
+        [deliveryId, ...deliveryIds]
+            .filter(Boolean)
+            .forEach((id) => client.pending.delete(id));
+    }
+
+    /**
+     * Subscribes a client to sessions and redelivers its pending events for them.
+     * @private
+     */
+    _subscribe(client, socket, { sessionIds = [] }) {
+        const accepted = [];
+        const rejected = [];
+
+        for (const sessionId of [].concat(sessionIds)) {
+            if (
+                typeof sessionId === "string" &&
+                hasScope(client.apiKey, "read") &&
+                canAccessSession(client.apiKey, sessionId)
+            ) {
+                client.sessions.add(sessionId);
+                accepted.push(sessionId);
+            } else {
+                rejected.push(sessionId);
+            }
+        }
+
+        this._send(socket, {
+            type: "subscribed",
+            sessionIds: accepted,
+            rejected,
+        });
+
+        for (const delivery of client.pending.values()) {
+            if (accepted.includes(delivery.sessionId)) {
+                this._send(socket, { type: "event", ...delivery });
+            }
+        }
+    }
+
+    /**
+     * Removes subscriptions and drops their pending events.
+     * @private
+     */
+    _unsubscribe(client, socket, { sessionIds = [] }) {
+        const removed = [].concat(sessionIds);
+        removed.forEach((sessionId) => client.sessions.delete(sessionId));
+
+        for (const [deliveryId, delivery] of client.pending) {
+            if (removed.includes(delivery.sessionId)) {
+                client.pending.delete(deliveryId);
+            }
+        }
+
+        this._send(socket, { type: "unsubscribed", sessionIds: removed });
+    }
+
+    /**
+     * Sends a text message on behalf of the client. Requires the `send` scope.
+     * @private
+     */
+    async _sendCommand(clientId, client, socket, command) {
+        const { requestId, sessionId, number, message } = command;
+        const fail = (text) =>
+            this._send(socket, {
+                type: "send_result",
+                requestId,
+                success: false,
+                message: text,
+            });
+
+        if (
+            !hasScope(client.apiKey, "send") ||
+            !canAccessSession(client.apiKey, sessionId)
+        ) {
+            return fail(
+                "La API key no tiene permiso para enviar desde esta sesión."
+            );
+        }
+
+        if (!number || !message) {
+            return fail("Los campos number y message son requeridos.");
+        }
+
+        const session = SessionManager.getSession(sessionId);
+        if (!session) return fail("Sesión no encontrada.");
+
+        try {
+            const result = await session.sendMessage(number, message);
+            this._send(socket, {
+                type: "send_result",
+                requestId,
+                success: true,
+                status: result.status,
+                jobId: result.jobId,
+                messageId: result.messageId || null,
+            });
+        } catch (error) {
+            logger.error(
+                { error },
+                `[ws:${clientId}] Error al enviar mensaje desde ${sessionId}`
+            );
+            fail(`Error al enviar el mensaje: ${error.message}`);
+        }
+    }
+
+    /**
+     * Whether any client is subscribed to a session (used to skip building payloads nobody reads).
+     * @param {string} sessionId - The session ID.
+     * @returns {boolean}
+     */
+    hasSubscribers(sessionId) {
+        for (const client of this.clients.values()) {
+            if (client.sessions.has(sessionId)) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Delivers a webhook payload to every client subscribed to its session. The event stays
+     * pending for each client until acknowledged, unless it carries inline media: those are
+     * only sent to the clients connected now, so offline clients can't pile up media in memory.
+     * @param {string} sessionId - The session that produced the event.
+     * @param {object} payload - The webhook payload.
+     */
+    publish(sessionId, payload) {
+        const keep = typeof payload.message?.media !== "string";
+
+        for (const [clientId, client] of this.clients) {
+            if (!client.sessions.has(sessionId)) continue;
+
+            const delivery = {
+                deliveryId: crypto.randomUUID(),
+                sessionId,
+                payload,
+            };
+
+            if (keep) client.pending.set(delivery.deliveryId, delivery);
+            if (client.pending.size > this.maxPending) {
+                const [oldest] = client.pending.keys();
+                client.pending.delete(oldest);
+                logger.warn(
+                    `[ws:${clientId}] Se superó el máximo de eventos pendientes (${this.maxPending}). Se descartó el más antiguo.`
+                );
+            }
+
+            if (client.socket) {
+                this._send(client.socket, { type: "event", ...delivery });
+            }
+        }
+    }
+
+    /**
+     * Serializes and sends a message if the socket is open.
+     * @private
+     */
+    _send(socket, message) {
+        if (socket.readyState === socket.OPEN) {
+            socket.send(JSON.stringify(message));
+        }
+    }
+}
+
+export default new WebSocketGateway();
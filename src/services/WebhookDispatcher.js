@@ -0,0 +1,277 @@
+import logger from "../utils/logger.js";
+
+/**
+ * Default delivery settings, overridable per session (`webhookDelivery` in metadata.json).
+ */
+export const DEFAULT_WEBHOOK_DELIVERY = {
+    concurrency: parseInt(process.env.WEBHOOK_CONCURRENCY || "4", 10),
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || "5", 10),
+    maxAgeMinutes: parseInt(process.env.WEBHOOK_MAX_AGE_MINUTES || "1440", 10),
+    preserveOrder: true,
+};
+
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS || "2000", 10);
+const RETRY_MAX_MS = parseInt(process.env.WEBHOOK_RETRY_MAX_MS || "600000", 10);
+
+/**
+ * @class WebhookDispatcher
+ * @description Delivers the webhook jobs of a session without head-of-line blocking.
+ * Up to `concurrency` jobs are delivered at the same time; a failed job is scheduled again
+ * with exponential backoff and jitter while the rest of the queue keeps moving.
+ * When `preserveOrder` is on, jobs that share an `orderKey` (the chat for messages and receipts,
+ * `connection` for lifecycle events) are delivered one at a time and in order, so a failing job
+ * only holds back its own chat.
+ * A job is given up on (and handed to `onGiveUp`) when the receiver rejects it, when it
+ * reaches `maxAttempts` or when it is older than `maxAgeMinutes`.
+ * Every change of a job (queued, rescheduled, finished) is journaled, and a job in flight stays
+ * in the journal until it finishes (at-least-once).
+ * Once stopped, the dispatcher delivers and journals nothing else.
+ */
+class WebhookDispatcher {
+    /**
+     * @param {object} options
+     * @param {string} options.sessionId - The owning session (for logs).
+     * @param {import("./QueueJournal.js").default} options.journal - Where the queue is persisted.
+     * @param {Function} options.deliver - `async (job) => void`. Throws to retry; an error with
+     * `permanent: true` is not retried.
+     * @param {Function} options.onGiveUp - `(job, error, reason)` with reason `rejected`,
+     * `max_retries` or `expired`.
+     * @param {object} [options.settings] - Overrides of `DEFAULT_WEBHOOK_DELIVERY`.
+     */
+    constructor({ sessionId, journal, deliver, onGiveUp, settings }) {
+        this.sessionId = sessionId;
+        this.journal = journal;
+        this.deliver = deliver;
+        this.onGiveUp = onGiveUp;
+        this.jobs = [];
+        this.inFlight = new Set();
+        this.timer = null;
+        this.stopped = false;
+        // Esperas de drain(), revisadas cada vez que un job sale de la cola
+        this.drainWaiters = new Set();
+        this.configure(settings);
+    }
+
+    /**
+     * Applies new delivery settings. Unset fields fall back to the defaults.
+     * @param {object} [settings] - `{ concurrency, maxAttempts, maxAgeMinutes, preserveOrder }`.
+     */
+    configure(settings = {}) {
+        this.settings = { ...DEFAULT_WEBHOOK_DELIVERY, ...(settings || {}) };
+        this.pump();
+    }
+
+    /**
+     * @returns {number} Jobs waiting or in flight.
+     */
+    get size() {
+        return this.jobs.length;
+    }
+
+    /**
+     * Loads the jobs journaled by a previous run ahead of anything queued in memory.
+     * @returns {number} How many jobs were restored.
+     */
+    restore() {
+        const restored = this.journal.load();
+        this.jobs = [...restored, ...this.jobs];
+        return restored.length;
+    }
+
+    /**
+     * Adds a job and starts delivering it as soon as a slot is free.
+     * @param {object} job - `{ id, payload | rawMessage, orderKey }`.
+     */
+    enqueue(job) {
+        if (this.stopped) return;
+
+        const queued = {
+            retryCount: 0,
+            createdAt: new Date().toISOString(),
+            nextAttemptAt: null,
+            ...job,
+        };
+        this.jobs.push(queued);
+        this._persist(queued);
+        this.pump();
+    }
+
+    /**
+     * Waits until no job matching `predicate` is left in the queue (delivered or given up),
+     * e.g. to deliver the last lifecycle events before the session is removed.
+     * @param {Function} predicate - `(job) => boolean`.
+     * @param {number} timeoutMs - Maximum wait.
+     * @returns {Promise<boolean>} Whether every matching job left the queue in time.
+     */
+    drain(predicate, timeoutMs) {
+        return new Promise((resolve) => {
+            const settle = (drained) => {
+                clearTimeout(timer);
+                this.drainWaiters.delete(check);
+                resolve(drained);
+            };
+            const check = () => {
+                if (!this.jobs.some(predicate)) settle(true);
+            };
+            const timer = setTimeout(() => settle(false), timeoutMs);
+
+            this.drainWaiters.add(check);
+            check();
+        });
+    }
+
+    /**
+     * Starts as many eligible jobs as the concurrency allows and schedules a wake-up
+     * for the next job waiting on its backoff.
+     */
+    pump() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        if (this.stopped) return;
+
+        const now = Date.now();
+        const blockedKeys = new Set();
+        let nextWakeUp = null;
+
+        for (const job of this.jobs) {
+            if (this.inFlight.size >= this.settings.concurrency) break;
+
+            const ordered = this.settings.preserveOrder && job.orderKey;
+            const blocked = ordered && blockedKeys.has(job.orderKey);
+            // Un job ordenado bloquea a los siguientes de su chat, esté en vuelo o esperando
+            if (ordered) blockedKeys.add(job.orderKey);
+
+            if (blocked || this.inFlight.has(job.id)) continue;
+
+            const dueAt = job.nextAttemptAt
+                ? new Date(job.nextAttemptAt).getTime()
+                : 0;
+            if (dueAt > now) {
+                nextWakeUp = Math.min(nextWakeUp ?? dueAt, dueAt);
+                continue;
+            }
+
+            this._run(job).catch((error) => {
+                // p. ej. onGiveUp no pudo guardar el webhook fallido: se libera el cupo del job
+                logger.error(
+                    { error },
+                    `[${this.sessionId}] Error inesperado al procesar el webhook ${job.id}`
+                );
+                this.inFlight.delete(job.id);
+                this.pump();
+            });
+        }
+
+        if (nextWakeUp !== null) {
+            this.timer = setTimeout(() => this.pump(), nextWakeUp - now);
+        }
+    }
+
+    /**
+     * Delivers one job and decides what happens next.
+     * @param {object} job - The job.
+     * @private
+     */
+    async _run(job) {
+        this.inFlight.add(job.id);
+
+        if (this._isExpired(job)) {
+            this._finish(job);
+            this.onGiveUp(
+                job,
+                new Error("El webhook superó la antigüedad máxima."),
+                "expired"
+            );
+            this.pump();
+            return;
+        }
+
+        try {
+            await this.deliver(job);
+            // La sesión se eliminó mientras se entregaba: no queda nada que actualizar
+            if (this.stopped) return;
+            this._finish(job);
+            logger.info(
+                `[${this.sessionId}] Webhook ${job.id} entregado. Pendientes: ${this.jobs.length}`
+            );
+        } catch (error) {
+            if (this.stopped) return;
+            job.retryCount++;
+
+            if (error.permanent) {
+                this._finish(job);
+                this.onGiveUp(job, error, "rejected");
+            } else if (job.retryCount >= this.settings.maxAttempts) {
+                this._finish(job);
+                this.onGiveUp(job, error, "max_retries");
+            } else {
+                const delay = this._backoff(job.retryCount);
+                job.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+                this.inFlight.delete(job.id);
+                this._persist(job);
+
+                logger.warn(
+                    { error: error.message },
+                    `[${this.sessionId}] Error al entregar webhook ${job.id}. Intento ${job.retryCount}/${this.settings.maxAttempts}. Se reintentará en ${Math.round(delay / 1000)}s. Pendientes: ${this.jobs.length}`
+                );
+            }
+        }
+
+        this.pump();
+    }
+
+    /**
+     * Removes a delivered or given up job from the queue.
+     * @private
+     */
+    _finish(job) {
+        this.inFlight.delete(job.id);
+        this.jobs = this.jobs.filter((queued) => queued !== job);
+        if (!this.stopped) this.journal.remove(job.id);
+        this.drainWaiters.forEach((check) => check());
+    }
+
+    /**
+     * Exponential backoff (base × 2^(attempt-1), capped) with jitter between 50% and 100%,
+     * so jobs that failed together don't all retry at the same instant.
+     * @private
+     */
+    _backoff(attempt) {
+        const delay = Math.min(
+            RETRY_MAX_MS,
+            RETRY_BASE_MS * 2 ** (attempt - 1)
+        );
+        return Math.round(delay * (0.5 + Math.random() / 2));
+    }
+
+    /**
+     * @private
+     */
+    _isExpired(job) {
+        const age = Date.now() - new Date(job.createdAt).getTime();
+        return age > this.settings.maxAgeMinutes * 60 * 1000;
+    }
+
+    /**
+     * Journals the current state of a queued job.
+     * @private
+     */
+    _persist(job) {
+        if (!this.stopped) this.journal.put(job);
+    }
+
+    /**
+     * Stops the dispatcher for good (e.g. when the session is removed): the backoff timer is
+     * cleared, no new job is started or journaled, and the outcome of jobs still in flight is
+     * ignored (no journal write, no `onGiveUp`).
+     */
+    stop() {
+        this.stopped = true;
+        if (this.timer) clearTimeout(this.timer);
+        this.timer = null;
+    }
+}
+
+export default WebhookDispatcher;
@@ -0,0 +1,202 @@
+import fs from "fs";
+import crypto from "crypto";
+
+import logger from "../utils/logger.js";
+import { chatTypeOf, jidUser } from "../utils/jid.js";
+
+/**
+ * Event categories a subscription can enable.
+ * - `messages`: incoming messages (`message`).
+ * - `receipts`: status of our sent messages (`message_status`).
+ * - `connection`: lifecycle (`qr.updated`, `connection.open`, `connection.close`, `logged_out`, `max_retries_reached`).
+ * - `groups`: group changes (`group.joined`, `group.updated`, `group.participants`).
+ * - `meta`: interactions received through the Meta Cloud API (button and list replies).
+ */
+export const WEBHOOK_EVENT_CATEGORIES = [
+    "messages",
+    "receipts",
+    "connection",
+    "groups",
+    "meta",
+];
+
+export const WEBHOOK_CHAT_TYPES = [
+    "private",
+    "group",
+    "broadcast",
+    "newsletter",
+];
+
+/**
+ * Maps a message type as reported in payloads (`conversation`, `imageMessage`, `button_reply`...)
+ * to the name used by `filters.messageTypes` (`text`, `image`, `button_reply`...).
+ * @param {string} type - The payload message type.
+ * @returns {string}
+ */
+export function messageFilterType(type) {
+    if (type === "conversation" || type === "extendedTextMessage") {
+        return "text";
+    }
+    return String(type).replace(/Message$/, "");
+}
+
+/**
+ * @class WebhookSubscriptions
+ * @description The additional webhooks of a session. Each subscription has its own URL and secret,
+ * the event categories it wants and optional filters by chat type, sender and message type.
+ * They are persisted in the `webhooks` field of the session `metadata.json`.
+ */
+class WebhookSubscriptions {
+    /**
+     * @param {string} metadataPath - Absolute path of the session `metadata.json`.
+     */
+    constructor(metadataPath) {
+        this.metadataPath = metadataPath;
+        this.subscriptions = this._readMetadata().webhooks || [];
+    }
+
+    /**
+     * @returns {object[]} Every subscription.
+     */
+    list() {
+        return this.subscriptions;
+    }
+
+    /**
+     * @param {string} id - The subscription ID.
+     * @returns {object|null}
+     */
+    get(id) {
+        return this.subscriptions.find((sub) => sub.id === id) || null;
+    }
+
+    /**
+     * Registers a subscription. Omitted fields get their defaults: every event category,
+     * no filters, enabled.
+     * @param {object} data - `{ url, secret, name, events, filters, enabled }` (already validated).
+     * @returns {object} The stored subscription.
+     */
+    create(data) {
+        const now = new Date().toISOString();
+        const subscription = {
+            id: crypto.randomUUID(),
+            name: data.name || null,
+            url: data.url,
+            secret: data.secret || null,
+            events: data.events || [...WEBHOOK_EVENT_CATEGORIES],
+            filters: data.filters || {},
+            enabled: data.enabled ?? true,
+            createdAt: now,
+            updatedAt: now,
+        };
+
+        this.subscriptions = [...this.subscriptions, subscription];
+        this._save();
+        return subscription;
+    }
+
+    /**
+     * Applies a partial update to a subscription.
+     * @param {string} id - The subscription ID.
+     * @param {object} changes - The fields to change (already validated).
+     * @returns {object|null} The updated subscription, or null if it doesn't exist.
+     */
+    update(id, changes) {
+        const current = this.get(id);
+        if (!current) return null;
+
+        const updated = {
+            ...current,
+            ...changes,
+            id: current.id,
+            createdAt: current.createdAt,
+            updatedAt: new Date().toISOString(),
+        };
+
+        this.subscriptions = this.subscriptions.map((sub) =>
+            sub.id === id ? updated : sub
+        );
+        this._save();
+        return updated;
+    }
+
+    /**
+     * @param {string} id - The subscription ID.
+     * @returns {boolean} Whether it existed.
+     */
+    remove(id) {
+        if (!this.get(id)) return false;
+        this.subscriptions = this.subscriptions.filter((sub) => sub.id !== id);
+        this._save();
+        return true;
+    }
+
+    /**
+     * Finds the enabled subscriptions that want an event.
+     * Filters only apply when the event carries the data they check: connection events have no
+     * chat, so they ignore every filter; receipts have a chat but no sender or message type.
+     * @param {string} category - One of `WEBHOOK_EVENT_CATEGORIES`.
+     * @param {object} [context]
+     * @param {string} [context.chatId] - The chat JID.
+     * @param {string} [context.sender] - The sender JID or number.
+     * @param {string} [context.messageType] - The payload message type.
+     * @returns {object[]}
+     */
+    matching(category, { chatId, sender, messageType } = {}) {
+        return this.subscriptions.filter((sub) => {
+            if (!sub.enabled || !sub.events.includes(category)) return false;
+
+            const { chatTypes, senders, messageTypes } = sub.filters || {};
+
+            if (chatId && chatTypes?.length) {
+                if (!chatTypes.includes(chatTypeOf(chatId))) return false;
+            }
+            if (sender && senders?.length) {
+                const user = jidUser(sender);
+                if (!senders.some((value) => jidUser(value) === user)) {
+                    return false;
+                }
+            }
+            if (messageType && messageTypes?.length) {
+                if (!messageTypes.includes(messageFilterType(messageType))) {
+                    return false;
+                }
+            }
+
+            return true;
+        });
+    }
+
+    /**
+     * @private
+     */
+    _readMetadata() {
+        if (!fs.existsSync(this.metadataPath)) return {};
+
+        try {
+            return JSON.parse(fs.readFileSync(this.metadataPath, "utf-8"));
+        } catch (error) {
+            logger.error(
+                { error },
+                `No se pudo leer ${this.metadataPath} para cargar los webhooks`
+            );
+            return {};
+        }
+    }
+
+    /**
+     * Writes the subscriptions into `metadata.json`, keeping the rest of its fields.
+     * @private
+     */
+    _save() {
+        const metadata = {
+            ...this._readMetadata(),
+            webhooks: this.subscriptions,
+        };
+        const tempPath = `${this.metadataPath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(metadata, null, 2));
+        fs.renameSync(tempPath, this.metadataPath);
+    }
+}
+
+export default WebhookSubscriptions;
@@ -1,5 +1,6 @@
 import path from "path";
 import fs from "fs/promises";
+import crypto from "crypto";
 import { fileURLToPath } from "url";
 
 import pino from "pino";
@@ -9,6 +10,8 @@ import {
     DisconnectReason,
     fetchLatestBaileysVersion,
     downloadMediaMessage,
+    getAggregateVotesInPollMessage,
+    proto,
 } from "@whiskeysockets/baileys";
 import { Boom } from "@hapi/boom";
 
@@ -16,10 +19,124 @@ import logger from "../utils/logger.js";
 import SessionManager from "./SessionManager.js";
 import { sendEmailAlert } from "../utils/notification.js";
 import OfficialWhatsappService from "./OfficialWhatsappService.js";
+import QueueJournal from "./QueueJournal.js";
+import JobTracker from "./JobTracker.js";
+import SessionEventStream from "./SessionEventStream.js";
+import DeadLetterStore from "./DeadLetterStore.js";
+import WebhookDispatcher from "./WebhookDispatcher.js";
+import WebhookSubscriptions from "./WebhookSubscriptions.js";
+import WebSocketGateway from "./WebSocketGateway.js";
+import MediaStore, { DEFAULT_MEDIA_DELIVERY } from "./MediaStore.js";
+import MessageStore from "./MessageStore.js";
+import GroupService, { describeGroup } from "./GroupService.js";
+import ContactService from "./ContactService.js";
+import { createStorageDriver } from "./storageDrivers.js";
+import { buildMessageContent } from "./messageTypes.js";
+import { toIsoTimestamp } from "../utils/timestamp.js";
+import { buildWebhookHeaders } from "../utils/webhookSignature.js";
+import { buildMediaUrl } from "../utils/mediaUrl.js";
+import { chatTypeOf, toJid } from "../utils/jid.js";
+import { parseVcard } from "../utils/vcard.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Estados de `messages.update` que se reenvían al webhook como `message_status`
+const MESSAGE_STATUS_NAMES = {
+    [proto.WebMessageInfo.Status.SERVER_ACK]: "server_ack",
+    [proto.WebMessageInfo.Status.DELIVERY_ACK]: "delivered",
+    [proto.WebMessageInfo.Status.READ]: "read",
+    [proto.WebMessageInfo.Status.PLAYED]: "played",
+};
+
+/**
+ * Which messages that don't arrive live (`append` upserts and history sync) reach the webhooks:
+ * - `forward`: all of them (the chat history synced when the account is linked, for example).
+ * - `catchUp`: only those newer than the last message stored before the server started, that is,
+ *   the ones received while it was down.
+ */
+const DEFAULT_HISTORY = {
+    forward: process.env.HISTORY_FORWARD === "true",
+    catchUp: process.env.HISTORY_CATCH_UP !== "false",
+};
+
+/**
+ * Versions of the message payload. Version 1 is the original one; version 2 adds the chat
+ * context (see `addMessageContext`) and a `version` field. New fields only reach the sessions
+ * that opt in, so existing consumers aren't affected.
+ */
+const PAYLOAD_VERSIONS = [1, 2];
+
+// Espera máxima para entregar los eventos de conexión pendientes (p. ej. logged_out) antes de
+// eliminar la sesión
+const WEBHOOK_FLUSH_TIMEOUT_MS = parseInt(
+    process.env.WEBHOOK_FLUSH_TIMEOUT_MS || "10000",
+    10
+);
+
+// Mensajes de protocolo entrantes que se reenvían al webhook con su propio tipo
+const PROTOCOL_MESSAGE_TYPES = {
+    [proto.Message.ProtocolMessage.Type.REVOKE]: "revoke",
+    [proto.Message.ProtocolMessage.Type.MESSAGE_EDIT]: "edit",
+};
+
+/**
+ * Extracts the visible text of a message content (text or media caption).
+ * @param {object|null|undefined} content - A Baileys `Message`.
+ * @returns {string|null}
+ */
+function contentText(content) {
+    return (
+        content?.conversation ||
+        content?.extendedTextMessage?.text ||
+        content?.imageMessage?.caption ||
+        content?.videoMessage?.caption ||
+        content?.documentMessage?.caption ||
+        null
+    );
+}
+
+/**
+ * Adds the version 2 fields to the `message` of a payload: the chat and who sent the message in
+ * it, when WhatsApp registered it, and the message context (quoted message, mentions, forwarding
+ * and disappearing messages timer).
+ * @param {object} message - The `message` of the payload; it is modified in place.
+ * @param {object} key - The Baileys message key.
+ * @param {object} [details]
+ * @param {object} [details.contextInfo] - The `ContextInfo` of the message content, if any.
+ * @param {*} [details.timestamp] - The WhatsApp timestamp (unix seconds).
+ */
+function addMessageContext(message, key, { contextInfo, timestamp } = {}) {
+    message.chatId = key.remoteJid;
+    message.participant = key.participant || null;
+    message.isGroup = chatTypeOf(key.remoteJid) === "group";
+    message.timestamp = toIsoTimestamp(timestamp);
+    message.quoted = contextInfo?.stanzaId
+        ? {
+              id: contextInfo.stanzaId,
+              sender: contextInfo.participant || null,
+              text: contentText(contextInfo.quotedMessage),
+          }
+        : null;
+    message.mentions = contextInfo?.mentionedJid || [];
+    message.isForwarded = Boolean(contextInfo?.isForwarded);
+    // Segundos que dura el mensaje en un chat con mensajes temporales
+    message.ephemeralExpiration = contextInfo?.expiration || null;
+}
+
+/**
+ * Finds the poll of a poll creation message (WhatsApp uses several versions of it).
+ * @param {object|null|undefined} content - A Baileys `Message`.
+ * @returns {object|undefined} The `PollCreationMessage`.
+ */
+function pollCreationOf(content) {
+    return (
+        content?.pollCreationMessage ||
+        content?.pollCreationMessageV2 ||
+        content?.pollCreationMessageV3
+    );
+}
+
 /**
  * @class WhatsappSession
  * @description Represents an individual WhatsApp session. It manages the connection, authentication,
@@ -32,8 +149,16 @@ class WhatsappSession {
      * @param {string} sessionId - A unique identifier for the session.
      * @param {string|null} [webhookUrl=null] - An optional webhook URL to notify of incoming messages.
      * @param {object|null} [metaConfig=null] - Optional configuration for the Meta Cloud API { phoneId, token, apiVersion }.
+     * @param {object} [options] - Additional session settings.
+     * @param {string|null} [options.webhookSecret] - Secret used to sign webhook deliveries.
+     * @param {object} [options.webhookDelivery] - Webhook delivery settings (see `WebhookDispatcher`).
+     * @param {object} [options.mediaDelivery] - How incoming media reaches webhooks (see `MediaStore`).
+     * @param {object} [options.storage] - Where media files are stored (see `storageDrivers.js`).
+     * @param {object} [options.history] - Whether history and catch-up messages are forwarded (see `DEFAULT_HISTORY`).
+     * @param {boolean} [options.forwardOwnMessages] - Whether the account's own messages reach the webhooks as `message.sent`.
+     * @param {number} [options.payloadVersion] - The version of the message payload (see `PAYLOAD_VERSIONS`).
      */
-    constructor(sessionId, webhookUrl = null, metaConfig = null) {
+    constructor(sessionId, webhookUrl = null, metaConfig = null, options = {}) {
         this.sessionId = sessionId;
         this.sock = null;
         this.status = "starting";
@@ -49,13 +174,86 @@ class WhatsappSession {
         this.retryCount = 0;
         this.maxRetry = 5;
         this.webhookUrl = webhookUrl;
+        this.webhookSecret = options.webhookSecret || null;
+
+        // Webhooks adicionales (cada uno con sus eventos y filtros), guardados en metadata.json
+        this.webhooks = new WebhookSubscriptions(
+            path.join(this.authPath, "metadata.json")
+        );
 
         // Colas de procesamiento
         this.messageQueue = [];
         this.isProcessingQueue = false;
-        this.webhookQueue = [];
-        this.isProcessingWebhookQueue = false;
-        this.maxWebhookRetries = 3;
+
+        // Journals en disco para que las colas sobrevivan a un reinicio.
+        // El job en curso se mantiene en el journal hasta terminar (at-least-once).
+        this.outgoingJournal = new QueueJournal(
+            path.join(this.authPath, "queues", "outgoing.log")
+        );
+        this.webhookJournal = new QueueJournal(
+            path.join(this.authPath, "queues", "webhooks.log")
+        );
+
+        // Entrega de webhooks con reintentos independientes por job (sin bloquear la cola)
+        this.webhookDispatcher = new WebhookDispatcher({
+            sessionId: this.sessionId,
+            journal: this.webhookJournal,
+            deliver: (job) => this._deliverWebhookJob(job),
+            onGiveUp: (job, error, reason) =>
+                this._handleWebhookGiveUp(job, error, reason),
+            settings: options.webhookDelivery,
+        });
+
+        // Historial de estados de cada envío (queued, sending, sent, failed)
+        this.jobTracker = new JobTracker(path.join(this.authPath, "jobs.log"));
+
+        // Mensajes recientes (recibidos y enviados) para citarlos, reenviarlos y atender reintentos
+        this.messageStore = new MessageStore(
+            path.join(this.authPath, "messages.log")
+        );
+
+        // Lo más nuevo que vio la sesión antes de este arranque: lo posterior que llegue
+        // como historial se recibió mientras el servidor estaba caído
+        this.catchUpSince = this.messageStore.latestTimestamp();
+        this.setHistory(options.history);
+
+        // Mensajes propios (enviados desde el teléfono o por la API) como eventos message.sent
+        this.setForwardOwnMessages(options.forwardOwnMessages);
+        // IDs de WhatsApp de los jobs en pleno envío, para correlacionar su message.sent
+        this.sendingMessageIds = new Map();
+
+        // Versión del payload de los mensajes (1 original, 2 con el contexto del chat)
+        this.setPayloadVersion(options.payloadVersion);
+
+        // Webhooks descartados (reintentos agotados o 4xx), disponibles para reenviar
+        this.deadLetters = new DeadLetterStore(
+            path.join(this.authPath, "webhooks", "failed")
+        );
+
+        // Eventos en vivo para clientes conectados (SSE), con un buffer corto para reanudar
+        this.events = new SessionEventStream();
+
+        // Almacenamiento (local o S3) de la media entrante y de los archivos de envíos encolados
+        this.storageConfig = options.storage || null;
+        this.storage = createStorageDriver(this.storageConfig);
+
+        // Media entrante guardada para entregarla por URL firmada en lugar de base64
+        this.media = new MediaStore(this.sessionId, this.storage);
+        this.media.startCleanup();
+        this.setMediaDelivery(options.mediaDelivery);
+
+        // Gestión de grupos (listar, crear, participantes, ajustes e invitaciones)
+        this.groups = new GroupService(this);
+
+        // Consultas de contactos (existencia en WhatsApp, foto, estado, perfil de empresa) con caché
+        this.contacts = new ContactService(this);
+
+        // Los archivos de los envíos de media encolados se borran al enviarse o al expirar el job
+        this.jobTtlMs =
+            (parseFloat(process.env.QUEUE_JOB_TTL_HOURS) || 24) *
+            60 *
+            60 *
+            1000;
 
         // Configuración e Instancia de la API Oficial (Híbrido)
         this.metaConfig = metaConfig;
@@ -99,9 +297,49 @@ class WhatsappSession {
                 printQRInTerminal: false,
                 logger: this.logger,
                 browser: ["OlimpoCRM", "Chrome", "111.0.0.0"],
+                // Baileys lo usa para reenviar un mensaje cuando el destinatario no pudo descifrarlo
+                getMessage: async (key) =>
+                    this.messageStore.get(key.id)?.message,
             });
 
-            this.sock.ev.on("messages.upsert", (m) => this.handleMessages(m));
+            this.sock.ev.on("messages.upsert", (m) =>
+                this.handleMessages(m).catch((error) =>
+                    logger.error(
+                        { error },
+                        `[${this.sessionId}] Error al procesar mensajes entrantes`
+                    )
+                )
+            );
+
+            this.sock.ev.on("messaging-history.set", ({ messages }) =>
+                this.handleMessages({ messages, type: "history" }).catch(
+                    (error) =>
+                        logger.error(
+                            { error },
+                            `[${this.sessionId}] Error al procesar el historial de mensajes`
+                        )
+                )
+            );
+
+            this.sock.ev.on("messages.update", (updates) =>
+                this.handleMessageUpdates(updates)
+            );
+
+            this.sock.ev.on("message-receipt.update", (receipts) =>
+                this.handleReceiptUpdates(receipts)
+            );
+
+            this.sock.ev.on("groups.upsert", (groups) =>
+                this.handleGroupsUpsert(groups)
+            );
+
+            this.sock.ev.on("groups.update", (updates) =>
+                this.handleGroupUpdates(updates)
+            );
+
+            this.sock.ev.on("group-participants.update", (update) =>
+                this.handleGroupParticipants(update)
+            );
 
             this.sock.ev.on(
                 "connection.update",
@@ -125,45 +363,505 @@ class WhatsappSession {
     }
 
     /**
-     * Handles incoming WhatsApp messages.
-     * It filters out messages from the user themselves and messages without content,
-     * then queues them to be processed and sent to the webhook.
-     * @param {object} m - The 'messages.upsert' event object from Baileys.
-     * @returns {Promise<void>} A promise that resolves once the message is queued.
+     * Loads the outgoing and webhook queues journaled on disk by a previous run.
+     * Restored jobs are placed ahead of anything queued in memory and are sent once
+     * the connection opens.
+     */
+    restoreQueues() {
+        const outgoing = this.outgoingJournal.load();
+        this.messageQueue = [...outgoing, ...this.messageQueue];
+
+        // Los webhooks no dependen de la conexión con WhatsApp: se entregan de inmediato
+        const webhooks = this.webhookDispatcher.restore();
+        this.webhookDispatcher.pump();
+
+        if (outgoing.length > 0 || webhooks > 0) {
+            logger.info(
+                `[${this.sessionId}] Colas restauradas desde disco. Mensajes salientes: ${outgoing.length} | Webhooks: ${webhooks}`
+            );
+        }
+    }
+
+    /**
+     * Derives a deterministic WhatsApp message ID from a queued job.
+     * If the server crashes after sending but before removing the job from the journal,
+     * the replay reuses the same ID and WhatsApp discards the duplicate.
+     * @param {object} job - The queued job.
+     * @returns {string} A message ID with the same shape Baileys generates.
+     * @private
+     */
+    _messageIdFor(job) {
+        const hash = crypto
+            .createHash("sha256")
+            .update(`${this.sessionId}:${job.id}`)
+            .digest("hex");
+        return `3EB0${hash.slice(0, 18).toUpperCase()}`;
+    }
+
+    /**
+     * Handles a batch of incoming WhatsApp messages (`messages.upsert` or a history sync).
+     * Every message is stored; live messages (`notify`) are forwarded, while `append` upserts and
+     * history sync only reach the webhooks as allowed by the `history` settings. Messages already
+     * stored are not forwarded again, so a catch-up never repeats what was delivered live.
+     * The account's own messages (sent from the phone or through this API, which Baileys reports
+     * as `append`) are forwarded as `message.sent` only when `forwardOwnMessages` is enabled.
+     * @param {object} m - `{ messages, type }`: the 'messages.upsert' event object from Baileys,
+     * or the messages of 'messaging-history.set' with type `history`.
+     * @returns {Promise<void>} A promise that resolves once the messages are queued.
      */
     async handleMessages(m) {
-        if (!this.webhookUrl) return;
+        const live = m.type === "notify";
+        let forwarded = 0;
 
-        const msg = m.messages[0];
+        for (const msg of m.messages) {
+            const known = !!this.messageStore.get(msg.key.id);
+            this.messageStore.remember(msg);
 
-        if (msg.key.fromMe || !msg.message) {
-            return;
+            if (msg.key.fromMe && !this.forwardOwnMessages) continue;
+
+            const origin =
+                live || (msg.key.fromMe && m.type === "append")
+                    ? "live"
+                    : this._historyOrigin(msg, known);
+            if (!origin) continue;
+
+            if (await this._handleIncomingMessage(msg, origin)) forwarded++;
         }
 
-        logger.info(
-            `[${this.sessionId}] Mensaje recibido de ${msg.key.remoteJid}, encolando para procesamiento.`
+        if (!live && forwarded > 0) {
+            logger.info(
+                `[${this.sessionId}] ${forwarded} mensaje(s) de historial (${m.type}) reenviados a los webhooks.`
+            );
+        }
+    }
+
+    /**
+     * Decides whether a message that didn't arrive live is forwarded (see `DEFAULT_HISTORY`).
+     * @param {object} msg - The raw Baileys message.
+     * @param {boolean} known - Whether the message was already stored (and so already handled).
+     * @returns {"history"|"catch_up"|null} The origin reported in the payload, or null to skip it.
+     * @private
+     */
+    _historyOrigin(msg, known) {
+        if (known) return null;
+
+        const sentAt = Date.parse(toIsoTimestamp(msg.messageTimestamp));
+        if (
+            this.history.catchUp &&
+            this.catchUpSince !== null &&
+            sentAt > this.catchUpSince
+        ) {
+            return "catch_up";
+        }
+        return this.history.forward ? "history" : null;
+    }
+
+    /**
+     * Publishes a message to live clients and queues it for the webhooks: as `message`, or as
+     * `message.sent` for the account's own messages. Messages without content are skipped.
+     * @param {object} msg - The raw Baileys message.
+     * @param {"live"|"catch_up"|"history"} origin - How the message arrived (see `handleMessages`).
+     * @returns {Promise<boolean>} Whether the message was forwarded.
+     * @private
+     */
+    async _handleIncomingMessage(msg, origin) {
+        if (!msg.message) return false;
+
+        // Los votos llegan cifrados; Baileys los descifra y los emite en messages.update
+        if (msg.message.pollUpdateMessage) return false;
+
+        // Los clientes en vivo reciben el mensaje sin descargar la media
+        const preview = await this._buildMessagePayload(msg, {
+            downloadMedia: false,
+            origin,
+        });
+        this.events.publish(preview);
+
+        // Los clientes WebSocket reciben el mismo payload que el webhook, con la media
+        if (WebSocketGateway.hasSubscribers(this.sessionId)) {
+            try {
+                WebSocketGateway.publish(
+                    this.sessionId,
+                    await this._buildMessagePayload(msg, { origin })
+                );
+            } catch (error) {
+                logger.error(
+                    { error },
+                    `[${this.sessionId}] No se pudo construir el mensaje para los clientes WebSocket`
+                );
+            }
+        }
+
+        // Solo encolamos el mensaje crudo. El procesamiento pesado (descarga) ocurre al entregarlo.
+        const queued = this.queueWebhook(
+            { rawMessage: msg, ...(origin !== "live" && { origin }) },
+            "messages",
+            {
+                chatId: msg.key.remoteJid,
+                sender: msg.key.fromMe
+                    ? this.sock?.user?.id
+                    : msg.key.participant || msg.key.remoteJid,
+                messageType: preview.message.type,
+            }
         );
 
-        // Solo encolamos el mensaje crudo. El procesamiento pesado (descarga) ocurre en la cola.
-        const job = {
-            rawMessage: msg,
-            retryCount: 0,
+        if (queued > 0 && origin === "live") {
+            logger.info(
+                msg.key.fromMe
+                    ? `[${this.sessionId}] Mensaje propio enviado a ${msg.key.remoteJid}, encolado para ${queued} webhook(s).`
+                    : `[${this.sessionId}] Mensaje recibido de ${msg.key.remoteJid}, encolado para ${queued} webhook(s).`
+            );
+        }
+        return true;
+    }
+
+    /**
+     * Handles status changes of messages (`messages.update`).
+     * Status changes of our own messages (server ack, delivered, read, played) are forwarded
+     * to the webhook as `message_status` events, and poll votes (decrypted by Baileys) as
+     * `poll_vote` messages.
+     * @param {Array<object>} updates - The 'messages.update' event payload from Baileys.
+     */
+    handleMessageUpdates(updates) {
+        for (const { key, update } of updates) {
+            for (const pollUpdate of update.pollUpdates || []) {
+                this._emitPollVote(key, pollUpdate);
+            }
+
+            const status = MESSAGE_STATUS_NAMES[update.status];
+            if (!key.fromMe || !status) continue;
+
+            this._emitMessageStatus(key, status, key.participant || null, null);
+        }
+    }
+
+    /**
+     * Handles per-recipient receipts (`message-receipt.update`), which is how WhatsApp reports
+     * delivery and reads for each participant of a group.
+     * @param {Array<object>} receipts - The 'message-receipt.update' event payload from Baileys.
+     */
+    handleReceiptUpdates(receipts) {
+        for (const { key, receipt } of receipts) {
+            if (!key.fromMe) continue;
+
+            let status = null;
+            let at = null;
+            if (receipt.playedTimestamp) {
+                status = "played";
+                at = receipt.playedTimestamp;
+            } else if (receipt.readTimestamp) {
+                status = "read";
+                at = receipt.readTimestamp;
+            } else if (receipt.receiptTimestamp) {
+                status = "delivered";
+                at = receipt.receiptTimestamp;
+            }
+
+            if (!status) continue;
+
+            this._emitMessageStatus(
+                key,
+                status,
+                receipt.userJid || null,
+                toIsoTimestamp(at)
+            );
+        }
+    }
+
+    /**
+     * Handles groups the account joins (created, added to or joined by invite) as
+     * `group.joined` events with the group metadata.
+     * @param {Array<object>} groups - The 'groups.upsert' event payload from Baileys.
+     */
+    handleGroupsUpsert(groups) {
+        for (const metadata of groups) {
+            this._emitEvent("group.joined", { group: describeGroup(metadata) });
+        }
+    }
+
+    /**
+     * Handles changes to the subject, description or settings of a group as `group.updated`
+     * events. Only the fields that changed are reported in `group.changes`.
+     * @param {Array<object>} updates - The 'groups.update' event payload from Baileys (partial metadata).
+     */
+    handleGroupUpdates(updates) {
+        for (const { id, author, ...update } of updates) {
+            const changes = {
+                ...("subject" in update && { subject: update.subject }),
+                ...("desc" in update && { description: update.desc || null }),
+                ...("announce" in update && {
+                    announce: Boolean(update.announce),
+                }),
+                ...("restrict" in update && {
+                    locked: Boolean(update.restrict),
+                }),
+            };
+            if (Object.keys(changes).length === 0) continue;
+
+            this._emitEvent("group.updated", {
+                group: { id, author: author || null, changes },
+            });
+        }
+    }
+
+    /**
+     * Handles participants added, removed, promoted or demoted in a group as
+     * `group.participants` events.
+     * @param {object} update - The 'group-participants.update' event payload from Baileys
+     * (`{ id, author, participants, action }`).
+     */
+    handleGroupParticipants({ id, author, participants, action }) {
+        this._emitEvent("group.participants", {
+            group: {
+                id,
+                author: author || null,
+                action,
+                // Versiones recientes de Baileys entregan objetos en lugar de JIDs
+                participants: participants.map((participant) =>
+                    typeof participant === "string"
+                        ? participant
+                        : participant.id
+                ),
+            },
+        });
+    }
+
+    /**
+     * Correlates a status change with the job that sent the message, records it in the
+     * job tracker and queues the `message_status` webhook event.
+     * @param {object} key - The Baileys message key.
+     * @param {string} status - `server_ack`, `delivered`, `read` or `played`.
+     * @param {string|null} participant - The recipient that produced the receipt (groups).
+     * @param {string|null} at - When WhatsApp reported the status (ISO date), if known.
+     * @private
+     */
+    _emitMessageStatus(key, status, participant, at) {
+        const job = this.jobTracker.findByMessageId(key.id);
+        if (job) this.jobTracker.recordDelivery(job.id, status, at);
+
+        this._emitEvent("message_status", {
+            receipt: {
+                messageId: key.id,
+                jobId: job?.id || null,
+                chatId: key.remoteJid,
+                participant,
+                status,
+                statusAt: at,
+            },
+        });
+    }
+
+    /**
+     * Reports a poll vote as a `poll_vote` message: the options the voter selected (none if the
+     * vote was withdrawn). The poll must be in the message store to match the options.
+     * @param {object} pollKey - The key of the poll creation message.
+     * @param {object} pollUpdate - The decrypted vote (`pollUpdateMessageKey`, `vote`, `senderTimestampMs`).
+     * @private
+     */
+    _emitPollVote(pollKey, pollUpdate) {
+        const voterKey = pollUpdate.pollUpdateMessageKey;
+        if (!voterKey || voterKey.fromMe) return;
+
+        const poll = this.messageStore.get(pollKey.id);
+        if (!poll) {
+            logger.warn(
+                `[${this.sessionId}] Voto a la encuesta ${pollKey.id} ignorado: la encuesta no está en el almacén de mensajes.`
+            );
+            return;
+        }
+
+        const selectedOptions = getAggregateVotesInPollMessage(
+            { message: poll.message, pollUpdates: [pollUpdate] },
+            this.sock?.user?.id
+        )
+            .filter((option) => option.voters.length > 0)
+            .map((option) => option.name);
+
+        const payload = {
+            event: "message",
+            ...(this.payloadVersion >= 2 && { version: 2 }),
+            sessionId: this.sessionId,
+            timestamp: new Date().toISOString(),
+            message: {
+                id: voterKey.id,
+                from: voterKey.remoteJid,
+                senderName: null,
+                type: "poll_vote",
+                text: null,
+                media: null,
+                mimetype: null,
+                fileName: null,
+                origin: "live",
+                targetMessageId: pollKey.id,
+                pollVote: {
+                    pollName: pollCreationOf(poll.message)?.name || null,
+                    selectedOptions,
+                },
+            },
         };
-        this.webhookQueue.push(job);
+        if (this.payloadVersion >= 2) {
+            addMessageContext(payload.message, voterKey, {
+                // El voto trae su hora en milisegundos (puede ser un Long)
+                timestamp:
+                    Number(pollUpdate.senderTimestampMs?.toString() || 0) /
+                    1000,
+            });
+        }
+        this.events.publish(payload);
+        WebSocketGateway.publish(this.sessionId, payload);
+
+        this.queueWebhook({ payload }, "messages", {
+            chatId: voterKey.remoteJid,
+            sender: voterKey.participant || voterKey.remoteJid,
+            messageType: "poll_vote",
+        });
+    }
+
+    /**
+     * Publishes an event to live clients (SSE and WebSocket) and queues it for delivery to the
+     * webhooks, through the same persisted, retrying queue used for incoming messages.
+     * @param {string} event - The event type (e.g. `message_status`).
+     * @param {object} data - Event specific fields, merged into the payload.
+     * @private
+     */
+    _emitEvent(event, data) {
+        const payload = {
+            event,
+            sessionId: this.sessionId,
+            timestamp: new Date().toISOString(),
+            ...data,
+        };
+        this.events.publish(payload);
+        WebSocketGateway.publish(this.sessionId, payload);
+
+        let category = "connection";
+        if (payload.receipt) category = "receipts";
+        else if (payload.group) category = "groups";
+
+        this.queueWebhook({ payload }, category, {
+            chatId: payload.receipt?.chatId || payload.group?.id,
+        });
+    }
+
+    /**
+     * Queues an event for every webhook that wants it: the session webhook (which receives
+     * everything) and each subscription whose event categories and filters match.
+     * Every target gets its own job, so a failing receiver doesn't hold back the others.
+     * @param {object} content - `{ payload }`, or `{ rawMessage }` for incoming messages.
+     * @param {string} category - The event category (see `WEBHOOK_EVENT_CATEGORIES`).
+     * @param {object} [context] - `{ chatId, sender, messageType }`, used by the subscription filters.
+     * @returns {number} How many deliveries were queued.
+     */
+    queueWebhook(content, category, context = {}) {
+        const targets = this.webhooks
+            .matching(category, context)
+            .map((sub) => sub.id);
+        if (this.webhookUrl) targets.unshift(null);
+
+        for (const subscriptionId of targets) {
+            this.webhookDispatcher.enqueue({
+                id: crypto.randomUUID(),
+                ...content,
+                ...(subscriptionId && { subscriptionId }),
+                orderKey: this._webhookOrderKey(content, subscriptionId),
+            });
+        }
+
+        return targets.length;
+    }
+
+    /**
+     * The key that keeps related webhook events in order, per target webhook: the chat for
+     * messages, receipts and group changes, and a shared key for connection lifecycle events
+     * (a `connection.open` must not overtake a `logged_out`).
+     * @param {object} content - `{ payload }` or `{ rawMessage }`.
+     * @param {string|null} [subscriptionId] - The target subscription (null for the session webhook).
+     * @returns {string|null} The key, or null if the event can be delivered in any order.
+     * @private
+     */
+    _webhookOrderKey({ payload, rawMessage }, subscriptionId = null) {
+        let key = null;
+        if (rawMessage) key = rawMessage.key.remoteJid;
+        else if (payload.receipt) key = payload.receipt.chatId;
+        else if (payload.message) key = payload.message.from;
+        else if (payload.group) key = payload.group.id;
+        else if (payload.connection || payload.event === "qr.updated") {
+            key = "connection";
+        }
+
+        return key && `${subscriptionId || "default"}:${key}`;
+    }
+
+    /**
+     * Resolves where a webhook job goes.
+     * @param {object} job - The webhook job.
+     * @returns {{ url: string, secret: string|null }|null} The target, or null if the session
+     * webhook was removed or the subscription was deleted or disabled.
+     * @private
+     */
+    _webhookTarget(job) {
+        if (!job.subscriptionId) {
+            return this.webhookUrl
+                ? { url: this.webhookUrl, secret: this.webhookSecret }
+                : null;
+        }
+
+        const subscription = this.webhooks.get(job.subscriptionId);
+        return subscription?.enabled
+            ? { url: subscription.url, secret: subscription.secret }
+            : null;
+    }
+
+    /**
+     * @returns {boolean} Whether the session has a webhook or at least one subscription.
+     */
+    hasWebhooks() {
+        return !!this.webhookUrl || this.webhooks.list().length > 0;
+    }
 
-        this.processWebhookQueue();
+    /**
+     * Records a job transition and publishes it to live clients as `job.updated`.
+     * Not sent to the webhook: the webhook only learns about sends through receipts.
+     * @param {string} jobId - The job ID.
+     * @param {string} status - One of `JOB_STATUSES`.
+     * @param {object} [extra] - Additional fields (`messageId`, `error`).
+     * @private
+     */
+    _updateJob(jobId, status, extra) {
+        const record = this.jobTracker.update(jobId, status, extra);
+        if (!record) return;
+
+        this.events.publish({
+            event: "job.updated",
+            sessionId: this.sessionId,
+            timestamp: record.updatedAt,
+            job: {
+                id: record.id,
+                type: record.type,
+                recipient: record.recipient,
+                status: record.status,
+                messageId: record.messageId,
+                error: record.error,
+                attempts: record.attempts,
+            },
+        });
     }
 
     /**
      * Handles connection status updates.
      * Manages QR code generation, reconnection logic in case of disconnection,
      * and session cleanup in case of a permanent logout.
+     * Every lifecycle change is also forwarded to the webhook (`qr.updated`, `connection.open`,
+     * `connection.close`, `logged_out`).
      * @param {object} update - The 'connection.update' event object from Baileys.
      */
     handleConnectionUpdate(update) {
         const { connection, lastDisconnect, qr } = update;
         this.status = connection || this.status;
-        if (qr) this.qr = qr;
+        if (qr) {
+            this.qr = qr;
+            this._emitEvent("qr.updated", { qr });
+        }
 
         logger.info(
             `[${this.sessionId}] Actualización de conexión: ${this.status}`
@@ -177,12 +875,24 @@ class WhatsappSession {
                 `[${this.sessionId}] Conexión cerrada, motivo: ${statusCode}, reconectando: ${shouldReconnect}`
             );
 
+            this._emitEvent("connection.close", {
+                connection: {
+                    statusCode: statusCode ?? null,
+                    reason: DisconnectReason[statusCode] || null,
+                    error: lastDisconnect.error?.message || null,
+                    willReconnect: shouldReconnect,
+                },
+            });
+
             if (shouldReconnect) {
                 this.startReconnecting();
             } else {
                 logger.warn(
                     `[${this.sessionId}] Sesión cerrada permanentemente (logout). Limpiando archivos...`
                 );
+                this._emitEvent("logged_out", {
+                    connection: { statusCode },
+                });
                 this.cleanup();
             }
         } else if (connection === "open") {
@@ -191,18 +901,24 @@ class WhatsappSession {
             );
             this.retryCount = 0;
             this.qr = null;
+            this._emitEvent("connection.open", {
+                connection: {
+                    jid: this.sock.user?.id || null,
+                    name: this.sock.user?.name || null,
+                },
+            });
             this.processMessageQueue();
-            this.processWebhookQueue();
         }
     }
 
     /**
      * Updates the session's configuration in memory.
-     * Allows for dynamic changes to the webhook URL and Meta API configuration.
+     * Allows for dynamic changes to the webhook URL, its signing secret and Meta API configuration.
      * @param {string} [newWebhookUrl] - The new URL for the webhook.
      * @param {object} [newMetaConfig] - The new configuration for the Meta API.
+     * @param {string|null} [newWebhookSecret] - The new webhook secret (null disables signing).
      */
-    updateConfig(newWebhookUrl, newMetaConfig) {
+    updateConfig(newWebhookUrl, newMetaConfig, newWebhookSecret) {
         if (newWebhookUrl !== undefined) {
             this.webhookUrl = newWebhookUrl;
             this.logger.info(
@@ -210,6 +926,15 @@ class WhatsappSession {
             );
         }
 
+        if (newWebhookSecret !== undefined) {
+            this.webhookSecret = newWebhookSecret || null;
+            logger.info(
+                `[${this.sessionId}] Secreto del webhook ${
+                    this.webhookSecret ? "actualizado" : "eliminado"
+                }.`
+            );
+        }
+
         if (newMetaConfig !== undefined) {
             this.metaConfig = newMetaConfig;
 
@@ -239,6 +964,67 @@ class WhatsappSession {
         }
     }
 
+    /**
+     * Applies new media delivery settings. Unset fields fall back to the defaults.
+     * @param {object|null} [settings] - `{ mode, inlineMaxBytes }`.
+     */
+    setMediaDelivery(settings) {
+        this.mediaDelivery = { ...DEFAULT_MEDIA_DELIVERY, ...(settings || {}) };
+    }
+
+    /**
+     * Applies new history settings. Unset fields fall back to the defaults.
+     * @param {object|null} [settings] - `{ forward, catchUp }`.
+     */
+    setHistory(settings) {
+        this.history = { ...DEFAULT_HISTORY, ...(settings || {}) };
+    }
+
+    /**
+     * Enables or disables forwarding the account's own messages as `message.sent` events.
+     * @param {boolean|null} [enabled] - null or undefined falls back to `FORWARD_OWN_MESSAGES`.
+     */
+    setForwardOwnMessages(enabled) {
+        this.forwardOwnMessages =
+            typeof enabled === "boolean"
+                ? enabled
+                : process.env.FORWARD_OWN_MESSAGES === "true";
+    }
+
+    /**
+     * Sets the version of the message payload delivered to webhooks and live clients.
+     * @param {number|null} [version] - One of `PAYLOAD_VERSIONS`; null or undefined falls back
+     * to `WEBHOOK_PAYLOAD_VERSION` (1 if unset).
+     */
+    setPayloadVersion(version) {
+        const fallback = Number(process.env.WEBHOOK_PAYLOAD_VERSION);
+        this.payloadVersion = PAYLOAD_VERSIONS.includes(version)
+            ? version
+            : PAYLOAD_VERSIONS.includes(fallback)
+              ? fallback
+              : 1;
+    }
+
+    /**
+     * Switches the storage backend. Files already stored are not migrated.
+     * @param {object|null} config - `{ driver, ...options }`, or null for the server default.
+     */
+    setStorage(config) {
+        this.storageConfig = config || null;
+        this.storage = createStorageDriver(this.storageConfig);
+        this.media.storage = this.storage;
+        logger.info(
+            `[${this.sessionId}] Almacenamiento de media: ${this.storage.name}.`
+        );
+    }
+
+    /**
+     * @returns {boolean} Whether queued sends still reference files in the current storage.
+     */
+    hasQueuedMedia() {
+        return this.messageQueue.some((job) => job.payload?.mediaKey);
+    }
+
     /**
      * Starts the reconnection process using an exponential backoff and jitter strategy.
      * It aborts if the maximum number of retries is reached.
@@ -251,6 +1037,9 @@ class WhatsappSession {
                 `[${this.sessionId}] Se ha alcanzado el número máximo de reintentos (${this.maxRetry}). Abortando.`
             );
             this.status = "max_retries_reached";
+            this._emitEvent("max_retries_reached", {
+                connection: { retries: this.maxRetry },
+            });
             return;
         }
 
@@ -269,154 +1058,116 @@ class WhatsappSession {
     }
 
     /**
-     * Sends a text message. If the session is not connected, it queues the message.
-     * @param {string} number - Recipient's phone number (with country code).
-     * @param {string} message - Text message to send.
-     * @returns {Promise<object>} An object indicating success or queued status.
+     * Sends a message of any type supported by `messageBuilders`. If the session is not
+     * connected, the send is queued; media files are moved to the session storage first.
+     * @param {string} type - The message type (a key of `messageBuilders`).
+     * @param {string} recipient - Recipient's JID or phone number.
+     * @param {object} payload - Type specific fields (see `messageBuilders`), plus the optional
+     * `quotedMessageId` (reply to a stored message) and `mentions` (numbers or JIDs).
+     * @param {string} [filePath] - The local path of the media file (it will be moved to the storage).
+     * @returns {Promise<object>} The result of the Baileys message sending, or the queued status with its job ID.
      */
-    async sendMessage(number, message) {
+    async sendContent(type, recipient, payload, filePath = null) {
         logger.info(
-            `[${this.sessionId}] Solicitud para enviar mensaje. Estado actual: "${this.status}"`
+            `[${this.sessionId}] Solicitud para enviar ${type} a ${recipient}. Estado: "${this.status}"`
         );
 
-        if (this.status !== "open" || this.isProcessingQueue) {
-            this.messageQueue.push({ number, message });
-
-            const reason = this.isProcessingQueue
-                ? "Cola en proceso"
-                : "Conexión no disponible";
-
-            logger.warn(
-                `[${this.sessionId}] Mensaje para ${number} encolado. Causa: ${reason}. Pendientes: ${this.messageQueue.length}`
-            );
-
-            return {
-                success: true,
-                status: "queued",
-                message: "El mensaje ha sido encolado y se enviará en orden.",
-            };
+        const job = this._createJob(type, recipient, payload);
+        if (filePath) {
+            job.payload.mediaKey = await this._spoolFile(filePath, job.id);
         }
+        return this._dispatchJob(job);
+    }
 
-        return this._performSendMessage(number, message);
+    /**
+     * Sends a text message. If the session is not connected, it queues the message.
+     * @param {string} number - Recipient's phone number (with country code).
+     * @param {string} message - Text message to send.
+     * @param {object} [options] - `{ quotedMessageId, mentions }` (see `sendContent`).
+     * @returns {Promise<object>} An object indicating success or queued status.
+     */
+    async sendMessage(number, message, options = {}) {
+        return this.sendContent("text", number, { text: message, ...options });
     }
 
     /**
-     * Sends a message with an image.
+     * Sends a message with an image (see `sendContent`).
      * @param {string} recipient - Recipient's JID or phone number.
-     * @param {string} filePath - The local path to the image file.
+     * @param {string} filePath - The local path to the image file (it will be moved to the storage).
      * @param {string} [caption=""] - Optional caption for the image.
-     * @returns {Promise<object>} The result of the Baileys message sending.
+     * @param {object} [options] - `{ quotedMessageId, mentions }` (see `sendContent`).
+     * @returns {Promise<object>} The result of the Baileys message sending, or the queued status with its job ID.
      */
-    async sendImage(recipient, filePath, caption = "") {
-        logger.info(
-            `[${this.sessionId}] Solicitud para enviar imagen a ${recipient}. Estado: "${this.status}"`
+    async sendImage(recipient, filePath, caption = "", options = {}) {
+        return this.sendContent(
+            "image",
+            recipient,
+            { caption, ...options },
+            filePath
         );
-        if (this.status !== "open") {
-            throw new Error(
-                "La sesión de WhatsApp no está abierta para enviar imágenes."
-            );
-        }
-
-        const jid = recipient.includes("@")
-            ? recipient
-            : `${recipient}@s.whatsapp.net`;
-
-        const message = {
-            image: { url: filePath },
-            caption: caption,
-        };
-
-        return this.sock.sendMessage(jid, message);
     }
 
     /**
-     * Sends a message with a document.
+     * Sends a message with a document (see `sendContent`).
      * @param {string} recipient - Recipient's JID or phone number.
-     * @param {string} filePath - The local path to the document file.
+     * @param {string} filePath - The local path to the document file (it will be moved to the storage).
      * @param {string} [fileName='document'] - Optional file name.
      * @param {string} [mimetype='application/octet-stream'] - Optional MIME type.
-     * @returns {Promise<object>} The result of the Baileys message sending.
+     * @param {object} [options] - `{ quotedMessageId, mentions }` (see `sendContent`).
+     * @returns {Promise<object>} The result of the Baileys message sending, or the queued status with its job ID.
      */
     async sendDocument(
         recipient,
         filePath,
         fileName,
-        mimetype = "application/octet-stream"
+        mimetype = "application/octet-stream",
+        options = {}
     ) {
-        logger.info(
-            `[${this.sessionId}] Solicitud para enviar documento a ${recipient}. Estado: "${this.status}"`
+        return this.sendContent(
+            "document",
+            recipient,
+            { fileName, mimetype, ...options },
+            filePath
         );
-        if (this.status !== "open") {
-            throw new Error(
-                "La sesión de WhatsApp no está abierta para enviar documentos."
-            );
-        }
-
-        const jid = recipient.includes("@")
-            ? recipient
-            : `${recipient}@s.whatsapp.net`;
-
-        const message = {
-            document: { url: filePath },
-            mimetype: mimetype,
-            fileName: fileName || "document",
-        };
-
-        return this.sock.sendMessage(jid, message);
     }
 
     /**
-     * Sends an audio message.
+     * Sends an audio message (see `sendContent`).
      * @param {string} recipient - Recipient's JID or phone number.
-     * @param {string} filePath - The local path to the audio file.
+     * @param {string} filePath - The local path to the audio file (it will be moved to the storage).
      * @param {string} [mimetype='audio/mpeg'] - Optional MIME type.
-     * @returns {Promise<object>} The result of the Baileys message sending.
+     * @param {object} [options] - `{ quotedMessageId, mentions }` (see `sendContent`).
+     * @returns {Promise<object>} The result of the Baileys message sending, or the queued status with its job ID.
      */
-    async sendAudio(recipient, filePath, mimetype = "audio/mpeg") {
-        logger.info(
-            `[${this.sessionId}] Solicitud para enviar audio a ${recipient}. Estado: "${this.status}"`
+    async sendAudio(
+        recipient,
+        filePath,
+        mimetype = "audio/mpeg",
+        options = {}
+    ) {
+        return this.sendContent(
+            "audio",
+            recipient,
+            { mimetype, ...options },
+            filePath
         );
-        if (this.status !== "open") {
-            throw new Error(
-                "La sesión de WhatsApp no está abierta para enviar audio."
-            );
-        }
-        const jid = recipient.includes("@")
-            ? recipient
-            : `${recipient}@s.whatsapp.net`;
-
-        const message = {
-            audio: { url: filePath },
-            mimetype: mimetype,
-        };
-        return this.sock.sendMessage(jid, message);
     }
 
     /**
-     * Sends a video message.
+     * Sends a video message (see `sendContent`).
      * @param {string} recipient - Recipient's JID or phone number.
-     * @param {string} filePath - The local path to the video file.
+     * @param {string} filePath - The local path to the video file (it will be moved to the storage).
      * @param {string} [caption=""] - Optional caption.
-     * @returns {Promise<object>} The result of the Baileys message sending.
+     * @param {object} [options] - `{ quotedMessageId, mentions }` (see `sendContent`).
+     * @returns {Promise<object>} The result of the Baileys message sending, or the queued status with its job ID.
      */
-    async sendVideo(recipient, filePath, caption = "") {
-        logger.info(
-            `[${this.sessionId}] Solicitud para enviar video a ${recipient}. Estado: "${this.status}"`
+    async sendVideo(recipient, filePath, caption = "", options = {}) {
+        return this.sendContent(
+            "video",
+            recipient,
+            { caption, ...options },
+            filePath
         );
-        if (this.status !== "open") {
-            throw new Error(
-                "La sesión de WhatsApp no está abierta para enviar video."
-            );
-        }
-        const jid = recipient.includes("@")
-            ? recipient
-            : `${recipient}@s.whatsapp.net`;
-
-        const message = {
-            video: { url: filePath },
-            caption: caption,
-        };
-        return this.sock.sendMessage(jid, message);
     }
 
     /**
@@ -473,20 +1224,203 @@ class WhatsappSession {
     }
 
     /**
-     * Performs the actual sending of a text message using the Baileys socket.
-     * @param {string} number - Recipient's phone number or JID.
-     * @param {string} message - Text message to send.
+     * Builds an outgoing job. Every send, immediate or queued, is represented by a job.
+     * @param {string} type - The message type (a key of `messageBuilders`).
+     * @param {string} recipient - Recipient's JID or phone number.
+     * @param {object} payload - Type specific data used to build the Baileys content.
+     * @returns {object} The job `{ id, type, recipient, payload, createdAt, expiresAt }`.
+     * @private
+     */
+    _createJob(type, recipient, payload) {
+        const now = Date.now();
+        return {
+            id: crypto.randomUUID(),
+            type,
+            recipient,
+            payload,
+            createdAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + this.jobTtlMs).toISOString(),
+        };
+    }
+
+    /**
+     * Sends a job right away if the connection is open and nothing is queued ahead of it;
+     * otherwise appends it to the persisted queue. Either way the job is registered in the
+     * job tracker so its delivery status can be queried later.
+     * @param {object} job - The job created by `_createJob`.
+     * @returns {Promise<object>} `{ success, status: "sent", jobId, messageId, result }` with the Baileys result,
+     * or `{ success, status: "queued", jobId, message }`.
+     * @private
+     */
+    async _dispatchJob(job) {
+        this.jobTracker.track(job, "queued");
+
+        if (
+            this.status !== "open" ||
+            this.isProcessingQueue ||
+            this.messageQueue.length > 0
+        ) {
+            this.messageQueue.push(job);
+            this.outgoingJournal.put(job);
+
+            const reason =
+                this.status === "open"
+                    ? "Cola en proceso"
+                    : "Conexión no disponible";
+
+            logger.warn(
+                `[${this.sessionId}] Mensaje (${job.type}) para ${job.recipient} encolado. Causa: ${reason}. Pendientes: ${this.messageQueue.length}`
+            );
+
+            return {
+                success: true,
+                status: "queued",
+                jobId: job.id,
+                message: "El mensaje ha sido encolado y se enviará en orden.",
+            };
+        }
+
+        try {
+            const result = await this._performJob(job);
+            return {
+                success: true,
+                status: "sent",
+                jobId: job.id,
+                messageId: result?.key?.id || null,
+                result,
+            };
+        } catch (error) {
+            this._updateJob(job.id, "failed", { error: error.message });
+            throw error;
+        } finally {
+            await this._releaseJobMedia(job);
+        }
+    }
+
+    /**
+     * Moves an uploaded file into the session storage (`<sessionId>/spool/<jobId>`), where it
+     * stays until its job is sent or expires.
+     * @param {string} filePath - Current path of the file (e.g. the Multer upload).
+     * @param {string} jobId - The job that owns the file.
+     * @returns {Promise<string>} The storage key of the file.
+     * @private
+     */
+    async _spoolFile(filePath, jobId) {
+        const key = `${this.sessionId}/spool/${jobId}`;
+        await this.storage.putFile(key, filePath);
+        return key;
+    }
+
+    /**
+     * Opens the file of a media job for Baileys.
+     * Jobs journaled before the storage drivers existed reference a local `filePath`.
+     * @param {object} job - The job.
+     * @returns {Promise<object|undefined>} `{ stream }` or `{ url }`, or undefined for jobs without media.
+     * @private
+     */
+    async _openJobMedia(job) {
+        if (job.payload.filePath) return { url: job.payload.filePath };
+        if (!job.payload.mediaKey) return undefined;
+
+        const stream = await this.storage.get(job.payload.mediaKey);
+        if (!stream) {
+            throw new Error(
+                `El archivo del envío ya no existe en el almacenamiento (${job.payload.mediaKey}).`
+            );
+        }
+        return { stream };
+    }
+
+    /**
+     * Removes the spooled file of a job, if any.
+     * @param {object} job - The finished or expired job.
+     * @private
+     */
+    async _releaseJobMedia(job) {
+        const { filePath, mediaKey } = job.payload || {};
+        if (!filePath && !mediaKey) return;
+
+        try {
+            if (mediaKey) await this.storage.remove(mediaKey);
+            else await fs.rm(filePath, { force: true });
+        } catch (error) {
+            logger.error(
+                { error },
+                `[${this.sessionId}] No se pudo eliminar el archivo del envío ${mediaKey || filePath}`
+            );
+        }
+    }
+
+    /**
+     * Performs the actual sending of a job using the Baileys socket and records the
+     * `sending` and `sent` transitions. Failures are recorded by the caller, which knows
+     * whether the job will be retried.
+     * The WhatsApp message ID is derived from the job ID, so a replay after a crash is deduplicated.
+     * @param {object} job - The job to send.
      * @private
      * @returns {Promise<object>} Baileys sendMessage result.
      */
-    async _performSendMessage(number, message) {
-        const jid = number.includes("@") ? number : `${number}@s.whatsapp.net`;
-        return this.sock.sendMessage(jid, { text: message });
+    async _performJob(job) {
+        const jid = toJid(job.recipient);
+        const { quoted, forward } = this._resolveMessageContext(job.payload);
+
+        const messageId = this._messageIdFor(job);
+
+        this._updateJob(job.id, "sending");
+        // Baileys emite el mensaje propio (messages.upsert) antes de que sendMessage resuelva
+        this.sendingMessageIds.set(messageId, job.id);
+        try {
+            const result = await this.sock.sendMessage(
+                jid,
+                buildMessageContent(job.type, {
+                    ...job.payload,
+                    jid,
+                    forward,
+                    media: await this._openJobMedia(job),
+                }),
+                { messageId, ...(quoted && { quoted }) }
+            );
+            this._updateJob(job.id, "sent", {
+                messageId: result?.key?.id || null,
+            });
+            this.messageStore.remember(result);
+
+            return result;
+        } finally {
+            this.sendingMessageIds.delete(messageId);
+        }
+    }
+
+    /**
+     * Looks up the stored messages a job quotes (`quotedMessageId`) or forwards (`forwardFrom`).
+     * @param {object} payload - The job payload.
+     * @returns {{ quoted?: object, forward?: object }} The stored `WAMessage`s.
+     * @throws {Error} A permanent error (the job can't succeed on retry) if a message is unknown.
+     * @private
+     */
+    _resolveMessageContext({ quotedMessageId, forwardFrom }) {
+        const context = {};
+        for (const [field, messageId] of [
+            ["quoted", quotedMessageId],
+            ["forward", forwardFrom],
+        ]) {
+            if (!messageId) continue;
+            context[field] = this.messageStore.get(messageId);
+            if (!context[field]) {
+                const error = new Error(
+                    `El mensaje ${messageId} no está en el almacén de mensajes de la sesión.`
+                );
+                error.permanent = true;
+                throw error;
+            }
+        }
+        return context;
     }
 
     /**
      * Processes the outgoing message queue.
      * It sends messages in FIFO (First-In, First-Out) order when the connection is open.
+     * Jobs past their `expiresAt` are discarded and their spooled media removed.
      * @returns {Promise<void>} A promise that resolves when the queue processing is complete
      * or has been paused.
      */
@@ -501,22 +1435,52 @@ class WhatsappSession {
             `[${this.sessionId}] Iniciando procesamiento de cola. Mensajes pendientes: ${this.messageQueue.length}`
         );
 
-        while (this.messageQueue.length > 0) {
+        while (this.messageQueue.length > 0 && this.status === "open") {
+            // Sale de la cola en memoria, pero sigue en el journal hasta terminar
             const job = this.messageQueue.shift();
+
+            if (job.expiresAt && new Date(job.expiresAt) < new Date()) {
+                logger.warn(
+                    `[${this.sessionId}] Mensaje encolado ${job.id} (${job.type}) para ${job.recipient} expiró sin enviarse. Descartado.`
+                );
+                this._updateJob(job.id, "failed", {
+                    error: "El mensaje expiró antes de poder enviarse.",
+                });
+                await this._releaseJobMedia(job);
+                this.outgoingJournal.remove(job.id);
+                continue;
+            }
+
             try {
-                await this._performSendMessage(job.number, job.message);
+                await this._performJob(job);
+                await this._releaseJobMedia(job);
+                this.outgoingJournal.remove(job.id);
                 logger.info(
-                    `[${this.sessionId}] Mensaje encolado enviado a ${job.number}. Pendientes: ${this.messageQueue.length}`
+                    `[${this.sessionId}] Mensaje encolado (${job.type}) enviado a ${job.recipient}. Pendientes: ${this.messageQueue.length}`
                 );
 
                 await new Promise((resolve) => setTimeout(resolve, 1000));
             } catch (error) {
+                if (error.permanent) {
+                    logger.warn(
+                        `[${this.sessionId}] Mensaje encolado ${job.id} (${job.type}) para ${job.recipient} descartado: ${error.message}`
+                    );
+                    this._updateJob(job.id, "failed", { error: error.message });
+                    await this._releaseJobMedia(job);
+                    this.outgoingJournal.remove(job.id);
+                    continue;
+                }
+
                 logger.error(
                     { error },
-                    `[${this.sessionId}] Error al enviar mensaje encolado a ${job.number}. Se re-encolará.`
+                    `[${this.sessionId}] Error al enviar mensaje encolado a ${job.recipient}. Se re-encolará.`
                 );
 
+                this._updateJob(job.id, "queued", {
+                    error: error.message,
+                });
                 this.messageQueue.unshift(job);
+                this.outgoingJournal.put(job);
                 break;
             }
         }
@@ -526,187 +1490,485 @@ class WhatsappSession {
     }
 
     /**
-     * Processes the webhook queue for incoming messages.
-     * It builds a standardized payload, downloads media files if necessary,
-     * and sends the payload to the configured webhook URL.
-     * Implements a retry logic for failures and email alerts for critical failures.
-     * @returns {Promise<void>} A promise that resolves when the queue processing is complete
-     * or has been paused.
+     * Builds the standardized webhook payload for an incoming message,
+     * downloading and inlining its media when necessary. Reactions, edits and revokes
+     * (`reaction`, `edit`, `revoke`) carry the ID of the message they refer to in `targetMessageId`;
+     * locations, contact cards and polls carry their structured fields in `location`, `contacts`
+     * and `poll`. The account's own messages are `message.sent` events, addressed `to` the chat and
+     * with the `jobId` of the API send that produced them (null if sent from the phone). With
+     * `payloadVersion` 2 the message also carries its chat context (see `addMessageContext`).
+     * @param {object} msg - The raw Baileys message.
+     * @param {object} [options]
+     * @param {boolean} [options.downloadMedia=true] - Whether to download and inline the media.
+     * @param {string} [options.origin="live"] - How the message arrived (`live`, `catch_up` or `history`).
+     * @returns {Promise<object>} The `message` event payload.
+     * @private
      */
-    async processWebhookQueue() {
-        if (this.isProcessingWebhookQueue || this.webhookQueue.length === 0) {
-            return;
+    async _buildMessagePayload(
+        msg,
+        { downloadMedia = true, origin = "live" } = {}
+    ) {
+        const messageType = Object.keys(msg.message).find(
+            (key) => key !== "messageContextInfo"
+        );
+        const payload = {
+            event: "message",
+            ...(this.payloadVersion >= 2 && { version: 2 }),
+            sessionId: this.sessionId,
+            timestamp: new Date().toISOString(),
+            message: {
+                id: msg.key.id,
+                from: msg.key.remoteJid,
+                senderName: msg.pushName,
+                type: messageType,
+                text: null,
+                media: null,
+                mimetype: null,
+                fileName: null,
+                origin,
+            },
+        };
+
+        if (msg.key.fromMe) {
+            payload.event = "message.sent";
+            payload.message.from = this.sock?.user?.id || null;
+            payload.message.to = msg.key.remoteJid;
+            payload.message.jobId =
+                this.jobTracker.findByMessageId(msg.key.id)?.id ||
+                this.sendingMessageIds.get(msg.key.id) ||
+                null;
         }
 
-        this.isProcessingWebhookQueue = true;
-        logger.info(
-            `[${this.sessionId}] Iniciando procesamiento de cola de webhooks. Pendientes: ${this.webhookQueue.length}`
-        );
+        let hasMedia = false;
+        switch (messageType) {
+            case "conversation":
+                payload.message.text = msg.message.conversation;
+                break;
+            case "extendedTextMessage":
+                payload.message.text = msg.message.extendedTextMessage.text;
+                break;
+            case "imageMessage":
+                payload.message.text = msg.message.imageMessage.caption;
+                payload.message.mimetype = msg.message.imageMessage.mimetype;
+                hasMedia = true;
+                break;
+            case "videoMessage":
+                payload.message.text = msg.message.videoMessage.caption;
+                payload.message.mimetype = msg.message.videoMessage.mimetype;
+                hasMedia = true;
+                break;
+            case "audioMessage":
+                payload.message.mimetype = msg.message.audioMessage.mimetype;
+                hasMedia = true;
+                break;
+            case "documentMessage":
+                payload.message.mimetype = msg.message.documentMessage.mimetype;
+                payload.message.fileName = msg.message.documentMessage.fileName;
+                hasMedia = true;
+                break;
+            case "stickerMessage":
+                payload.message.mimetype = msg.message.stickerMessage.mimetype;
+                hasMedia = true;
+                break;
+            case "locationMessage":
+            case "liveLocationMessage": {
+                const location = msg.message[messageType];
+                payload.message.type = "location";
+                payload.message.text =
+                    location.comment || location.caption || null;
+                payload.message.location = {
+                    latitude: location.degreesLatitude,
+                    longitude: location.degreesLongitude,
+                    name: location.name || null,
+                    address: location.address || null,
+                    url: location.url || null,
+                    live: messageType === "liveLocationMessage",
+                };
+                break;
+            }
+            case "contactMessage":
+            case "contactsArrayMessage": {
+                const cards =
+                    messageType === "contactMessage"
+                        ? [msg.message.contactMessage]
+                        : msg.message.contactsArrayMessage.contacts || [];
+                payload.message.type = "contact";
+                payload.message.contacts = cards.map((card) => ({
+                    ...parseVcard(card.vcard),
+                    displayName: card.displayName || null,
+                    vcard: card.vcard || null,
+                }));
+                break;
+            }
+            case "pollCreationMessage":
+            case "pollCreationMessageV2":
+            case "pollCreationMessageV3": {
+                const poll = msg.message[messageType];
+                payload.message.type = "poll";
+                payload.message.text = poll.name;
+                payload.message.poll = {
+                    name: poll.name,
+                    options: (poll.options || []).map(
+                        (option) => option.optionName
+                    ),
+                    selectableCount: poll.selectableOptionsCount || 0,
+                };
+                break;
+            }
+            case "reactionMessage": {
+                // Un emoji vacío significa que se quitó la reacción
+                const { key, text } = msg.message.reactionMessage;
+                payload.message.type = "reaction";
+                payload.message.text = text || "";
+                payload.message.targetMessageId = key?.id || null;
+                break;
+            }
+            case "protocolMessage":
+            case "editedMessage": {
+                // Según la versión del cliente, la edición llega envuelta en editedMessage
+                const protocolMessage =
+                    messageType === "editedMessage"
+                        ? msg.message.editedMessage.message?.protocolMessage
+                        : msg.message.protocolMessage;
+                const type = PROTOCOL_MESSAGE_TYPES[protocolMessage?.type];
+                if (!type) {
+                    payload.message.type = "unsupported";
+                    break;
+                }
+                payload.message.type = type;
+                payload.message.targetMessageId =
+                    protocolMessage.key?.id || null;
+                if (type === "edit") {
+                    payload.message.text = contentText(
+                        protocolMessage.editedMessage
+                    );
+                }
+                break;
+            }
+            default:
+                payload.message.type = "unsupported";
+        }
 
-        while (this.webhookQueue.length > 0) {
-            const job = this.webhookQueue.shift(); // Saca el job { rawMessage, retryCount }
-            const msg = job.rawMessage;
-            let payload;
+        if (this.payloadVersion >= 2) {
+            addMessageContext(payload.message, msg.key, {
+                contextInfo: msg.message[messageType]?.contextInfo,
+                timestamp: msg.messageTimestamp,
+            });
+        }
 
-            try {
-                const messageType = Object.keys(msg.message).find(
-                    (key) => key !== "messageContextInfo"
+        if (hasMedia && downloadMedia) {
+            const content = msg.message[messageType];
+            // fileLength puede llegar como Long de protobuf
+            const fileLength = Number(content.fileLength?.toString() || 0);
+            // Sin tamaño conocido no arriesgamos a inflar el payload: va al almacén
+            const inline =
+                this.mediaDelivery.mode === "inline" ||
+                (fileLength > 0 &&
+                    fileLength <= this.mediaDelivery.inlineMaxBytes);
+
+            if (inline) {
+                const buffer = await downloadMediaMessage(msg, "buffer");
+                payload.message.media = buffer.toString("base64");
+            } else {
+                payload.message.mediaFile = await this._storeMessageMedia(
+                    msg,
+                    payload.message
                 );
-                payload = {
-                    sessionId: this.sessionId,
-                    timestamp: new Date().toISOString(),
-                    message: {
-                        id: msg.key.id,
-                        from: msg.key.remoteJid,
-                        senderName: msg.pushName,
-                        type: messageType,
-                        text: null,
-                        media: null,
-                        mimetype: null,
-                        fileName: null,
-                    },
-                };
+            }
+        }
 
-                let buffer;
-                switch (messageType) {
-                    case "conversation":
-                        payload.message.text = msg.message.conversation;
-                        break;
-                    case "extendedTextMessage":
-                        payload.message.text =
-                            msg.message.extendedTextMessage.text;
-                        break;
-                    case "imageMessage":
-                        payload.message.text = msg.message.imageMessage.caption;
-                        payload.message.mimetype =
-                            msg.message.imageMessage.mimetype;
-                        buffer = await downloadMediaMessage(msg, "buffer");
-                        payload.message.media = buffer.toString("base64");
-                        break;
-                    case "videoMessage":
-                        payload.message.text = msg.message.videoMessage.caption;
-                        payload.message.mimetype =
-                            msg.message.videoMessage.mimetype;
-                        buffer = await downloadMediaMessage(msg, "buffer");
-                        payload.message.media = buffer.toString("base64");
-                        break;
-                    case "audioMessage":
-                        payload.message.mimetype =
-                            msg.message.audioMessage.mimetype;
-                        buffer = await downloadMediaMessage(msg, "buffer");
-                        payload.message.media = buffer.toString("base64");
-                        break;
-                    case "documentMessage":
-                        payload.message.mimetype =
-                            msg.message.documentMessage.mimetype;
-                        payload.message.fileName =
-                            msg.message.documentMessage.fileName;
-                        buffer = await downloadMediaMessage(msg, "buffer");
-                        payload.message.media = buffer.toString("base64");
-                        break;
-                    case "stickerMessage":
-                        payload.message.mimetype =
-                            msg.message.stickerMessage.mimetype;
-                        buffer = await downloadMediaMessage(msg, "buffer");
-                        payload.message.media = buffer.toString("base64");
-                        break;
-                    default:
-                        payload.message.type = "unsupported";
-                }
+        return payload;
+    }
 
-                const response = await fetch(this.webhookUrl, {
-                    method: "POST",
-                    body: JSON.stringify(payload),
-                    headers: { "Content-Type": "application/json" },
-                });
+    /**
+     * Saves the media of an incoming message to the media store (streaming, never fully in memory)
+     * and describes it with a signed download URL. The media ID is derived from the message, so
+     * retries and other webhooks reuse the stored file instead of downloading it again.
+     * @param {object} msg - The raw Baileys message.
+     * @param {object} message - The `message` part of the payload (for mimetype and file name).
+     * @returns {Promise<object>} `{ id, url, expiresAt, size, sha256, mimetype, fileName }`.
+     * @private
+     */
+    async _storeMessageMedia(msg, { mimetype, fileName }) {
+        const mediaId = crypto
+            .createHash("sha256")
+            .update(`${msg.key.remoteJid}/${msg.key.id}`)
+            .digest("hex")
+            .slice(0, 32);
+
+        const record =
+            (await this.media.get(mediaId))?.record ||
+            (await this.media.save(
+                mediaId,
+                () => downloadMediaMessage(msg, "stream"),
+                { mimetype, fileName, messageId: msg.key.id }
+            ));
+
+        return this._describeMedia(record);
+    }
 
-                if (response.ok) {
-                    logger.info(
-                        `[${this.sessionId}] Webhook encolado enviado. Pendientes: ${this.webhookQueue.length}`
-                    );
-                    await new Promise((resolve) => setTimeout(resolve, 500));
-                } else if (response.status >= 400 && response.status < 500) {
-                    const errorMsg = `[${this.sessionId}] Error permanente al enviar webhook (Status: ${response.status}). Mensaje descartado.`;
-                    logger.error(errorMsg);
-
-                    sendEmailAlert(
-                        `Fallo permanente de Webhook (${this.sessionId}) - Mensaje Descartado`,
-                        `<p>Un mensaje de la sesión <strong>${
-                            this.sessionId
-                        }</strong> fue descartado permanentemente.</p>
-                         <p>El servidor del webhook respondió con un código de error <strong>${
-                             response.status
-                         }</strong>, lo que indica que el mensaje no debe ser reintentado.</p>
-                         <p><strong>Destino:</strong> ${this.webhookUrl}</p>
-                         <hr>
-                         <p><strong>Payload Descartado:</strong></p>
-                         <pre>${JSON.stringify(payload, null, 2)}</pre>`
-                    );
-                } else {
-                    throw new Error(
-                        `Webhook server returned status ${response.status}`
-                    );
-                }
-            } catch (error) {
-                job.retryCount++;
+    /**
+     * @param {object} record - A media store record.
+     * @returns {object} The `mediaFile` of a payload, with a freshly signed URL.
+     * @private
+     */
+    _describeMedia(record) {
+        return {
+            id: record.id,
+            ...buildMediaUrl(this.sessionId, record.id),
+            size: record.size,
+            sha256: record.sha256,
+            mimetype: record.mimetype,
+            fileName: record.fileName,
+        };
+    }
 
-                if (job.retryCount >= this.maxWebhookRetries) {
-                    logger.error(
-                        { error: error.message },
-                        `[${this.sessionId}] Fallo al procesar/enviar webhook después de ${this.maxWebhookRetries} intentos. Mensaje descartado.`
-                    );
+    /**
+     * Delivers one webhook job: builds the payload of incoming messages (downloading their media)
+     * and POSTs it, signed with the target's secret, to the session webhook or to a subscription.
+     * Jobs whose target no longer exists (or was disabled) are dropped.
+     * Called by the `WebhookDispatcher`, which retries it with backoff when this throws.
+     * @param {object} job - The webhook job `{ id, rawMessage | payload, retryCount }`.
+     * @returns {Promise<void>} Resolves once the receiver accepted it. Rejections carry
+     * `permanent: true` (4xx) and the built `payload`, if any.
+     * @private
+     */
+    async _deliverWebhookJob(job) {
+        let payload = job.payload;
 
-                    sendEmailAlert(
-                        `Fallo Crítico de Webhook (${this.sessionId}) - Mensaje Descartado tras ${this.maxWebhookRetries} reintentos`,
-                        `<p>Un mensaje de la sesión <strong>${
-                            this.sessionId
-                        }</strong> fue descartado permanentemente después de ${
-                            this.maxWebhookRetries
-                        } reintentos fallidos.</p>
-                         <p>La causa pudo ser un error de descarga de media o que el servidor del webhook está caído.</p>
-                         <p><strong>Destino:</strong> ${this.webhookUrl}</p>
-                         <p><strong>Último Error:</strong> ${error.message}</p>
-                         <hr>
-                         <p><strong>Mensaje Original Descartado:</strong></p>
-                         <pre>${JSON.stringify(job.rawMessage, null, 2)}</pre>`
-                    );
-                } else {
-                    logger.warn(
-                        { error: error.message },
-                        `[${
-                            this.sessionId
-                        }] Error al procesar/enviar webhook, re-encolando. Intento ${
-                            job.retryCount
-                        }/${
-                            this.maxWebhookRetries
-                        }. Se reintentará en 10s. Pendientes: ${
-                            this.webhookQueue.length + 1
-                        }`
-                    );
-                    this.webhookQueue.unshift(job);
+        const target = this._webhookTarget(job);
+        if (!target) {
+            logger.warn(
+                `[${this.sessionId}] Webhook ${job.id} descartado: su destino ya no existe o está desactivado.`
+            );
+            return;
+        }
 
-                    setTimeout(() => {
-                        this.isProcessingWebhookQueue = false;
-                        this.processWebhookQueue();
-                    }, 10000);
-                    return;
+        try {
+            // Los eventos (recibos, conexión...) llegan con el payload ya construido;
+            // los mensajes se construyen aquí porque implican descargar media.
+            if (!payload) {
+                payload = await this._buildMessagePayload(job.rawMessage, {
+                    origin: job.origin,
+                });
+            } else if (payload.message?.mediaFile) {
+                // Payload reenviado (p. ej. desde los fallidos): su URL pudo expirar
+                const stored = await this.media.get(
+                    payload.message.mediaFile.id
+                );
+                if (stored) {
+                    payload = {
+                        ...payload,
+                        message: {
+                            ...payload.message,
+                            mediaFile: this._describeMedia(stored.record),
+                        },
+                    };
                 }
             }
+
+            // El ID del job se mantiene entre reintentos: el receptor puede deduplicar con él
+            const body = JSON.stringify(payload);
+            const response = await fetch(target.url, {
+                method: "POST",
+                body,
+                headers: buildWebhookHeaders(body, {
+                    deliveryId: job.id,
+                    secret: target.secret,
+                }),
+            });
+
+            if (!response.ok) {
+                const error = new Error(
+                    `Webhook server returned status ${response.status}`
+                );
+                error.statusCode = response.status;
+                // Un 4xx indica que el receptor rechaza el payload: reintentar no sirve
+                error.permanent =
+                    response.status >= 400 && response.status < 500;
+                throw error;
+            }
+        } catch (error) {
+            this._recordWebhookAttempt(job, {
+                error: error.message,
+                statusCode: error.statusCode,
+            });
+            error.payload = payload;
+            throw error;
         }
+    }
 
-        this.isProcessingWebhookQueue = false;
-        logger.info(
-            `[${this.sessionId}] Procesamiento de cola de webhooks finalizado.`
+    /**
+     * Handles a webhook job the dispatcher gave up on: stores it in the dead-letter store
+     * and sends an email alert.
+     * @param {object} job - The webhook job.
+     * @param {Error} error - The last error (with `payload` if it was built).
+     * @param {string} reason - `rejected`, `max_retries` or `expired`.
+     * @private
+     */
+    _handleWebhookGiveUp(job, error, reason) {
+        const payload = error.payload || job.payload;
+        const webhookUrl = this._webhookTarget(job)?.url || null;
+
+        logger.error(
+            { error: error.message },
+            `[${this.sessionId}] Webhook ${job.id} descartado (${reason}) tras ${job.retryCount} intento(s). Guardado en webhooks fallidos.`
         );
+        this._deadLetterWebhookJob(job, payload, reason, webhookUrl);
+
+        const causes = {
+            rejected: `El servidor del webhook respondió con un código de error <strong>${error.statusCode}</strong>, lo que indica que el mensaje no debe ser reintentado.`,
+            max_retries: `Se agotaron los ${job.retryCount} intentos. La causa pudo ser un error de descarga de media o que el servidor del webhook está caído.`,
+            expired:
+                "El mensaje superó la antigüedad máxima sin poder entregarse.",
+        };
+
+        sendEmailAlert(
+            `Fallo de Webhook (${this.sessionId}) - Mensaje Descartado (${reason})`,
+            `<p>Un mensaje de la sesión <strong>${
+                this.sessionId
+            }</strong> fue descartado.</p>
+             <p>${causes[reason]}</p>
+             <p><strong>Destino:</strong> ${webhookUrl}</p>
+             <p><strong>Último Error:</strong> ${error.message}</p>
+             <p>Quedó guardado en los webhooks fallidos con el ID <strong>${
+                 job.id
+             }</strong> y puede reenviarse desde la API.</p>
+             <hr>
+             <p><strong>Payload Descartado:</strong></p>
+             <pre>${JSON.stringify(payload || job.rawMessage, null, 2)}</pre>`
+        );
+    }
+
+    /**
+     * Appends a failed attempt to the history of a webhook job.
+     * @param {object} job - The webhook job.
+     * @param {object} attempt - `{ error, statusCode }`.
+     * @private
+     */
+    _recordWebhookAttempt(job, { error, statusCode = null }) {
+        job.attempts = [
+            ...(job.attempts || []),
+            { at: new Date().toISOString(), statusCode, error },
+        ];
+    }
+
+    /**
+     * Moves a webhook job that won't be retried to the dead-letter store.
+     * Messages whose payload couldn't be built (e.g. media download) keep the raw message,
+     * so the replay builds it again.
+     * @param {object} job - The webhook job.
+     * @param {object|undefined} payload - The built payload, if it was built.
+     * @param {string} reason - `rejected` (4xx), `max_retries` or `expired`.
+     * @param {string|null} webhookUrl - Where it was being sent.
+     * @private
+     */
+    _deadLetterWebhookJob(job, payload, reason, webhookUrl) {
+        const attempts = job.attempts || [];
+        this.deadLetters.add({
+            id: job.id,
+            event:
+                payload?.event ||
+                (job.rawMessage?.key?.fromMe ? "message.sent" : "message"),
+            reason,
+            lastError: attempts[attempts.length - 1]?.error || null,
+            attempts,
+            subscriptionId: job.subscriptionId || null,
+            webhookUrl,
+            payload: payload || null,
+            rawMessage: payload ? null : job.rawMessage,
+            ...(!payload && job.origin && { origin: job.origin }),
+        });
+    }
+
+    /**
+     * Queues failed webhook deliveries again, to the same webhook they were meant for.
+     * Replayed jobs keep their ID (and therefore the `X-Webhook-Delivery` header) and their
+     * attempt history, with a fresh retry budget. Entries whose webhook no longer exists (the
+     * session webhook was removed, or the subscription was deleted or disabled) are kept.
+     * @param {string[]} [ids] - The entries to replay; all of them if omitted.
+     * @returns {{ replayed: string[], notFound: string[], unavailable: string[] }} `unavailable`
+     * lists the entries left in place because their webhook no longer exists.
+     */
+    replayFailedWebhooks(ids = this.deadLetters.ids()) {
+        const replayed = [];
+        const notFound = [];
+        const unavailable = [];
+
+        for (const id of ids) {
+            const entry = this.deadLetters.get(id);
+            if (!entry) {
+                notFound.push(id);
+                continue;
+            }
+            // Re-encolarla solo haría que el dispatcher la descarte sin entregarla
+            if (!this._webhookTarget(entry)) {
+                unavailable.push(id);
+                continue;
+            }
+
+            const content = entry.payload
+                ? { payload: entry.payload }
+                : {
+                      rawMessage: entry.rawMessage,
+                      ...(entry.origin && { origin: entry.origin }),
+                  };
+
+            // enqueue() escribe el journal antes de borrarlo del almacén: un corte duplica, no pierde
+            this.webhookDispatcher.enqueue({
+                id: entry.id,
+                ...content,
+                ...(entry.subscriptionId && {
+                    subscriptionId: entry.subscriptionId,
+                }),
+                orderKey: this._webhookOrderKey(content, entry.subscriptionId),
+                attempts: entry.attempts,
+            });
+            this.deadLetters.remove(id);
+            replayed.push(id);
+        }
+
+        if (replayed.length > 0) {
+            logger.info(
+                `[${this.sessionId}] ${replayed.length} webhook(s) fallido(s) re-encolado(s).`
+            );
+        }
+
+        return { replayed, notFound, unavailable };
     }
 
     /**
      * Cleans up the session's authentication files from the disk.
-     * This method is called when the session is permanently closed (logout).
+     * This method is called when the session is permanently closed (logout). Pending connection
+     * events (`connection.close`, `logged_out`) get up to `WEBHOOK_FLUSH_TIMEOUT_MS` to be
+     * delivered before the webhook queue is stopped and removed with the folder. The session's
+     * files in its storage driver (received media and spooled sends) are deleted too.
      * @returns {Promise<void>} A promise that resolves when cleanup is done.
      */
     async cleanup() {
         this.status = "close";
+
+        const flushed = await this.webhookDispatcher.drain(
+            (job) => Boolean(job.payload?.connection),
+            WEBHOOK_FLUSH_TIMEOUT_MS
+        );
+        if (!flushed) {
+            logger.warn(
+                `[${this.sessionId}] No se pudieron entregar todos los eventos de conexión antes de eliminar la sesión; se descartan.`
+            );
+        }
+
+        this.webhookDispatcher.stop();
+        this.media.stop();
+        // Nada vuelve a escribir en la carpeta (ni a recrearla) mientras se elimina
+        [
+            this.outgoingJournal,
+            this.webhookJournal,
+            this.jobTracker,
+            this.messageStore,
+            this.deadLetters,
+        ].forEach((store) => store.close());
+        await this._purgeStorage();
         try {
             await fs.rm(this.authPath, { recursive: true, force: true });
             SessionManager.sessions.delete(this.sessionId);
@@ -721,6 +1983,30 @@ class WhatsappSession {
         }
     }
 
+    /**
+     * Deletes the session's files from its storage driver: the received media and the spool of
+     * queued sends. With the `local` driver they live inside the session folder, but with `s3`
+     * they would stay in the bucket forever.
+     * @private
+     */
+    async _purgeStorage() {
+        for (const prefix of [
+            `${this.sessionId}/media/`,
+            `${this.sessionId}/spool/`,
+        ]) {
+            try {
+                for (const { key } of await this.storage.list(prefix)) {
+                    await this.storage.remove(key);
+                }
+            } catch (error) {
+                logger.error(
+                    { error },
+                    `[${this.sessionId}] No se pudieron eliminar los archivos de ${prefix} del almacenamiento (${this.storage.name})`
+                );
+            }
+        }
+    }
+
     /**
      * Logs out of the WhatsApp session and closes the socket.
      * @returns {Promise<void>} A promise that resolves upon logout.
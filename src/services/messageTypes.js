@@ -0,0 +1,119 @@
+import { toJid } from "../utils/jid.js";
+import { buildVcard } from "../utils/vcard.js";
+
+/**
+ * Builders that turn the payload of an outgoing job into Baileys message content.
+ * Every send (immediate or queued) goes through these, so supporting a new message
+ * type only requires adding a builder here: the queue, its journal and the media
+ * spool handle the job without further changes.
+ *
+ * Media payloads receive `media`: the job file opened from the session storage at send time
+ * (a Baileys `{ stream }`, or `{ url }` for a local path). Every builder also receives `jid`,
+ * the chat the message is sent to.
+ */
+export const messageBuilders = {
+    text: ({ text }) => ({ text }),
+
+    image: ({ media, caption }) => ({
+        image: media,
+        caption: caption || "",
+    }),
+
+    document: ({ media, fileName, mimetype, caption }) => ({
+        document: media,
+        mimetype: mimetype || "application/octet-stream",
+        fileName: fileName || "document",
+        ...(caption && { caption }),
+    }),
+
+    audio: ({ media, mimetype, ptt }) => ({
+        audio: media,
+        mimetype: mimetype || "audio/mpeg",
+        ptt: Boolean(ptt),
+    }),
+
+    video: ({ media, caption }) => ({
+        video: media,
+        caption: caption || "",
+    }),
+
+    sticker: ({ media }) => ({ sticker: media }),
+
+    location: ({ latitude, longitude, name, address }) => ({
+        location: {
+            degreesLatitude: latitude,
+            degreesLongitude: longitude,
+            name,
+            address,
+        },
+    }),
+
+    contact: ({ contacts }) => ({
+        contacts: {
+            displayName:
+                contacts.length === 1
+                    ? contacts[0].name
+                    : `${contacts.length} contactos`,
+            contacts: contacts.map((contact) => ({
+                vcard: buildVcard(contact),
+            })),
+        },
+    }),
+
+    reaction: ({ jid, messageId, emoji, fromMe, participant }) => ({
+        react: {
+            text: emoji,
+            key: {
+                remoteJid: jid,
+                id: messageId,
+                fromMe: Boolean(fromMe),
+                ...(participant && { participant }),
+            },
+        },
+    }),
+
+    // Solo se pueden editar mensajes propios: la clave siempre lleva fromMe
+    edit: ({ jid, messageId, text }) => ({
+        text,
+        edit: { remoteJid: jid, id: messageId, fromMe: true },
+    }),
+
+    revoke: ({ jid, messageId, fromMe, participant }) => ({
+        delete: {
+            remoteJid: jid,
+            id: messageId,
+            fromMe: Boolean(fromMe),
+            ...(participant && { participant }),
+        },
+    }),
+
+    // `forward` es el WAMessage guardado de `forwardFrom`, resuelto por la sesión al enviar
+    forward: ({ forward }) => ({ forward }),
+
+    poll: ({ name, options, selectableCount }) => ({
+        poll: {
+            name,
+            values: options,
+            selectableCount: selectableCount || 1,
+        },
+    }),
+};
+
+/**
+ * Builds the Baileys content for a job. `mentions` (numbers or JIDs) apply to every type.
+ * @param {string} type - The job type (a key of `messageBuilders`).
+ * @param {object} payload - The job payload.
+ * @returns {object} The content to pass to `sock.sendMessage`.
+ * @throws {Error} If the type has no registered builder.
+ */
+export function buildMessageContent(type, payload) {
+    const builder = messageBuilders[type];
+    if (!builder) {
+        throw new Error(`Tipo de mensaje no soportado: ${type}`);
+    }
+    const content = builder(payload);
+    if (payload.mentions?.length) {
+        content.mentions = payload.mentions.map(toJid);
+    }
+    return content;
+}
@@ -0,0 +1,69 @@
+import path from "path";
+import { fileURLToPath } from "url";
+
+import LocalStorageDriver from "./LocalStorageDriver.js";
+import S3StorageDriver from "./S3StorageDriver.js";
+import { maskSecret } from "../utils/mask.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const SESSIONS_DIR = path.join(__dirname, "..", "..", "sessions");
+
+/**
+ * Default storage, overridable per session (`storage` in metadata.json).
+ * `local` keeps files inside the session folder; `s3` uses the `S3_*` variables.
+ */
+export const DEFAULT_STORAGE =
+    process.env.STORAGE_DRIVER === "s3"
+        ? {
+              driver: "s3",
+              bucket: process.env.S3_BUCKET,
+              region: process.env.S3_REGION,
+              endpoint: process.env.S3_ENDPOINT,
+              accessKeyId: process.env.S3_ACCESS_KEY_ID,
+              secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+              forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+              prefix: process.env.S3_PREFIX,
+          }
+        : { driver: "local" };
+
+/**
+ * Factories of the storage drivers. Every driver implements `putFile`, `putBuffer`, `get`,
+ * `getBuffer`, `remove` and `list`, with keys like `<sessionId>/media/<id>`, so supporting a new
+ * backend only requires adding it here.
+ */
+export const storageDrivers = {
+    local: () => new LocalStorageDriver({ root: SESSIONS_DIR }),
+    s3: (config) => new S3StorageDriver(config),
+};
+
+/**
+ * Creates the storage driver for a session.
+ * @param {object|null} [config] - `{ driver, ...options }`; the default storage if omitted.
+ * @returns {LocalStorageDriver|S3StorageDriver}
+ * @throws {Error} If the driver is unknown.
+ */
+export function createStorageDriver(config) {
+    const { driver, ...options } = config || DEFAULT_STORAGE;
+    const factory = storageDrivers[driver];
+    if (!factory) {
+        throw new Error(`Driver de almacenamiento no soportado: ${driver}`);
+    }
+    return factory(options);
+}
+
+/**
+ * Presents a storage configuration with its credentials masked.
+ * @param {object|null} config - The storage configuration.
+ * @returns {object|null}
+ */
+export function maskStorageConfig(config) {
+    if (!config) return null;
+    return {
+        ...config,
+        ...(config.secretAccessKey && {
+            secretAccessKey: maskSecret(config.secretAccessKey),
+        }),
+    };
+}
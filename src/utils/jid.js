@@ -0,0 +1,36 @@
+// src/utils/jid.js
+
+/**
+ * Classifies a chat by its JID.
+ * @param {string} jid - The chat JID (e.g. `573001234567@s.whatsapp.net`, `1203...@g.us`).
+ * @returns {"private"|"group"|"broadcast"|"newsletter"} The chat type.
+ */
+export function chatTypeOf(jid = "") {
+    if (jid.endsWith("@g.us")) return "group";
+    if (jid.endsWith("@broadcast")) return "broadcast";
+    if (jid.endsWith("@newsletter")) return "newsletter";
+    return "private";
+}
+
+/**
+ * Extracts the user part of a JID or phone number, without device suffix or formatting,
+ * so `573001234567:12@s.whatsapp.net`, `573001234567@s.whatsapp.net` and `+57 300 123 4567`
+ * all compare equal.
+ * @param {string} value - A JID or a phone number.
+ * @returns {string} The digits (or the raw user part for non numeric IDs).
+ */
+export function jidUser(value = "") {
+    const user = String(value).split("@")[0].split(":")[0];
+    const digits = user.replace(/\D/g, "");
+    return digits || user;
+}
+
+/**
+ * Turns a phone number into a user JID; JIDs (groups, LIDs...) are returned unchanged.
+ * @param {string} value - A JID or a phone number (formatting is ignored).
+ * @returns {string} The JID, e.g. `573001234567@s.whatsapp.net`.
+ */
+export function toJid(value) {
+    const text = String(value).trim();
+    return text.includes("@") ? text : `${jidUser(text)}@s.whatsapp.net`;
+}
@@ -0,0 +1,14 @@
+// src/utils/mask.js
+
+/**
+ * Masks a secret (token, password) leaving only its last characters visible.
+ * @param {string|null|undefined} value - The secret to mask.
+ * @param {number} [visible=4] - How many trailing characters to keep.
+ * @returns {string|null} The masked value, or null if there was no value.
+ */
+export function maskSecret(value, visible = 4) {
+    if (!value) return null;
+    const text = String(value);
+    if (text.length <= visible) return "*".repeat(text.length);
+    return `${"*".repeat(Math.min(text.length - visible, 8))}${text.slice(-visible)}`;
+}
@@ -0,0 +1,82 @@
+// src/utils/mediaUrl.js
+import crypto from "crypto";
+import logger from "./logger.js";
+
+// Sin MEDIA_URL_SECRET las URLs firmadas dejan de ser válidas al reiniciar el servidor
+const MEDIA_URL_SECRET =
+    process.env.MEDIA_URL_SECRET || crypto.randomBytes(32).toString("hex");
+let warnedAboutSecret = false;
+
+const MEDIA_URL_TTL_MINUTES = parseInt(
+    process.env.MEDIA_URL_TTL_MINUTES || "1440",
+    10
+);
+
+/**
+ * Signs the access to a stored media file until a given time.
+ * @param {string} sessionId - The session that owns the file.
+ * @param {string} mediaId - The media ID.
+ * @param {number} expires - Unix time in seconds after which the URL stops working.
+ * @returns {string} The hex signature.
+ */
+function signMedia(sessionId, mediaId, expires) {
+    return crypto
+        .createHmac("sha256", MEDIA_URL_SECRET)
+        .update(`${sessionId}/${mediaId}/${expires}`)
+        .digest("hex");
+}
+
+/**
+ * Builds the signed, expiring download URL of a stored media file.
+ * The host comes from `PUBLIC_BASE_URL` (the address webhook receivers can reach).
+ * @param {string} sessionId - The session that owns the file.
+ * @param {string} mediaId - The media ID.
+ * @returns {{ url: string, expiresAt: string }}
+ */
+export function buildMediaUrl(sessionId, mediaId) {
+    if (!process.env.MEDIA_URL_SECRET && !warnedAboutSecret) {
+        warnedAboutSecret = true;
+        logger.warn(
+            "MEDIA_URL_SECRET no está definido: las URLs de media firmadas no sobrevivirán a un reinicio."
+        );
+    }
+
+    const baseUrl = (
+        process.env.PUBLIC_BASE_URL ||
+        `http://localhost:${process.env.PORT || 3000}`
+    ).replace(/\/+$/, "");
+    const expires = Math.floor(Date.now() / 1000) + MEDIA_URL_TTL_MINUTES * 60;
+    const signature = signMedia(sessionId, mediaId, expires);
+
+    return {
+        url: `${baseUrl}/api/sessions/${encodeURIComponent(
+            sessionId
+        )}/media/${mediaId}?expires=${expires}&signature=${signature}`,
+        expiresAt: new Date(expires * 1000).toISOString(),
+    };
+}
+
+/**
+ * Checks the signature and expiry of a media download request.
+ * @param {string} sessionId - The session in the URL.
+ * @param {string} mediaId - The media ID in the URL.
+ * @param {string} expires - The `expires` query param.
+ * @param {string} signature - The `signature` query param.
+ * @returns {"valid"|"expired"|"invalid"}
+ */
+export function verifyMediaSignature(sessionId, mediaId, expires, signature) {
+    if (typeof signature !== "string" || !/^\d+$/.test(String(expires))) {
+        return "invalid";
+    }
+
+    const expected = Buffer.from(signMedia(sessionId, mediaId, expires));
+    const received = Buffer.from(signature);
+    if (
+        expected.length !== received.length ||
+        !crypto.timingSafeEqual(expected, received)
+    ) {
+        return "invalid";
+    }
+
+    return Number(expires) * 1000 < Date.now() ? "expired" : "valid";
+}
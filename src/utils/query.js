@@ -0,0 +1,36 @@
+// src/utils/query.js
+
+/**
+ * Parses `page` and `limit` from the query string.
+ * @param {object} query - The Express `req.query`.
+ * @returns {{ page: number, limit: number, error?: string }}
+ */
+export function parsePagination(query) {
+    const page = parseInt(query.page ?? "1", 10);
+    const limit = parseInt(query.limit ?? "50", 10);
+
+    if (!Number.isInteger(page) || page < 1) {
+        return { error: "El parámetro page debe ser un entero mayor a 0." };
+    }
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+        return {
+            error: "El parámetro limit debe ser un entero entre 1 y 200.",
+        };
+    }
+
+    return { page, limit };
+}
+
+/**
+ * Splits a comma separated query value into a list.
+ * @param {string|undefined} value - The raw query value.
+ * @returns {string[]|undefined}
+ */
+export function parseList(value) {
+    if (!value) return undefined;
+    return String(value)
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean);
+}
@@ -0,0 +1,81 @@
+// src/utils/socketCall.js
+import logger from "./logger.js";
+
+/**
+ * Runs an operation on the Baileys socket of a session. A disconnected session fails with
+ * `statusCode` 409, and WhatsApp rejections (Boom errors) get the 4xx code WhatsApp answered
+ * with as `statusCode`.
+ * @param {object} session - The `WhatsappSession`.
+ * @param {Function} operation - `(sock) => Promise`.
+ * @returns {Promise<*>} The operation result.
+ * @throws {Error} The operation error, with `statusCode` when it is a 4xx.
+ */
+export async function callSocket(session, operation) {
+    const { sock, status } = session;
+    if (!sock || status !== "open") {
+        const error = new Error("La sesión no está conectada.");
+        error.statusCode = 409;
+        throw error;
+    }
+
+    try {
+        return await operation(sock);
+    } catch (error) {
+        // Los errores de WhatsApp traen su código (401, 403, 404...) en `data`
+        const statusCode =
+            typeof error.data === "number"
+                ? error.data
+                : error.output?.statusCode;
+        if (statusCode >= 400 && statusCode < 500) {
+            error.statusCode = statusCode;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Runs a socket operation for a route and answers with its result: 404 if the session doesn't
+ * exist, the `statusCode` of 4xx errors (see `callSocket`) and 500 otherwise.
+ * @param {object} res - The Express response object.
+ * @param {object|undefined} session - The session addressed by the route.
+ * @param {string} action - What is being done, for the logs (e.g. `crear el grupo`).
+ * @param {Function} operation - `(session) => Promise<object>`; the result is merged into the response.
+ * @param {object} [options]
+ * @param {number} [options.status=200] - The success status code.
+ * @param {object} [options.messages] - Messages for the 4xx codes, instead of the error's own.
+ */
+export async function runSocketAction(
+    res,
+    session,
+    action,
+    operation,
+    { status = 200, messages = {} } = {}
+) {
+    if (!session) {
+        return res.status(404).json({
+            success: false,
+            message: "Sesión no encontrada.",
+        });
+    }
+
+    try {
+        const result = await operation(session);
+        res.status(status).json({ success: true, ...result });
+    } catch (error) {
+        if (error.statusCode >= 400 && error.statusCode < 500) {
+            const message = messages[error.statusCode];
+            return res.status(error.statusCode).json({
+                success: false,
+                message: message || error.message,
+                ...(message && { error: error.message }),
+            });
+        }
+
+        logger.error({ error }, `[${session.sessionId}] Error al ${action}`);
+        res.status(500).json({
+            success: false,
+            message: `Error al ${action}.`,
+            error: error.message,
+        });
+    }
+}
@@ -0,0 +1,22 @@
+// src/utils/timestamp.js
+
+/**
+ * Converts a WhatsApp timestamp (unix seconds as number, string or protobuf `Long`)
+ * into an ISO 8601 string.
+ * @param {number|string|object|null|undefined} value - The raw timestamp.
+ * @returns {string|null} The ISO date, or null if there was no usable value.
+ */
+export function toIsoTimestamp(value) {
+    if (value === null || value === undefined) return null;
+
+    const seconds =
+        typeof value === "object"
+            ? typeof value.toNumber === "function"
+                ? value.toNumber()
+                : // Un Long serializado (p. ej. restaurado de un journal) pierde sus métodos
+                  (value.high >>> 0) * 2 ** 32 + (value.low >>> 0)
+            : Number(value);
+
+    if (!Number.isFinite(seconds) || seconds <= 0) return null;
+    return new Date(seconds * 1000).toISOString();
+}
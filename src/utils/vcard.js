@@ -0,0 +1,93 @@
+// src/utils/vcard.js
+
+/**
+ * Escapes a vCard property value.
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeValue(value) {
+    return String(value)
+        .replace(/([,;\\])/g, "\\$1")
+        .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Builds a vCard 3.0 for a contact card. The `waid` parameter lets WhatsApp show the
+ * "Message" button when the number has an account.
+ * @param {object} contact - `{ name, phone, organization, email, url }`; only `name` and `phone` are required.
+ * @returns {string}
+ */
+export function buildVcard({ name, phone, organization, email, url }) {
+    const digits = phone.replace(/\D/g, "");
+
+    return [
+        "BEGIN:VCARD",
+        "VERSION:3.0",
+        `FN:${escapeValue(name)}`,
+        organization && `ORG:${escapeValue(organization)}`,
+        `TEL;type=CELL;type=VOICE;waid=${digits}:+${digits}`,
+        email && `EMAIL;type=INTERNET:${escapeValue(email)}`,
+        url && `URL:${escapeValue(url)}`,
+        "END:VCARD",
+    ]
+        .filter(Boolean)
+        .join("\n");
+}
+
+/**
+ * Reads the main fields of a vCard received in a contact message.
+ * @param {string} vcard - The vCard text.
+ * @returns {{ name: string|null, organization: string|null, phones: Array<{ number: string, waid: string|null }>, emails: string[], url: string|null }}
+ */
+export function parseVcard(vcard = "") {
+    const contact = {
+        name: null,
+        organization: null,
+        phones: [],
+        emails: [],
+        url: null,
+    };
+
+    // Las líneas largas pueden venir partidas ("folding"): continúan con un espacio
+    const lines = String(vcard)
+        .replace(/\r?\n[ \t]/g, "")
+        .split(/\r?\n/);
+
+    for (const line of lines) {
+        const separator = line.indexOf(":");
+        if (separator === -1) continue;
+
+        const [property, ...params] = line.slice(0, separator).split(";");
+        const value = line
+            .slice(separator + 1)
+            .replace(/\\n/gi, "\n")
+            .replace(/\\([,;\\])/g, "$1");
+        // Algunos clientes agrupan propiedades con prefijo ("item1.TEL")
+        const name = property.split(".").pop().toUpperCase();
+
+        switch (name) {
+            case "FN":
+                contact.name = value;
+                break;
+            case "ORG":
+                // ORG separa empresa y departamento con ";"
+                contact.organization = value.replace(/;+$/, "");
+                break;
+            case "EMAIL":
+                contact.emails.push(value);
+                break;
+            case "URL":
+                contact.url = value;
+                break;
+            case "TEL": {
+                const waid = params
+                    .map((param) => param.match(/^waid=(.+)$/i)?.[1])
+                    .find(Boolean);
+                contact.phones.push({ number: value, waid: waid || null });
+                break;
+            }
+        }
+    }
+
+    return contact;
+}
@@ -0,0 +1,62 @@
+// src/utils/webhookSignature.js
+import crypto from "crypto";
+
+export const DELIVERY_HEADER = "X-Webhook-Delivery";
+export const TIMESTAMP_HEADER = "X-Webhook-Timestamp";
+export const SIGNATURE_HEADER = "X-Webhook-Signature";
+
+/**
+ * Validates a webhook secret. `undefined` (not provided) and `null` (disable signing) are valid.
+ * @param {*} value - The value received in the body.
+ * @param {string} [field="webhookSecret"] - The field name, for the error message.
+ * @returns {string|undefined} The error message, if invalid.
+ */
+export function validateWebhookSecret(value, field = "webhookSecret") {
+    if (value === undefined || value === null) return undefined;
+    if (typeof value !== "string" || value.length < 16) {
+        return `El campo ${field} debe ser un texto de al menos 16 caracteres (o null para desactivar la firma).`;
+    }
+    return undefined;
+}
+
+/**
+ * Computes the HMAC-SHA256 signature of a webhook body.
+ * The signed content is `<timestamp>.<body>`, so a captured request can't be replayed
+ * with a different timestamp.
+ * @param {string} secret - The session webhook secret.
+ * @param {string|number} timestamp - Unix time in seconds, as sent in the timestamp header.
+ * @param {string} body - The exact JSON string sent as the request body.
+ * @returns {string} The signature, formatted as `sha256=<hex>`.
+ */
+export function signWebhookBody(secret, timestamp, body) {
+    const digest = crypto
+        .createHmac("sha256", secret)
+        .update(`${timestamp}.${body}`)
+        .digest("hex");
+    return `sha256=${digest}`;
+}
+
+/**
+ * Builds the headers of a webhook request.
+ * The delivery ID must be the same on every retry of the same event so receivers can dedupe.
+ * The signature header is only sent when the session has a secret.
+ * @param {string} body - The exact JSON string sent as the request body.
+ * @param {object} options
+ * @param {string} options.deliveryId - Stable ID of the delivery.
+ * @param {string|null} [options.secret] - The session webhook secret.
+ * @returns {object} The headers for `fetch`.
+ */
+export function buildWebhookHeaders(body, { deliveryId, secret }) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const headers = {
+        "Content-Type": "application/json",
+        [DELIVERY_HEADER]: deliveryId,
+        [TIMESTAMP_HEADER]: String(timestamp),
+    };
+
+    if (secret) {
+        headers[SIGNATURE_HEADER] = signWebhookBody(secret, timestamp, body);
+    }
+
+    return headers;
+}
@@ -0,0 +1,45 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import ContactService from "../src/services/ContactService.js";
+
+/**
+ * Sesión conectada cuyo socket falla al consultar los números que empiezan con 999.
+ */
+function fakeSession() {
+    return {
+        sessionId: "test",
+        status: "open",
+        sock: {
+            onWhatsApp: async (jid) => {
+                if (jid.startsWith("999")) throw new Error("timeout");
+                return [{ exists: true, jid }];
+            },
+        },
+    };
+}
+
+test("check devuelve un error por número en lugar de fallar el lote", async () => {
+    const contacts = new ContactService(fakeSession());
+
+    const results = await contacts.check(["+57 300 123 4567", "abc", "999123"]);
+
+    assert.deepEqual(results[0], {
+        input: "+57 300 123 4567",
+        exists: true,
+        jid: "573001234567@s.whatsapp.net",
+    });
+    assert.equal(results[1].exists, null);
+    assert.ok(results[1].error);
+    assert.equal(results[2].exists, null);
+    assert.ok(results[2].error);
+});
+
+test("check falla el lote completo si la sesión no está conectada", async () => {
+    const session = fakeSession();
+    session.status = "close";
+
+    await assert.rejects(new ContactService(session).check(["573001234567"]), {
+        statusCode: 409,
+    });
+});
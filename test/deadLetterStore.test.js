@@ -0,0 +1,45 @@
+import { test, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import DeadLetterStore from "../src/services/DeadLetterStore.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "dead-letters-"));
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test("list lee solo las entradas de la página, de la más reciente a la más antigua", () => {
+    const dirPath = path.join(dir, "list");
+    const writer = new DeadLetterStore(dirPath);
+    ["a", "b", "c"].forEach((id) => writer.add({ id }));
+    // Las entradas de un reinicio anterior se ordenan por la fecha del archivo
+    fs.utimesSync(path.join(dirPath, "a.json"), 1, 1);
+    fs.utimesSync(path.join(dirPath, "b.json"), 3, 3);
+    fs.utimesSync(path.join(dirPath, "c.json"), 2, 2);
+
+    const store = new DeadLetterStore(dirPath);
+    const get = mock.method(store, "get");
+    const { data, pagination } = store.list({ page: 1, limit: 2 });
+
+    assert.deepEqual(
+        data.map(({ id }) => id),
+        ["b", "c"]
+    );
+    assert.equal(get.mock.callCount(), 2);
+    assert.deepEqual(pagination, {
+        page: 1,
+        limit: 2,
+        total: 3,
+        totalPages: 2,
+    });
+
+    store.add({ id: "d" });
+    store.remove("b");
+    assert.deepEqual(
+        store.list({ page: 1, limit: 2 }).data.map(({ id }) => id),
+        ["d", "c"]
+    );
+    assert.equal(store.list().pagination.total, 3);
+});
@@ -0,0 +1,66 @@
+import { test, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import dns from "dns";
+import fsp from "fs/promises";
+import http from "http";
+
+// Se lee al importar el middleware
+process.env.MEDIA_URL_ALLOWED_HOSTS = "interno.test";
+const { resolveMediaSource, MediaInputError } =
+    await import("../src/api/middlewares/mediaInput.middleware.js");
+
+let server;
+let port;
+let requests = 0;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        requests++;
+        res.writeHead(200, { "content-type": "image/png" });
+        res.end("png");
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    port = server.address().port;
+
+    // Todo host resuelve a loopback, como un DNS que cambia a una IP privada tras validarla
+    mock.method(dns, "lookup", (host, options, callback) => {
+        const address = { address: "127.0.0.1", family: 4 };
+        if (options.all) return callback(null, [address]);
+        callback(null, address.address, address.family);
+    });
+});
+
+after(() => {
+    mock.restoreAll();
+    server.close();
+});
+
+test("rechaza un host que resuelve a una dirección bloqueada sin conectarse", async () => {
+    requests = 0;
+
+    await assert.rejects(
+        resolveMediaSource(
+            { url: `http://publico.test:${port}/a.png` },
+            "image"
+        ),
+        (error) =>
+            error instanceof MediaInputError &&
+            error.status === 400 &&
+            /privada o local/.test(error.message)
+    );
+    assert.equal(requests, 0);
+});
+
+test("un host de MEDIA_URL_ALLOWED_HOSTS se descarga desde la dirección resuelta", async () => {
+    requests = 0;
+
+    const file = await resolveMediaSource(
+        { url: `http://interno.test:${port}/a.png` },
+        "image"
+    );
+
+    assert.equal(requests, 1);
+    assert.equal(file.mimetype, "image/png");
+    assert.equal(file.size, 3);
+    await fsp.rm(file.path, { force: true });
+});
@@ -0,0 +1,56 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import QueueJournal from "../src/services/QueueJournal.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "queue-journal-"));
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test("cada cambio agrega una línea y la carga reconstruye la cola en orden", () => {
+    const filePath = path.join(dir, "append", "queue.log");
+    const journal = new QueueJournal(filePath);
+
+    journal.put({ id: "a", retryCount: 0 });
+    journal.put({ id: "b", retryCount: 0 });
+    journal.put({ id: "c", retryCount: 0 });
+    journal.put({ id: "a", retryCount: 1 });
+    journal.remove("b");
+
+    const lines = fs.readFileSync(filePath, "utf-8").trim().split("\n");
+    assert.equal(lines.length, 5);
+
+    const jobs = new QueueJournal(filePath).load();
+    assert.deepEqual(jobs, [
+        { id: "a", retryCount: 1 },
+        { id: "c", retryCount: 0 },
+    ]);
+    // La carga deja una línea por job pendiente
+    assert.equal(
+        fs.readFileSync(filePath, "utf-8").trim().split("\n").length,
+        2
+    );
+});
+
+test("la cola vacía elimina el log", () => {
+    const filePath = path.join(dir, "empty", "queue.log");
+    const journal = new QueueJournal(filePath);
+
+    journal.put({ id: "a" });
+    journal.remove("a");
+
+    assert.equal(fs.existsSync(filePath), false);
+});
+
+test("una vez cerrado no escribe ni recrea la carpeta", () => {
+    const filePath = path.join(dir, "closed", "queue.log");
+    const journal = new QueueJournal(filePath);
+    journal.close();
+
+    journal.put({ id: "a" });
+
+    assert.equal(fs.existsSync(path.dirname(filePath)), false);
+});
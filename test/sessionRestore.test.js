@@ -0,0 +1,57 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+import SessionManager from "../src/services/SessionManager.js";
+import WhatsappSession from "../src/services/WhatsappSession.js";
+import WebhookSubscriptions from "../src/services/WebhookSubscriptions.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SESSIONS_DIR = path.join(__dirname, "..", "sessions");
+
+// Las pruebas no abren una conexión real con WhatsApp
+WhatsappSession.prototype.init = async function () {};
+
+const sessionId = `test-restore-${process.pid}`;
+const sessionDir = path.join(SESSIONS_DIR, sessionId);
+const metadataPath = path.join(sessionDir, "metadata.json");
+
+after(async () => {
+    await SessionManager.getSession(sessionId)?.cleanup();
+    fs.rmSync(sessionDir, { recursive: true, force: true });
+});
+
+test("las suscripciones de webhooks sobreviven a la restauración de la sesión", async () => {
+    fs.mkdirSync(sessionDir, { recursive: true });
+    fs.writeFileSync(
+        metadataPath,
+        JSON.stringify({
+            sessionId,
+            webhookUrl: "https://example.com/hook",
+            createdAt: "2025-01-01T00:00:00.000Z",
+            updatedAt: "2025-02-01T00:00:00.000Z",
+        })
+    );
+    new WebhookSubscriptions(metadataPath).create({
+        url: "https://example.com/crm",
+    });
+
+    const session = await SessionManager.restoreSession(sessionId);
+
+    assert.equal(session.webhooks.list().length, 1);
+    const metadata = JSON.parse(fs.readFileSync(metadataPath, "utf-8"));
+    assert.equal(metadata.webhooks.length, 1);
+    assert.equal(metadata.webhooks[0].url, "https://example.com/crm");
+    assert.equal(metadata.webhookUrl, "https://example.com/hook");
+});
+
+test("la restauración conserva las fechas de creación y de actualización", () => {
+    const [summary] = SessionManager.listSessions({
+        filter: (id) => id === sessionId,
+    }).data;
+
+    assert.equal(summary.createdAt, "2025-01-01T00:00:00.000Z");
+    assert.equal(summary.updatedAt, "2025-02-01T00:00:00.000Z");
+});
@@ -0,0 +1,137 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// Se lee al importar la configuración de API keys
+process.env.API_KEYS = "clave-test";
+const { default: WebSocketGateway } =
+    await import("../src/services/WebSocketGateway.js");
+
+/**
+ * Socket falso que guarda los mensajes enviados al cliente.
+ */
+function fakeSocket() {
+    const sent = [];
+    return {
+        OPEN: 1,
+        readyState: 1,
+        sent,
+        send: (data) => sent.push(JSON.parse(data)),
+    };
+}
+
+/**
+ * Socket de una conexión nueva: registra sus listeners y el código con que se cierra.
+ */
+function fakeConnection() {
+    const listeners = {};
+    return {
+        ...fakeSocket(),
+        closedWith: null,
+        on: (event, listener) => (listeners[event] = listener),
+        close(code) {
+            this.closedWith = code;
+            this.readyState = 3;
+            listeners.close?.();
+        },
+    };
+}
+
+function connect(clientId) {
+    const socket = fakeConnection();
+    WebSocketGateway.handleConnection(socket, {
+        url: `/ws?clientId=${clientId}`,
+        headers: { "x-api-key": "clave-test" },
+        socket: { remoteAddress: "test" },
+    });
+    return socket;
+}
+
+function fakeClient() {
+    return {
+        apiKey: { key: "k", scopes: ["read"] },
+        sessions: new Set(),
+        pending: new Map([["d1", {}]]),
+    };
+}
+
+test("los mensajes que no son objetos JSON se responden con un error", async () => {
+    for (const frame of ["null", "[]", "5", '"texto"']) {
+        const socket = fakeSocket();
+        await WebSocketGateway.handleMessage(
+            "c",
+            fakeClient(),
+            socket,
+            Buffer.from(frame)
+        );
+        assert.equal(socket.sent.length, 1, frame);
+        assert.equal(socket.sent[0].type, "error", frame);
+    }
+});
+
+test("ack rechaza deliveryIds que no son una lista de textos", async () => {
+    for (const deliveryIds of ["d1", [1], { 0: "d1" }]) {
+        const socket = fakeSocket();
+        const client = fakeClient();
+        await WebSocketGateway.handleMessage(
+            "c",
+            client,
+            socket,
+            Buffer.from(JSON.stringify({ type: "ack", deliveryIds }))
+        );
+        assert.equal(socket.sent[0]?.type, "error");
+        assert.ok(client.pending.has("d1"));
+    }
+
+    const socket = fakeSocket();
+    const client = fakeClient();
+    await WebSocketGateway.handleMessage(
+        "c",
+        client,
+        socket,
+        Buffer.from(JSON.stringify({ type: "ack", deliveryIds: ["d1"] }))
+    );
+    assert.equal(socket.sent.length, 0);
+    assert.equal(client.pending.size, 0);
+});
+
+test("una API key no puede superar el máximo de clientes", () => {
+    WebSocketGateway.clients.clear();
+    WebSocketGateway.maxClientsPerKey = 2;
+
+    connect("c1").close(1000);
+    connect("c2");
+    assert.equal(connect("c3").closedWith, 4429);
+    // Un clientId que ya existe puede reconectarse
+    assert.equal(connect("c1").closedWith, null);
+    assert.deepEqual([...WebSocketGateway.clients.keys()], ["c1", "c2"]);
+});
+
+test("un cliente desconectado se olvida al cumplir el TTL", async () => {
+    WebSocketGateway.clients.clear();
+    WebSocketGateway.clientTtlMs = 20;
+
+    connect("c1").close(1000);
+    connect("c2").close(1000);
+    // Reconectarse antes del TTL conserva al cliente
+    connect("c2");
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    assert.deepEqual([...WebSocketGateway.clients.keys()], ["c2"]);
+});
+
+test("los eventos con media en base64 no quedan pendientes", () => {
+    WebSocketGateway.clients.clear();
+
+    const socket = connect("c1");
+    const client = WebSocketGateway.clients.get("c1");
+    client.sessions.add("s1");
+
+    WebSocketGateway.publish("s1", { message: { media: "aGVsbG8=" } });
+    WebSocketGateway.publish("s1", { message: { mediaFile: { url: "u" } } });
+
+    assert.equal(socket.sent.filter(({ type }) => type === "event").length, 2);
+    assert.deepEqual(
+        [...client.pending.values()].map(({ payload }) => payload.message),
+        [{ mediaFile: { url: "u" } }]
+    );
+});
@@ -0,0 +1,95 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import WebhookDispatcher from "../src/services/WebhookDispatcher.js";
+
+/**
+ * Journal en memoria que cuenta las escrituras.
+ */
+function fakeJournal() {
+    return {
+        saves: 0,
+        load: () => [],
+        put() {
+            this.saves++;
+        },
+        remove() {
+            this.saves++;
+        },
+    };
+}
+
+test("stop() descarta el resultado de las entregas en curso sin escribir el journal", async () => {
+    const journal = fakeJournal();
+    let finishDelivery;
+    const givenUp = [];
+    const dispatcher = new WebhookDispatcher({
+        sessionId: "test",
+        journal,
+        deliver: () =>
+            new Promise((resolve, reject) => {
+                finishDelivery = reject;
+            }),
+        onGiveUp: (job) => givenUp.push(job.id),
+        settings: { maxAttempts: 1 },
+    });
+
+    dispatcher.enqueue({ id: "a", payload: {} });
+    const savesBeforeStop = journal.saves;
+    dispatcher.stop();
+
+    const error = new Error("rechazado");
+    error.permanent = true;
+    finishDelivery(error);
+    await new Promise((resolve) => setImmediate(resolve));
+
+    dispatcher.enqueue({ id: "b", payload: {} });
+    assert.equal(journal.saves, savesBeforeStop);
+    assert.deepEqual(givenUp, []);
+    assert.equal(dispatcher.timer, null);
+});
+
+test("drain() espera a que salgan de la cola los jobs indicados, con un límite de tiempo", async () => {
+    const deliveries = [];
+    const dispatcher = new WebhookDispatcher({
+        sessionId: "test",
+        journal: fakeJournal(),
+        deliver: (job) =>
+            new Promise((resolve) => deliveries.push({ job, resolve })),
+        onGiveUp: () => {},
+    });
+
+    dispatcher.enqueue({ id: "a", payload: { connection: {} } });
+    dispatcher.enqueue({ id: "b", payload: {} });
+    const isConnection = (job) => Boolean(job.payload.connection);
+
+    assert.equal(await dispatcher.drain(isConnection, 20), false);
+
+    const drained = dispatcher.drain(isConnection, 1000);
+    deliveries.find(({ job }) => job.id === "a").resolve();
+    assert.equal(await drained, true);
+    assert.equal(dispatcher.size, 1);
+    dispatcher.stop();
+});
+
+test("un error de onGiveUp se registra y libera el cupo del job", async () => {
+    const dispatcher = new WebhookDispatcher({
+        sessionId: "test",
+        journal: fakeJournal(),
+        deliver: async () => {
+            const error = new Error("rechazado");
+            error.permanent = true;
+            throw error;
+        },
+        onGiveUp: () => {
+            throw new Error("disco lleno");
+        },
+    });
+
+    dispatcher.enqueue({ id: "a", payload: {} });
+    await new Promise((resolve) => setImmediate(resolve));
+
+    assert.equal(dispatcher.inFlight.size, 0);
+    assert.equal(dispatcher.size, 0);
+    dispatcher.stop();
+});